@@ -0,0 +1,1025 @@
+import express from 'express';
+import cors from 'cors';
+import admin from 'firebase-admin';
+import nodeFetch from 'node-fetch';
+import { RECIPE_SCHEMA_VERSION, buildRecipeResponse, normalizeRecipe, validateRecipe } from './lib/recipe-schema.js';
+import { parseIngredientLine } from './lib/ingredients.js';
+import { createLlmProvider } from './lib/llm.js';
+import { createOcrProvider, OcrError } from './lib/ocr.js';
+import { scaleRecipe, ScalingError } from './lib/scaling.js';
+import { createFirestoreRecipeStore, RecipeNotFoundError } from './lib/recipe-store.js';
+import { createRecipesRouter } from './routes/recipes.js';
+import { createImportsRouter } from './routes/imports.js';
+import { createImportJobStore, createImportWorker, createImportCallbackNotifier } from './lib/import-jobs.js';
+import { createSafeFetcher, SafeFetchError } from './lib/safe-fetch.js';
+import { createParseCache, canonicalizeUrl, normalizeText } from './lib/parse-cache.js';
+import { createParsePipeline, describeParseError, ParseError } from './lib/parse-pipeline.js';
+import { runBatch, MAX_BATCH_ITEMS } from './lib/batch.js';
+import { createRateLimitStore, createRateLimiter, createTokenBudget } from './lib/rate-limit.js';
+import { wantsEventStream, openEventStream } from './lib/event-stream.js';
+import { createAuthMiddleware, createTokenVerifier, requireAdmin, canAccessStoragePath } from './lib/auth.js';
+import { credentialSource } from './lib/firebase.js';
+import { loadConfig } from './lib/config.js';
+import { saveRecipeImage } from './lib/uploads.js';
+import { importRecipeFile, ImportFileError, IMPORT_FORMATS, MAX_IMPORT_FILE_BYTES } from './lib/import-file.js';
+import { imageContentType, ImageProcessingError } from './lib/image-processing.js';
+import { createImageSigner, MAX_IMAGE_URL_TTL_SECONDS } from './lib/image-urls.js';
+import { exportRecipes, EXPORT_FORMATS, MAX_EXPORT_RECIPES } from './lib/export-recipe.js';
+import { createUploadSessionStore, createUploadQuota } from './lib/upload-sessions.js';
+import { readMultipart, MultipartError } from './lib/multipart.js';
+import { createUploadsRouter } from './routes/uploads.js';
+import { createStorageSweeper, deleteRecipeImages } from './lib/storage-lifecycle.js';
+import { createStorageRouter } from './routes/storage.js';
+
+// Builds the Express app without listening, so tests can mount it on an
+// ephemeral port. Settings come from deps.config (see lib/config.js; loaded
+// from process.env when omitted) and every external dependency can be swapped out:
+//   llm, ocrProvider   extraction providers (see lib/llm.js, lib/ocr.js)
+//   requireAuth        authentication middleware (see lib/auth.js)
+//   recipeStore        /recipes persistence (see lib/recipe-store.js)
+//   bucket             Storage bucket; defaults to the firebase-admin bucket
+//   storageApiBase     Firebase Storage REST endpoint used by /image-proxy
+//   fetch              HTTP client used for Storage REST calls
+//   fetchPage          SSRF-safe fetcher for /parse-url (see lib/safe-fetch.js)
+//   parseCache         parse result cache, null to disable (see lib/parse-cache.js)
+//   rateLimitStore     request and token counters (see lib/rate-limit.js)
+//   rateLimits         overrides config.rateLimits { ipPerMinute, userPerMinute, dailyTokens }, 0 disables one
+//   batch              overrides config.batch { concurrency, hostIntervalMs } (see lib/batch.js)
+//   importJobStore     /imports job persistence (see lib/import-jobs.js)
+//   importWorker       worker options: { concurrency, pollMs, leaseMs, retryDelay, maxAttempts }
+//   imageUrls          overrides config.imageUrls { secret, ttlSeconds, baseUrl } (see lib/image-urls.js)
+//   uploadSessionStore resumable /uploads sessions (see lib/upload-sessions.js)
+//   uploads            overrides config.uploads { maxBytes, maxChunkBytes, maxOpenPerUser, dailyBytes, sessionTtlMs }
+//   storageGc          overrides config.storageGc { intervalHours, minAgeDays, dryRun, now }
+//   firebaseStatus     Firebase Admin start-up result for /diagnostics (see lib/firebase.js)
+// Neither the import worker nor the storage sweeper is started here: call
+// app.locals.importWorker.start() and app.locals.storageSweeper.start() once
+// the server listens.
+export function createApp(deps = {}) {
+  const config = deps.config || loadConfig();
+  const llm = deps.llm || createLlmProvider(config.llm.provider, {
+    apiKey: config.llm.apiKey,
+    baseURL: config.llm.baseUrl,
+    model: config.llm.model,
+    jsonMode: config.llm.jsonMode,
+    fixturesDir: config.llm.fixturesDir
+  });
+  const ocrProvider = deps.ocrProvider || createOcrProvider(config.ocr.provider, {
+    llm,
+    model: config.ocr.model,
+    languages: config.ocr.languages
+  });
+  const requireAuth = deps.requireAuth || createAuthMiddleware({ verifyIdToken: createTokenVerifier(config) });
+  const recipeStore = deps.recipeStore || createFirestoreRecipeStore();
+  const getBucket = deps.bucket ? () => deps.bucket : () => admin.storage().bucket();
+  const storageApiBase = deps.storageApiBase || config.firebase.storageApiBase;
+  const fetch = deps.fetch || nodeFetch;
+  const fetchPage = deps.fetchPage || createSafeFetcher();
+  const parseCache = deps.parseCache !== undefined
+    ? deps.parseCache
+    : createParseCache(config.stores.parseCache, { ttlSeconds: config.parseCache.ttlSeconds });
+  const rateLimitStore = deps.rateLimitStore || createRateLimitStore(config.stores.rateLimits);
+  const rateLimits = { ...config.rateLimits, ...deps.rateLimits };
+  const batchOptions = { ...config.batch, ...deps.batch };
+  const importJobStore = deps.importJobStore || createImportJobStore(config.stores.importJobs);
+  const { maxAttempts, ...importWorkerOptions } = deps.importWorker || {};
+  const imageUrlOptions = { ...config.imageUrls, ...deps.imageUrls };
+  const imageSigner = createImageSigner(imageUrlOptions);
+  const uploadSessionStore = deps.uploadSessionStore || createUploadSessionStore(config.stores.uploadSessions);
+  const firebaseStatus = deps.firebaseStatus || {
+    initialized: admin.apps.length > 0,
+    credentialSource: credentialSource(config.firebase),
+    projectId: admin.apps[0]?.options.projectId || null,
+    storageBucket: admin.apps[0]?.options.storageBucket || null,
+    error: null
+  };
+  const uploadLimits = { sessionTtlMs: 24 * 60 * 60 * 1000, ...config.uploads, ...deps.uploads };
+  const { maxTextLength, maxPageTextLength } = config.limits;
+  const storageSweeper = createStorageSweeper({
+    getBucket,
+    recipeStore,
+    uploadSessionStore,
+    ...config.storageGc,
+    ...deps.storageGc
+  });
+
+  console.log(`🧠 Using ${llm.name} LLM provider (model: ${llm.model})`);
+
+  const app = express();
+
+  // Client IPs for rate limiting come from X-Forwarded-For; Railway adds one proxy hop
+  const { trustProxy } = config;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
+  // Enhanced CORS configuration for mobile apps
+  app.use(cors({
+    // CORS_ORIGINS; "*" (the default) allows every origin for mobile compatibility
+    origin: config.cors.origins.includes('*') ? '*' : config.cors.origins,
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Upload-Offset'],
+    exposedHeaders: ['Location', 'Upload-Offset'],
+    credentials: false
+  }));
+
+  app.use(express.json({ limit: '10mb' }));
+
+  // Sets X-Cache to HIT or MISS, or BYPASS when the client sent cache: "bypass"
+  async function readParseCache(res, input, mode) {
+    const { response, status } = await pipeline.lookup(input, mode);
+    if (status) res.set('X-Cache', status);
+    return response;
+  }
+
+  function invalidCacheMode(cache) {
+    return cache !== undefined && cache !== 'default' && cache !== 'bypass';
+  }
+
+  // Basic health check endpoint
+  app.get('/', (req, res) => {
+    res.json({ 
+      status: 'OK', 
+      message: 'Chef Choice Recipe Parser API',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Absolute signed URL for a stored image -> { url, expiresAt }
+  function signedImageUrl(req, storagePath, options) {
+    const { path, expiresAt } = imageSigner.sign(storagePath, options);
+    return { url: new URL(path, imageUrlOptions.baseUrl || `${req.protocol}://${req.get('host')}`).href, expiresAt };
+  }
+
+  // Processes and stores an uploaded image; the response body of /upload-image
+  // and /uploads/:id/complete
+  function saveUploadedImage(req, { uid, data, fileName, recipeId }) {
+    return saveRecipeImage(getBucket(), {
+      uid,
+      data,
+      fileName,
+      recipeId,
+      urlFor: path => signedImageUrl(req, path).url
+    });
+  }
+
+  // Streams a stored image with ETag revalidation and single byte ranges
+  async function serveImage(req, res, storagePath, { signed }) {
+    try {
+      const file = getBucket().file(storagePath);
+      const [metadata] = await file.getMetadata();
+      const size = Number(metadata.size);
+      const etag = `"${metadata.md5Hash || metadata.etag || metadata.generation || size}"`;
+
+      res.set({
+        'Content-Type': metadata.contentType || 'application/octet-stream',
+        'ETag': etag,
+        'Accept-Ranges': 'bytes',
+        // A signed URL may be cached by anyone until it expires; a token request only by the client
+        'Cache-Control': signed
+          ? `public, max-age=${Math.max(Number(req.query.expires) - Math.floor(Date.now() / 1000), 0)}`
+          : 'private, max-age=3600',
+        // Older uploads kept whatever content type the client claimed
+        'Content-Security-Policy': "default-src 'none'",
+        'X-Content-Type-Options': 'nosniff'
+      });
+      if (metadata.updated) res.set('Last-Modified', new Date(metadata.updated).toUTCString());
+      if (req.fresh) return res.status(304).end();
+
+      let start = 0;
+      let end = size - 1;
+      const ifRange = req.get('If-Range');
+      if (req.get('Range') && (!ifRange || ifRange === etag)) {
+        const ranges = req.range(size, { combine: true });
+        if (ranges === -1) {
+          res.set('Content-Range', `bytes */${size}`);
+          return res.status(416).end();
+        }
+        // Malformed or multiple ranges get the whole file
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+          ({ start, end } = ranges[0]);
+          res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+        }
+      }
+
+      res.set('Content-Length', String(Math.max(end - start + 1, 0)));
+      if (req.method === 'HEAD' || !size) return res.end();
+      file.createReadStream({ start, end })
+        .on('error', error => {
+          console.error('❌ Image stream error:', error.message);
+          res.destroy(error);
+        })
+        .pipe(res);
+    } catch (error) {
+      if (error.code === 404) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+      console.error('❌ Image read error:', error.message || error);
+      res.status(500).json({ error: 'Failed to load image: ' + (error.message || 'Unknown error') });
+    }
+  }
+
+  // Private recipe images, by signed URL (expires + sig, see lib/image-urls.js)
+  // or with the ID token of a user allowed to read the path. Registered ahead of
+  // the per-IP limit: a list view loads dozens of thumbnails, and checking a
+  // signature costs one HMAC.
+  app.get('/images/*', (req, res) => {
+    const storagePath = req.params[0];
+    if (!storagePath.startsWith('recipes/') || storagePath.includes('..')) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    if (req.query.sig !== undefined || req.query.expires !== undefined) {
+      const verdict = imageSigner.verify(storagePath, req.query);
+      if (verdict !== 'valid') {
+        return verdict === 'expired'
+          ? res.status(403).json({ error: 'Image URL has expired', code: 'url-expired' })
+          : res.status(403).json({ error: 'Invalid image signature', code: 'invalid-signature' });
+      }
+      return serveImage(req, res, storagePath, { signed: true });
+    }
+
+    requireAuth(req, res, () => {
+      if (!canAccessStoragePath(req.user.uid, storagePath)) {
+        return res.status(403).json({ error: 'Access denied to this file' });
+      }
+      serveImage(req, res, storagePath, { signed: false });
+    });
+  });
+
+  // Every route below the health check is limited per client IP; the model-backed
+  // parse routes additionally per user and by a daily token budget
+  app.use(createRateLimiter({ store: rateLimitStore, name: 'ip', limit: rateLimits.ipPerMinute, keyFor: req => `ip:${req.ip}` }));
+  const parseRateLimit = createRateLimiter({ store: rateLimitStore, name: 'parse', limit: rateLimits.userPerMinute });
+  const tokenBudget = createTokenBudget({ store: rateLimitStore, dailyTokens: rateLimits.dailyTokens });
+  const uploadQuota = createUploadQuota({ store: rateLimitStore, dailyBytes: uploadLimits.dailyBytes });
+  const pipeline = createParsePipeline({
+    llm,
+    ocrProvider,
+    fetchPage,
+    getBucket,
+    parseCache,
+    tokenBudget,
+    maxTextLength,
+    maxPageTextLength
+  });
+
+  // Background imports run the same pipeline; a cached result counts as done
+  async function runImportJob({ uid, type, input }) {
+    if (type === 'image') return pipeline.parseImage({ storagePath: input.storagePath }, { uid });
+    const { cache, ...subject } = input;
+    const { response } = await pipeline.lookup(subject, cache);
+    if (response) return response;
+    return type === 'url' ? pipeline.parseUrl(input.url, { uid }) : pipeline.parseText(input.text, { uid });
+  }
+
+  const importWorker = createImportWorker({
+    store: importJobStore,
+    run: runImportJob,
+    describeError: describeParseError,
+    notify: createImportCallbackNotifier({
+      store: importJobStore,
+      fetchPage,
+      secret: config.importJobs.callbackSecret,
+      retryDelay: importWorkerOptions.retryDelay
+    }),
+    ...importWorkerOptions
+  });
+  app.locals.importWorker = importWorker;
+
+  // Recipe parsing endpoint with enhanced security
+  app.post('/parse-recipe', requireAuth, parseRateLimit, tokenBudget.check, async (req, res) => {
+    const { text, cache } = req.body;
+
+    // Validate request
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ error: 'Invalid request: text is required' });
+    }
+
+    // Size limit: MAX_TEXT_LENGTH characters
+    if (text.length > maxTextLength) {
+      return res.status(400).json({ error: `Text too long. Maximum ${maxTextLength} characters allowed.` });
+    }
+
+    if (invalidCacheMode(cache)) {
+      return res.status(400).json({ error: 'Invalid request: cache must be "default" or "bypass"' });
+    }
+
+    console.log('📥 Received text for parsing:', text.slice(0, 100)); // preview first 100 chars
+
+    // "Accept: text/event-stream" streams progress (see lib/event-stream.js)
+    let events = null;
+    const send = payload => (events ? events.result(payload) : res.json(payload));
+    const fail = (status, body) => (events ? events.error(status, body) : res.status(status).json(body));
+
+    try {
+      const cached = await readParseCache(res, { text }, cache);
+      if (wantsEventStream(req)) events = openEventStream(res);
+      if (cached) {
+        console.log('⚡ Serving cached parse result');
+        return send(cached);
+      }
+
+      send(await pipeline.parseText(text, { uid: req.user.uid, onEvent: events?.send }));
+    } catch (err) {
+      const failure = describeParseError(err);
+      if (failure) return fail(failure.status, failure.body);
+      console.error('❌ OpenAI error:', err.response?.data || err.message || err);
+      fail(500, { error: 'OpenAI API error' });
+    }
+  });
+
+  // URL parsing endpoint
+  app.post('/parse-url', requireAuth, parseRateLimit, tokenBudget.check, async (req, res) => {
+    const { url, cache } = req.body;
+
+    // Validate request
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: 'Invalid request: url is required' });
+    }
+
+    if (invalidCacheMode(cache)) {
+      return res.status(400).json({ error: 'Invalid request: cache must be "default" or "bypass"' });
+    }
+
+    let events = null;
+    const send = payload => (events ? events.result(payload) : res.json(payload));
+    const fail = (status, body) => (events ? events.error(status, body) : res.status(status).json(body));
+
+    try {
+      const cached = await readParseCache(res, { url }, cache);
+      if (wantsEventStream(req)) events = openEventStream(res);
+      if (cached) {
+        console.log('⚡ Serving cached parse result for', url);
+        return send(cached);
+      }
+
+      send(await pipeline.parseUrl(url, { uid: req.user.uid, onEvent: events?.send }));
+    } catch (err) {
+      const failure = describeParseError(err);
+      if (failure) {
+        if (err instanceof SafeFetchError) console.log('🚫 Could not fetch URL:', err.code, err.message);
+        return fail(failure.status, failure.body);
+      }
+      console.error('❌ URL parsing error:', err.message || err);
+      fail(500, { error: 'Failed to fetch or parse recipe from URL: ' + (err.message || 'Unknown error') });
+    }
+  });
+
+  // Image import endpoint: server-side OCR, then the same extraction as /parse-recipe
+  app.post('/parse-image', requireAuth, parseRateLimit, tokenBudget.check, async (req, res) => {
+    const { imageData, contentType, storagePath } = req.body;
+
+    // Validate request
+    if (!imageData && !storagePath) {
+      return res.status(400).json({ error: 'Invalid request: imageData or storagePath is required' });
+    }
+    if (imageData && (typeof imageData !== 'string' || !/^image\//.test(contentType || ''))) {
+      return res.status(400).json({ error: 'Invalid request: imageData must be base64 with an image contentType' });
+    }
+    if (storagePath && !canAccessStoragePath(req.user.uid, storagePath)) {
+      console.log('🚫 Image access denied for user', req.user.uid, 'path:', storagePath);
+      return res.status(403).json({ error: 'Access denied to this file' });
+    }
+
+    try {
+      const image = imageData ? { imageBuffer: Buffer.from(imageData, 'base64'), contentType } : { storagePath };
+      res.json(await pipeline.parseImage(image, { uid: req.user.uid }));
+    } catch (err) {
+      const failure = describeParseError(err);
+      if (failure) {
+        if (err instanceof OcrError) console.log('❌ OCR failed:', err.message);
+        return res.status(failure.status).json(failure.body);
+      }
+      console.error('❌ Image parsing error:', err.message || err);
+      res.status(500).json({ error: 'Failed to parse recipe from image: ' + (err.message || 'Unknown error') });
+    }
+  });
+
+  // Bulk import: up to MAX_BATCH_ITEMS { url } or { text } items, parsed like
+  // /parse-url and /parse-recipe. Every item gets its own result or error.
+  app.post('/parse-batch', requireAuth, parseRateLimit, tokenBudget.check, async (req, res) => {
+    const { items, cache } = req.body;
+
+    // Validate request
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).json({ error: 'Invalid request: items must be a non-empty array' });
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({ error: `Too many items. Maximum ${MAX_BATCH_ITEMS} per batch.` });
+    }
+    if (invalidCacheMode(cache)) {
+      return res.status(400).json({ error: 'Invalid request: cache must be "default" or "bypass"' });
+    }
+    const invalid = items.findIndex(item => !(
+      (typeof item?.url === 'string' && item.url && item.text === undefined) ||
+      (typeof item?.text === 'string' && item.text && item.text.length <= maxTextLength && item.url === undefined)
+    ));
+    if (invalid !== -1) {
+      return res.status(400).json({ error: `Invalid request: item ${invalid} must be { url } or { text } of at most ${maxTextLength} characters` });
+    }
+
+    const uid = req.user.uid;
+
+    // The same recipe pasted twice is only parsed once
+    const tasks = new Map();
+    items.forEach((item, index) => {
+      const key = item.url !== undefined ? `url:${canonicalizeUrl(item.url)}` : `text:${normalizeText(item.text)}`;
+      if (!tasks.has(key)) tasks.set(key, { input: item.url !== undefined ? { url: item.url } : { text: item.text }, indexes: [] });
+      tasks.get(key).indexes.push(index);
+    });
+    console.log('📚 Batch of', items.length, 'items', `(${tasks.size} distinct)`, 'for user', uid);
+
+    try {
+      // Cache hits do not wait for a slot or a host's turn
+      const uncached = [];
+      for (const task of tasks.values()) {
+        const { response } = await pipeline.lookup(task.input, cache);
+        if (response) task.outcome = { ok: true, value: response };
+        else uncached.push(task);
+      }
+
+      const outcomes = await runBatch(uncached, {
+        ...batchOptions,
+        hostOf: ({ input }) => {
+          try {
+            return input.url !== undefined ? new URL(input.url).hostname.toLowerCase() : null;
+          } catch (e) {
+            return null;
+          }
+        },
+        run: async ({ input }) => {
+          if (await tokenBudget.exhausted(uid)) {
+            throw new ParseError('Daily token budget exhausted', 'token-budget-exceeded', 429);
+          }
+          return input.url !== undefined ? pipeline.parseUrl(input.url, { uid }) : pipeline.parseText(input.text, { uid });
+        }
+      });
+      uncached.forEach((task, i) => {
+        task.outcome = outcomes[i];
+      });
+
+      const results = new Array(items.length);
+      for (const { outcome, indexes } of tasks.values()) {
+        for (const index of indexes) {
+          if (outcome.ok) {
+            // Each item names the URL it was asked for
+            const url = items[index].url;
+            const result = url !== undefined ? { ...outcome.value, source: { type: 'url', url } } : outcome.value;
+            results[index] = { index, ok: true, result };
+            continue;
+          }
+          const failure = describeParseError(outcome.error);
+          if (!failure) console.error('❌ Batch item failed:', outcome.error.message || outcome.error);
+          const { status, body } = failure || { status: 500, body: { error: 'Failed to parse item: ' + (outcome.error.message || 'Unknown error') } };
+          results[index] = { index, ok: false, error: { status, ...body } };
+        }
+      }
+
+      const succeeded = results.filter(result => result.ok).length;
+      console.log('✅ Batch finished:', succeeded, 'of', items.length, 'items parsed');
+      res.json({
+        version: RECIPE_SCHEMA_VERSION,
+        results,
+        summary: { total: items.length, succeeded, failed: items.length - succeeded }
+      });
+    } catch (err) {
+      console.error('❌ Batch parsing error:', err.message || err);
+      res.status(500).json({ error: 'Failed to parse batch: ' + (err.message || 'Unknown error') });
+    }
+  });
+
+  // Export file import (deterministic, no OpenAI call): Paprika, Mealie,
+  // Tandoor, Meal-Master and Recipe Keeper exports. Takes either JSON with
+  // base64 fileData or multipart/form-data with the export as a file part
+  // ("file") and fileName, format and uploadImages as fields. Embedded photos
+  // go through the same storage path as /upload-image.
+  app.post('/import-file', requireAuth, async (req, res) => {
+    const uid = req.user.uid;
+
+    let fileBuffer, fileName, format, uploadImages;
+    if (req.is('multipart/form-data')) {
+      try {
+        const { fields, file } = await readMultipart(req, { maxFileBytes: MAX_IMPORT_FILE_BYTES });
+        if (!file || !file.data.length) {
+          return res.status(400).json({ error: 'Invalid request: file part is required' });
+        }
+        fileBuffer = file.data;
+        fileName = fields.fileName || file.fileName;
+        format = fields.format;
+        uploadImages = fields.uploadImages !== 'false';
+      } catch (error) {
+        if (error instanceof MultipartError) {
+          return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('❌ Multipart import error:', error);
+        return res.status(500).json({ error: 'Failed to read upload: ' + error.message });
+      }
+    } else {
+      const { fileData } = req.body;
+      ({ fileName, format, uploadImages = true } = req.body);
+      if (!fileData || typeof fileData !== 'string') {
+        return res.status(400).json({ error: 'Invalid request: fileData (base64) is required' });
+      }
+      fileBuffer = Buffer.from(fileData, 'base64');
+    }
+    if (format !== undefined && !IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid request: format must be one of ${IMPORT_FORMATS.join(', ')}` });
+    }
+
+    try {
+      const { format: detected, recipes } = importRecipeFile(fileBuffer, { format });
+      console.log(`📦 Importing ${recipes.length} recipe(s) from a ${detected} export`);
+
+      const imported = [];
+      const skipped = [];
+      const batchId = Date.now();
+      for (const [index, entry] of recipes.entries()) {
+        if (entry.errors.length) {
+          skipped.push({ index, title: entry.recipe.title, errors: entry.errors });
+          continue;
+        }
+
+        // Embedded photos count against the same limits as /upload-image; one
+        // that does not fit is reported and the recipe is imported without it
+        const images = [];
+        const skippedImages = [];
+        for (const [n, image] of (uploadImages ? entry.images : []).entries()) {
+          if (image.data.length > uploadLimits.maxBytes) {
+            skippedImages.push({ fileName: image.fileName, error: `File too large. Maximum ${uploadLimits.maxBytes} bytes allowed.`, code: 'file-too-large' });
+            continue;
+          }
+          if (!(await uploadQuota.allows(uid, image.data.length))) {
+            skippedImages.push({ fileName: image.fileName, error: 'Daily upload limit reached', code: 'upload-quota-exceeded' });
+            continue;
+          }
+          try {
+            images.push(await saveUploadedImage(req, {
+              uid,
+              data: image.data,
+              fileName: image.fileName,
+              recipeId: `import-${batchId}-${index}-${n}`
+            }));
+            await uploadQuota.record(uid, image.data.length);
+          } catch (err) {
+            // A photo that fails to upload does not cost the user the recipe
+            console.error('❌ Imported photo upload failed:', err.message || err);
+          }
+        }
+
+        imported.push({
+          index,
+          ...buildRecipeResponse(entry.recipe, {
+            extractionMethod: 'import',
+            source: { type: 'file', format: detected, fileName: fileName || null, url: entry.sourceUrl }
+          }),
+          servings: entry.servings,
+          notes: entry.notes,
+          images,
+          skippedImages
+        });
+      }
+
+      console.log('✅ Import finished:', imported.length, 'imported,', skipped.length, 'skipped');
+      res.json({
+        version: RECIPE_SCHEMA_VERSION,
+        format: detected,
+        recipes: imported,
+        skipped,
+        summary: { total: recipes.length, imported: imported.length, skipped: skipped.length }
+      });
+    } catch (err) {
+      if (err instanceof ImportFileError) {
+        console.log('🚫 Import rejected:', err.message);
+        return res.status(err.status).json({ error: err.message, code: err.code });
+      }
+      console.error('❌ Import error:', err.message || err);
+      res.status(500).json({ error: 'Failed to import file: ' + (err.message || 'Unknown error') });
+    }
+  });
+
+  // Recipe export: JSON-LD, Markdown, printable HTML, plain text or a Paprika
+  // file. Either one recipe in the body or saved recipes by id.
+  app.post('/export-recipe', requireAuth, async (req, res) => {
+    const { format, recipe, recipeId, recipeIds } = req.body;
+    const uid = req.user.uid;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid request: format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if ([recipe, recipeId, recipeIds].filter(value => value !== undefined).length !== 1) {
+      return res.status(400).json({ error: 'Invalid request: provide exactly one of recipe, recipeId or recipeIds' });
+    }
+    const ids = recipeIds ?? (recipeId !== undefined ? [recipeId] : []);
+    if (!Array.isArray(ids) || (recipeIds !== undefined && (!ids.length || ids.length > MAX_EXPORT_RECIPES))) {
+      return res.status(400).json({ error: `Invalid request: recipeIds must be an array of 1 to ${MAX_EXPORT_RECIPES} ids` });
+    }
+    if (ids.some(id => typeof id !== 'string' || !/^[\w-]{1,128}$/.test(id))) {
+      return res.status(404).json({ error: 'Recipe not found', code: 'not-found' });
+    }
+
+    const httpUrl = value => {
+      try {
+        const url = new URL(value);
+        return /^https?:$/.test(url.protocol) ? url.href : null;
+      } catch (e) {
+        return null;
+      }
+    };
+
+    try {
+      let entries;
+      if (recipe !== undefined) {
+        const normalized = normalizeRecipe(recipe);
+        const { valid, errors } = validateRecipe(normalized);
+        if (!valid) {
+          return res.status(400).json({ error: 'Invalid recipe', code: 'invalid-recipe', details: errors });
+        }
+        entries = [{
+          recipe: normalized,
+          servings: req.body.servings ?? recipe.servings ?? null,
+          sourceUrl: httpUrl(req.body.source?.url ?? recipe.source?.url),
+          imageUrl: httpUrl(req.body.imageUrl ?? recipe.imageUrl),
+          photo: null
+        }];
+      } else {
+        const bucket = getBucket();
+        entries = [];
+        for (const id of ids) {
+          const doc = await recipeStore.get(uid, id);
+          const entry = { recipe: doc, servings: doc.servings ?? null, sourceUrl: httpUrl(doc.source?.url), imageUrl: null, photo: null };
+          if (doc.imagePath) {
+            // Exported files outlive the usual URL lifetime, so sign for the maximum
+            entry.imageUrl = signedImageUrl(req, doc.imagePath, { expiresIn: MAX_IMAGE_URL_TTL_SECONDS }).url;
+            // Only the Paprika file carries the photo itself
+            if (format === 'paprika') {
+              try {
+                const [data] = await bucket.file(doc.imagePath).download();
+                const contentType = imageContentType(data);
+                if (contentType) entry.photo = { data, contentType };
+              } catch (err) {
+                console.error('❌ Could not load photo for export:', err.message || err);
+              }
+            }
+          }
+          entries.push(entry);
+        }
+      }
+
+      const { body, contentType, fileName } = exportRecipes(entries, format);
+      console.log(`📤 Exported ${entries.length} recipe(s) as ${format}`);
+      res.attachment(fileName).type(contentType).send(body);
+    } catch (err) {
+      if (err instanceof RecipeNotFoundError) {
+        return res.status(404).json({ error: 'Recipe not found', code: 'not-found' });
+      }
+      console.error('❌ Export error:', err.message || err);
+      res.status(500).json({ error: 'Failed to export recipe: ' + (err.message || 'Unknown error') });
+    }
+  });
+
+  // Ingredient line parsing endpoint (deterministic, no OpenAI call)
+  app.post('/parse-ingredients', requireAuth, (req, res) => {
+    const { lines, text } = req.body;
+
+    let input;
+    if (Array.isArray(lines)) {
+      input = lines;
+    } else if (typeof text === 'string') {
+      input = text.split(/\r?\n/);
+    } else {
+      return res.status(400).json({ error: 'Invalid request: lines (array) or text is required' });
+    }
+
+    if (input.some(line => typeof line !== 'string')) {
+      return res.status(400).json({ error: 'Invalid request: every line must be a string' });
+    }
+
+    const nonEmpty = input.map(line => line.trim()).filter(Boolean);
+    if (nonEmpty.length > 200) {
+      return res.status(400).json({ error: 'Too many lines. Maximum 200 lines allowed.' });
+    }
+
+    const ingredients = nonEmpty.map(line => {
+      const { remainder, ...parsed } = parseIngredientLine(line.slice(0, 500));
+      return parsed;
+    });
+
+    res.json({ version: RECIPE_SCHEMA_VERSION, ingredients });
+  });
+
+  // Recipe scaling and unit conversion endpoint
+  app.post('/scale-recipe', requireAuth, (req, res) => {
+    const { recipe, servings, targetServings, unitSystem } = req.body;
+
+    // Validate request
+    if (!recipe || typeof recipe !== 'object' || !Array.isArray(recipe.ingredientsByProcessingStep)) {
+      return res.status(400).json({ error: 'Invalid request: recipe with ingredientsByProcessingStep is required' });
+    }
+
+    try {
+      const result = scaleRecipe(recipe, {
+        servings: servings ?? recipe.servings,
+        targetServings,
+        unitSystem
+      });
+      console.log(`⚖️ Scaled recipe by ${result.factor} (${result.unitSystem}), ${result.unconverted.length} lines unconverted`);
+
+      res.json({ version: RECIPE_SCHEMA_VERSION, ...result });
+    } catch (error) {
+      if (error instanceof ScalingError) {
+        return res.status(400).json({ error: `Invalid request: ${error.message}` });
+      }
+      console.error('❌ Recipe scaling error:', error);
+      res.status(500).json({ error: 'Failed to scale recipe: ' + error.message });
+    }
+  });
+
+  // Saved recipes (Firestore), scoped to the authenticated user
+  app.use('/recipes', createRecipesRouter({
+    store: recipeStore,
+    requireAuth,
+    onRemove: (uid, recipe) => deleteRecipeImages({ bucket: getBucket(), recipeStore, uid, recipeId: recipe.id, imagePath: recipe.imagePath })
+  }));
+
+  // Background imports: POST /imports queues, GET /imports/:id reports
+  app.use('/imports', createImportsRouter({
+    store: importJobStore,
+    worker: importWorker,
+    requireAuth,
+    limits: [parseRateLimit, tokenBudget.check],
+    maxAttempts,
+    maxTextLength
+  }));
+
+  // Listing and cleanup of uploaded images (see routes/storage.js)
+  app.use('/storage', createStorageRouter({
+    getBucket,
+    recipeStore,
+    sweeper: storageSweeper,
+    requireAuth,
+    requireAdmin,
+    urlFor: (req, path) => signedImageUrl(req, path).url
+  }));
+  app.locals.storageSweeper = storageSweeper;
+
+  // Resumable chunked uploads for large images (see routes/uploads.js)
+  app.use('/uploads', createUploadsRouter({
+    store: uploadSessionStore,
+    getBucket,
+    requireAuth,
+    saveImage: saveUploadedImage,
+    quota: uploadQuota,
+    limits: uploadLimits
+  }));
+
+  // Fresh signed URLs for many images at once, e.g. when a list view's URLs
+  // are about to expire. Paths the caller may not read are listed in denied.
+  app.post('/images/sign', requireAuth, (req, res) => {
+    const { paths, expiresIn } = req.body;
+    if (!Array.isArray(paths) || !paths.length || paths.length > 200 || paths.some(path => typeof path !== 'string')) {
+      return res.status(400).json({ error: 'Invalid request: paths must be an array of 1 to 200 storage paths' });
+    }
+    if (expiresIn !== undefined && !(Number.isInteger(expiresIn) && expiresIn > 0 && expiresIn <= MAX_IMAGE_URL_TTL_SECONDS)) {
+      return res.status(400).json({ error: `Invalid request: expiresIn must be 1 to ${MAX_IMAGE_URL_TTL_SECONDS} seconds` });
+    }
+
+    const urls = {};
+    const denied = [];
+    let expiresAt = null;
+    for (const path of new Set(paths)) {
+      if (!canAccessStoragePath(req.user.uid, path)) {
+        denied.push(path);
+        continue;
+      }
+      ({ url: urls[path], expiresAt } = signedImageUrl(req, path, { expiresIn }));
+    }
+    res.json({ urls, denied, expiresAt });
+  });
+
+  // Image proxy endpoint for authenticated image loading. Kept for older app
+  // versions; new clients load signed GET /images URLs instead.
+  app.post('/image-proxy', requireAuth, async (req, res) => {
+    console.log('🖼️ === IMAGE PROXY REQUEST START ===');
+
+    const { storagePath } = req.body;
+    // Older clients still send the ID token in the body; the verified header token wins
+    const authToken = req.idToken;
+
+    // Validate request
+    if (!storagePath) {
+      console.log('❌ Missing required fields:', { storagePath: !!storagePath });
+      return res.status(400).json({ error: 'Missing storagePath' });
+    }
+
+    if (!canAccessStoragePath(req.user.uid, storagePath)) {
+      console.log('🚫 Image access denied for user', req.user.uid, 'path:', storagePath);
+      return res.status(403).json({ error: 'Access denied to this file' });
+    }
+
+    console.log('🖼️ Proxying authenticated image request for user', req.user.uid, 'path:', storagePath);
+
+    try {
+      // Use Firebase Storage REST API directly with the user's auth token
+      // This avoids the need for Firebase Admin SDK service account credentials
+
+      console.log('🔗 Building Firebase Storage REST API URL...');
+      const encodedPath = encodeURIComponent(storagePath);
+      const storageUrl = `${storageApiBase}/v0/b/${config.firebase.storageBucket}/o/${encodedPath}?alt=media`;
+      console.log('📡 Storage URL:', storageUrl);
+
+      console.log('📤 Making authenticated request to Firebase Storage...');
+      const storageResponse = await fetch(storageUrl, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${authToken}`,
+          'Accept': '*/*'
+        }
+      });
+
+      console.log('📥 Firebase Storage response status:', storageResponse.status);
+
+      if (!storageResponse.ok) {
+        const errorText = await storageResponse.text();
+        console.log('❌ Firebase Storage error response:', errorText);
+
+        if (storageResponse.status === 401) {
+          return res.status(401).json({ error: 'Authentication failed' });
+        } else if (storageResponse.status === 403) {
+          return res.status(403).json({ error: 'Access denied to this file' });
+        } else if (storageResponse.status === 404) {
+          return res.status(404).json({ error: 'Image not found' });
+        } else {
+          return res.status(storageResponse.status).json({ error: `Firebase Storage error: ${errorText}` });
+        }
+      }
+
+      // Get content type from Firebase Storage response
+      const contentType = storageResponse.headers.get('content-type') || 'image/jpeg';
+      const contentLength = storageResponse.headers.get('content-length');
+
+      console.log('📋 Image metadata from Firebase:', {
+        contentType,
+        contentLength,
+        status: storageResponse.status
+      });
+
+      // Set appropriate headers
+      res.set('Content-Type', contentType);
+      if (contentLength) {
+        res.set('Content-Length', contentLength);
+      }
+      res.set('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+
+      console.log('📤 Streaming image data from Firebase Storage...');
+
+      // Stream the response body to the client
+      if (storageResponse.body) {
+        storageResponse.body.pipe(res);
+        console.log('✅ Successfully started streaming image');
+      } else {
+        // Fallback for older Node.js versions
+        const buffer = await storageResponse.buffer();
+        res.send(buffer);
+        console.log('✅ Successfully sent image buffer, size:', buffer.length);
+      }
+
+    } catch (error) {
+      console.error('❌ Image proxy error:', error.message, error.code || '');
+
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to proxy image: ' + error.message });
+      }
+    }
+
+    console.log('🖼️ === IMAGE PROXY REQUEST END ===');
+  });
+
+  // Admin-only health report: Firebase Admin start-up, Storage reachability,
+  // LLM configuration and the caller's verified token claims. Reports whether
+  // secrets are set, never their values.
+  app.get('/diagnostics', requireAuth, requireAdmin, async (req, res) => {
+    const storage = { bucket: null, reachable: false, latencyMs: null, error: null };
+    const started = Date.now();
+    try {
+      const bucket = getBucket();
+      storage.bucket = bucket.name;
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Timed out after 5 s')), 5000);
+      });
+      const [exists] = await Promise.race([bucket.exists(), timeout]).finally(() => clearTimeout(timer));
+      storage.reachable = exists;
+      if (!exists) storage.error = 'Bucket does not exist';
+    } catch (error) {
+      storage.error = error.message;
+    }
+    storage.latencyMs = Date.now() - started;
+
+    const llmStatus = {
+      provider: llm.name,
+      model: llm.model,
+      apiKeyConfigured: Boolean(config.llm.apiKey),
+      baseUrl: config.llm.baseUrl,
+      ocrProvider: ocrProvider.name || null
+    };
+    const llmReady = llm.name !== 'openai' || llmStatus.apiKeyConfigured;
+
+    console.log('🩺 Diagnostics requested by admin', req.user.uid);
+    res.json({
+      status: firebaseStatus.initialized && storage.reachable && llmReady ? 'ok' : 'degraded',
+      profile: config.profile,
+      firebase: firebaseStatus,
+      storage,
+      llm: llmStatus,
+      caller: { uid: req.user.uid, claims: req.user.claims },
+      checkedAt: new Date().toISOString()
+    });
+  });
+
+  // Image upload endpoint for iOS compatibility. Takes either JSON with
+  // base64 imageData or multipart/form-data with the image as a file part
+  // ("image") and fileName, recipeId and userId as fields.
+  app.post('/upload-image', requireAuth, async (req, res) => {
+    console.log('📷 Received image upload request');
+    const uid = req.user.uid;
+
+    let imageBuffer, fileName, userId, recipeId;
+    if (req.is('multipart/form-data')) {
+      try {
+        const { fields, file } = await readMultipart(req, { maxFileBytes: uploadLimits.maxBytes });
+        if (!file || !file.data.length) {
+          return res.status(400).json({ error: 'Missing required file part: image' });
+        }
+        imageBuffer = file.data;
+        fileName = fields.fileName || file.fileName;
+        ({ userId, recipeId } = fields);
+      } catch (error) {
+        if (error instanceof MultipartError) {
+          return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('❌ Multipart upload error:', error);
+        return res.status(500).json({ error: 'Failed to read upload: ' + error.message });
+      }
+    } else {
+      // contentType is still sent by older clients but the bytes decide the type
+      const { imageData } = req.body;
+      ({ fileName, userId, recipeId } = req.body);
+      if (!imageData || typeof imageData !== 'string') {
+        return res.status(400).json({ error: 'Missing required fields: imageData, fileName' });
+      }
+      imageBuffer = Buffer.from(imageData, 'base64');
+    }
+
+    // Validate request
+    if (!fileName || typeof fileName !== 'string') {
+      return res.status(400).json({ error: 'Missing required fields: imageData, fileName' });
+    }
+
+    // userId is optional and only accepted when it matches the verified token
+    if (userId && userId !== uid) {
+      console.log('🚫 Upload userId does not match token uid');
+      return res.status(403).json({ error: 'userId does not match authenticated user' });
+    }
+
+    if (recipeId !== undefined && !/^[\w-]{1,128}$/.test(String(recipeId))) {
+      return res.status(400).json({ error: 'Invalid recipeId' });
+    }
+
+    console.log('📁 Image buffer size:', imageBuffer.length);
+    if (imageBuffer.length > uploadLimits.maxBytes) {
+      return res.status(413).json({ error: `File too large. Maximum ${uploadLimits.maxBytes} bytes allowed.`, code: 'file-too-large' });
+    }
+    if (!(await uploadQuota.allows(uid, imageBuffer.length))) {
+      return res.status(429).json({ error: 'Daily upload limit reached', code: 'upload-quota-exceeded' });
+    }
+
+    try {
+      const { uploadPath, downloadURL, contentType, variants } = await saveUploadedImage(req, {
+        uid,
+        data: imageBuffer,
+        fileName,
+        recipeId
+      });
+      await uploadQuota.record(uid, imageBuffer.length);
+
+      console.log('✅ Image processed and uploaded:', uploadPath);
+
+      res.json({
+        success: true,
+        downloadURL: downloadURL,
+        uploadPath: uploadPath,
+        contentType,
+        variants
+      });
+
+    } catch (error) {
+      if (error instanceof ImageProcessingError) {
+        console.log('🚫 Image rejected:', error.message);
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+      console.error('❌ Image upload error:', error);
+      res.status(500).json({ error: 'Failed to upload image: ' + error.message });
+    }
+  });
+
+  return app;
+}
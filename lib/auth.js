@@ -0,0 +1,123 @@
+import crypto from 'node:crypto';
+import admin from 'firebase-admin';
+
+// Firebase ID-token authentication shared by every protected route.
+//
+// Clients send `Authorization: Bearer <Firebase ID token>`. By default tokens are
+// verified with firebase-admin, which also honours FIREBASE_AUTH_EMULATOR_HOST.
+// Outside production, config.auth.localPublicKey (AUTH_LOCAL_PUBLIC_KEY, a PEM
+// public key) switches to local RS256 verification so tests can mint their own
+// tokens; lib/config.js refuses it in the prod profile.
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Verify a JWT signed with a locally generated key, applying the same claim
+// checks firebase-admin performs for real ID tokens
+export function createLocalTokenVerifier(publicKeyPem, projectId) {
+  const publicKey = crypto.createPublicKey(publicKeyPem);
+
+  return async function verifyLocalToken(idToken) {
+    const parts = idToken.split('.');
+    if (parts.length !== 3) {
+      throw new Error('Malformed ID token');
+    }
+
+    const [headerSegment, payloadSegment, signatureSegment] = parts;
+    const header = JSON.parse(base64UrlDecode(headerSegment).toString('utf8'));
+    if (header.alg !== 'RS256') {
+      throw new Error(`Unsupported token algorithm: ${header.alg}`);
+    }
+
+    const valid = crypto.verify(
+      'RSA-SHA256',
+      Buffer.from(`${headerSegment}.${payloadSegment}`),
+      publicKey,
+      base64UrlDecode(signatureSegment)
+    );
+    if (!valid) {
+      throw new Error('Invalid token signature');
+    }
+
+    const payload = JSON.parse(base64UrlDecode(payloadSegment).toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof payload.exp !== 'number' || payload.exp <= now) {
+      throw new Error('ID token has expired');
+    }
+    if (projectId && payload.aud !== projectId) {
+      throw new Error('ID token has incorrect audience');
+    }
+    if (projectId && payload.iss !== `https://securetoken.google.com/${projectId}`) {
+      throw new Error('ID token has incorrect issuer');
+    }
+    if (!payload.sub || typeof payload.sub !== 'string') {
+      throw new Error('ID token has no subject');
+    }
+
+    return { ...payload, uid: payload.sub };
+  };
+}
+
+// Picks the verifier for a loaded config (see lib/config.js)
+export function createTokenVerifier({ auth, firebase, profile }) {
+  if (auth.localPublicKey && profile !== 'prod') {
+    console.log('🔑 Verifying ID tokens against local public key');
+    return createLocalTokenVerifier(auth.localPublicKey.replace(/\\n/g, '\n'), firebase.projectId);
+  }
+  return idToken => admin.auth().verifyIdToken(idToken);
+}
+
+export function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Express middleware: rejects requests without a valid ID token and exposes the
+// verified identity as req.user ({ uid, claims }) and the raw token as req.idToken
+export function createAuthMiddleware({ verifyIdToken }) {
+  return async function requireAuth(req, res, next) {
+    const idToken = getBearerToken(req);
+    if (!idToken) {
+      return res.status(401).json({ error: 'Unauthorized', code: 'missing-token' });
+    }
+
+    try {
+      const claims = await verifyIdToken(idToken);
+      req.user = { uid: claims.uid, claims };
+      req.idToken = idToken;
+      next();
+    } catch (error) {
+      console.log('🚫 Rejected ID token:', error.code || error.message);
+      res.status(401).json({ error: 'Unauthorized', code: 'invalid-token' });
+    }
+  };
+}
+
+// Runs after requireAuth: only tokens carrying the custom claim admin: true
+// (set with admin.auth().setCustomUserClaims) get through
+export function requireAdmin(req, res, next) {
+  if (req.user?.claims?.admin !== true) {
+    console.log('🚫 Admin route refused for user', req.user?.uid);
+    return res.status(403).json({ error: 'Forbidden', code: 'admin-only' });
+  }
+  next();
+}
+
+// Recipe images live under recipes/{uid}/...; older uploads sit directly under
+// recipes/ and stay readable by any signed-in user.
+export function canAccessStoragePath(uid, storagePath) {
+  if (typeof storagePath !== 'string' || storagePath.includes('..')) return false;
+
+  const segments = storagePath.split('/');
+  if (segments[0] !== 'recipes' || segments.length < 2) return false;
+  if (segments.length === 2) return true;
+  return segments[1] === uid;
+}
+
+// File names end up in storage paths, so keep them to a single safe segment
+export function sanitizeFileName(fileName) {
+  return String(fileName).split(/[\\/]/).pop().replace(/[^\w.\-]+/g, '_').slice(0, 200);
+}
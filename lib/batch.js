@@ -0,0 +1,64 @@
+// Scheduling for /parse-batch: many items, a bounded number in flight, and
+// politeness towards the sites being fetched. Items on the same host run one
+// at a time with at least hostIntervalMs between them, while items for other
+// hosts (and text items, which have no host) keep the remaining slots busy.
+
+export const MAX_BATCH_ITEMS = 50;
+
+// Resolves, in input order, to { ok: true, value } or { ok: false, error } per
+// item; one failing item never stops the others. hostOf(item) -> host | null.
+export function runBatch(items, { run, hostOf = () => null, concurrency = 4, hostIntervalMs = 1000, now = Date.now }) {
+  const pending = items.map((item, index) => ({ item, index }));
+  const results = new Array(items.length);
+  // host -> { busy, nextAt }
+  const hosts = new Map();
+  let active = 0;
+  let timer = null;
+  let timerAt = Infinity;
+
+  return new Promise(resolve => {
+    function start({ item, index }, host) {
+      active += 1;
+      if (host) hosts.set(host, { busy: true, nextAt: 0 });
+
+      Promise.resolve()
+        .then(() => run(item, index))
+        .then(value => ({ ok: true, value }), error => ({ ok: false, error }))
+        .then(outcome => {
+          results[index] = outcome;
+          active -= 1;
+          if (host) hosts.set(host, { busy: false, nextAt: now() + hostIntervalMs });
+          pump();
+        });
+    }
+
+    function pump() {
+      if (!pending.length && !active) return resolve(results);
+
+      let wakeAt = Infinity;
+      for (let i = 0; i < pending.length && active < concurrency;) {
+        const host = hostOf(pending[i].item);
+        const state = host && hosts.get(host);
+        if (state && (state.busy || state.nextAt > now())) {
+          if (!state.busy) wakeAt = Math.min(wakeAt, state.nextAt);
+          i += 1;
+          continue;
+        }
+        start(pending.splice(i, 1)[0], host);
+      }
+
+      // Everything runnable is waiting for a host's pause to end
+      if (active < concurrency && wakeAt < timerAt) {
+        clearTimeout(timer);
+        timerAt = wakeAt;
+        timer = setTimeout(() => {
+          timer = null;
+          timerAt = Infinity;
+          pump();
+        }, Math.max(wakeAt - now(), 0));
+      }
+    }
+
+    pump();
+  });
+}
@@ -0,0 +1,251 @@
+// Every setting the server reads, in one place. loadConfig() turns the
+// environment (after dotenv has loaded .env) into a typed, frozen object that
+// index.js hands to createApp; nothing else reads process.env.
+//
+// APP_PROFILE picks defaults and how strict the checks are:
+//   dev       local development, the default unless NODE_ENV=production
+//   emulator  Firebase emulators on their default ports, Firestore-backed stores
+//   prod      the default with NODE_ENV=production; settings the service cannot
+//             run safely without are required rather than warned about
+// Invalid values (a port that is not a number, an unknown provider, ...) fail
+// in every profile.
+
+import { MAX_IMAGE_URL_TTL_SECONDS } from './image-urls.js';
+
+export const PROFILES = ['dev', 'emulator', 'prod'];
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const STORES = ['memory', 'firestore'];
+
+// Profile defaults sit between the built-in defaults and the environment
+const PROFILE_DEFAULTS = {
+  dev: {},
+  emulator: {
+    FIREBASE_PROJECT_ID: 'demo-chef-choice',
+    FIREBASE_STORAGE_BUCKET: 'demo-chef-choice.appspot.com',
+    FIRESTORE_EMULATOR_HOST: '127.0.0.1:8080',
+    FIREBASE_AUTH_EMULATOR_HOST: '127.0.0.1:9099',
+    FIREBASE_STORAGE_EMULATOR_HOST: '127.0.0.1:9199',
+    PARSE_CACHE: 'firestore',
+    RATE_LIMIT_STORE: 'firestore',
+    IMPORT_JOB_STORE: 'firestore',
+    UPLOAD_SESSION_STORE: 'firestore'
+  },
+  prod: {}
+};
+
+// [path in the config object, environment variable, type, default, options]
+// Types: string, secret (a string never to be logged), integer, boolean,
+// enum, url, host (host:port), list (comma separated), json
+const SETTINGS = [
+  ['port', 'PORT', 'integer', 3001, { min: 1, max: 65535 }],
+  ['trustProxy', 'TRUST_PROXY', 'string', '1'],
+  ['cors.origins', 'CORS_ORIGINS', 'list', ['*']],
+
+  ['firebase.projectId', 'FIREBASE_PROJECT_ID', 'string', 'chef-choice-60cc3'],
+  ['firebase.storageBucket', 'FIREBASE_STORAGE_BUCKET', 'string', 'chef-choice-60cc3.firebasestorage.app'],
+  ['firebase.serviceAccountKey', 'FIREBASE_SERVICE_ACCOUNT_KEY', 'json', null, { secret: true }],
+  ['firebase.credentialsFile', 'GOOGLE_APPLICATION_CREDENTIALS', 'string', null],
+  ['firebase.emulators.firestore', 'FIRESTORE_EMULATOR_HOST', 'host', null],
+  ['firebase.emulators.auth', 'FIREBASE_AUTH_EMULATOR_HOST', 'host', null],
+  ['firebase.emulators.storage', 'FIREBASE_STORAGE_EMULATOR_HOST', 'host', null],
+  ['firebase.storageApiBase', 'FIREBASE_STORAGE_API_BASE', 'url', 'https://firebasestorage.googleapis.com'],
+  ['auth.localPublicKey', 'AUTH_LOCAL_PUBLIC_KEY', 'string', null],
+
+  ['llm.provider', 'LLM_PROVIDER', 'enum', 'openai', { values: ['openai', 'openai-compatible', 'fake'] }],
+  ['llm.apiKey', 'OPENAI_API_KEY', 'secret', null],
+  ['llm.baseUrl', 'LLM_BASE_URL', 'url', null],
+  ['llm.model', 'LLM_MODEL', 'string', 'gpt-4o-mini'],
+  ['llm.jsonMode', 'LLM_JSON_MODE', 'boolean', true],
+  ['llm.fixturesDir', 'LLM_FIXTURES_DIR', 'string', null],
+  ['ocr.provider', 'OCR_PROVIDER', 'enum', 'openai-vision', { values: ['openai-vision', 'tesseract'] }],
+  ['ocr.model', 'OCR_MODEL', 'string', null],
+  ['ocr.languages', 'OCR_LANGUAGES', 'string', 'eng+deu'],
+
+  ['limits.maxTextLength', 'MAX_TEXT_LENGTH', 'integer', 15000, { min: 100 }],
+  ['limits.maxPageTextLength', 'MAX_PAGE_TEXT_LENGTH', 'integer', 12000, { min: 100 }],
+
+  ['stores.parseCache', 'PARSE_CACHE', 'enum', 'memory', { values: [...STORES, 'off'] }],
+  ['stores.rateLimits', 'RATE_LIMIT_STORE', 'enum', 'memory', { values: STORES }],
+  ['stores.importJobs', 'IMPORT_JOB_STORE', 'enum', 'memory', { values: STORES }],
+  ['stores.uploadSessions', 'UPLOAD_SESSION_STORE', 'enum', 'memory', { values: STORES }],
+  ['parseCache.ttlSeconds', 'PARSE_CACHE_TTL_SECONDS', 'integer', 7 * 24 * 60 * 60, { min: 1 }],
+
+  ['rateLimits.ipPerMinute', 'RATE_LIMIT_IP_PER_MINUTE', 'integer', 120, { min: 0 }],
+  ['rateLimits.userPerMinute', 'RATE_LIMIT_USER_PER_MINUTE', 'integer', 10, { min: 0 }],
+  ['rateLimits.dailyTokens', 'DAILY_TOKEN_BUDGET', 'integer', 200000, { min: 0 }],
+  ['batch.concurrency', 'BATCH_CONCURRENCY', 'integer', 4, { min: 1 }],
+  ['batch.hostIntervalMs', 'BATCH_HOST_INTERVAL_MS', 'integer', 1000, { min: 0 }],
+  ['importJobs.callbackSecret', 'IMPORT_CALLBACK_SECRET', 'secret', null],
+
+  ['imageUrls.secret', 'IMAGE_URL_SECRET', 'secret', null],
+  ['imageUrls.ttlSeconds', 'IMAGE_URL_TTL_SECONDS', 'integer', 3600, { min: 1, max: MAX_IMAGE_URL_TTL_SECONDS }],
+  ['imageUrls.baseUrl', 'PUBLIC_BASE_URL', 'url', null],
+
+  ['uploads.maxBytes', 'UPLOAD_MAX_BYTES', 'integer', 20 * 1024 * 1024, { min: 1 }],
+  ['uploads.maxChunkBytes', 'UPLOAD_MAX_CHUNK_BYTES', 'integer', 8 * 1024 * 1024, { min: 1 }],
+  ['uploads.maxOpenPerUser', 'UPLOAD_MAX_OPEN_PER_USER', 'integer', 5, { min: 1 }],
+  ['uploads.dailyBytes', 'UPLOAD_DAILY_BYTES', 'integer', 200 * 1024 * 1024, { min: 0 }],
+
+  ['storageGc.intervalHours', 'STORAGE_GC_INTERVAL_HOURS', 'number', 24, { min: 0 }],
+  ['storageGc.minAgeDays', 'STORAGE_GC_MIN_AGE_DAYS', 'number', 7, { min: 1 }],
+  ['storageGc.dryRun', 'STORAGE_GC_DRY_RUN', 'boolean', true]
+];
+
+const PARSERS = {
+  string: value => value,
+  secret: value => value,
+  integer: value => (/^-?\d+$/.test(value) ? Number(value) : undefined),
+  number: value => (value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined),
+  boolean: value => ({ true: true, '1': true, yes: true, false: false, '0': false, no: false })[value.toLowerCase()],
+  enum: (value, { values }) => (values.includes(value) ? value : undefined),
+  url: value => {
+    try {
+      const url = new URL(value);
+      return ['http:', 'https:'].includes(url.protocol) ? value.replace(/\/+$/, '') : undefined;
+    } catch (e) {
+      return undefined;
+    }
+  },
+  host: value => (/^[\w.-]+:\d{1,5}$/.test(value) ? value : undefined),
+  list: value => value.split(',').map(item => item.trim()).filter(Boolean),
+  json: value => {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return undefined;
+    }
+  }
+};
+
+const EXPECTED = {
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  url: 'an http(s) URL',
+  host: 'host:port',
+  json: 'valid JSON'
+};
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let node = target;
+  for (const key of keys) node = node[key] ??= {};
+  node[last] = value;
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+function resolveProfile(env, profile) {
+  const name = profile || env.APP_PROFILE || (env.NODE_ENV === 'production' ? 'prod' : 'dev');
+  if (!PROFILES.includes(name)) {
+    throw new ConfigError([`APP_PROFILE must be one of ${PROFILES.join(', ')} (got "${name}")`]);
+  }
+  return name;
+}
+
+// Settings that are fine to leave out locally but not in production
+function missingForProduction(config) {
+  const missing = [];
+  if (!config.imageUrls.secret) {
+    missing.push('IMAGE_URL_SECRET is not set; signed image URLs would change on every restart and differ between instances');
+  }
+  if (config.llm.provider === 'openai' && !config.llm.apiKey) {
+    missing.push('OPENAI_API_KEY is required for the openai LLM provider');
+  }
+  return missing;
+}
+
+function validate(config) {
+  const errors = [];
+  const key = config.firebase.serviceAccountKey;
+  if (key && (typeof key !== 'object' || !key.client_email || !key.private_key)) {
+    errors.push('FIREBASE_SERVICE_ACCOUNT_KEY must be a service account JSON with client_email and private_key');
+  }
+  if (config.llm.provider === 'openai-compatible' && !config.llm.baseUrl) {
+    errors.push('LLM_BASE_URL is required for the openai-compatible LLM provider');
+  }
+  if (config.uploads.maxChunkBytes > config.uploads.maxBytes) {
+    errors.push('UPLOAD_MAX_CHUNK_BYTES cannot be larger than UPLOAD_MAX_BYTES');
+  }
+  if (config.imageUrls.secret && config.imageUrls.secret.length < 16) {
+    errors.push('IMAGE_URL_SECRET must be at least 16 characters');
+  }
+
+  if (config.profile === 'prod') {
+    if (config.llm.provider === 'fake') errors.push('LLM_PROVIDER=fake is for development and tests only');
+    if (config.auth.localPublicKey) errors.push('AUTH_LOCAL_PUBLIC_KEY must not be set in production');
+    const emulators = Object.entries(config.firebase.emulators).filter(([, host]) => host);
+    if (emulators.length) errors.push(`Firebase emulator hosts are set in production (${emulators.map(([name]) => name).join(', ')})`);
+  }
+  return errors;
+}
+
+// -> frozen config; throws ConfigError listing every problem at once.
+// warnings lists what prod would reject, for the other profiles to log.
+export function loadConfig({ env = process.env, profile } = {}) {
+  const name = resolveProfile(env, profile);
+  const source = { ...PROFILE_DEFAULTS[name], ...env };
+  const config = { profile: name };
+  const errors = [];
+
+  for (const [path, variable, type, fallback, options = {}] of SETTINGS) {
+    const raw = source[variable];
+    if (raw === undefined || raw === '') {
+      setPath(config, path, fallback);
+      continue;
+    }
+
+    const value = PARSERS[type](raw, options);
+    if (value === undefined) {
+      const expected = type === 'enum' ? `one of ${options.values.join(', ')}` : EXPECTED[type];
+      // Secrets are described, never echoed
+      errors.push(`${variable} must be ${expected}${type === 'secret' || options.secret ? '' : ` (got "${raw}")`}`);
+    } else if ((options.min !== undefined && value < options.min) || (options.max !== undefined && value > options.max)) {
+      const range = options.max === undefined ? `at least ${options.min}` : `between ${options.min} and ${options.max}`;
+      errors.push(`${variable} must be ${range} (got ${value})`);
+    } else {
+      setPath(config, path, value);
+    }
+  }
+  if (errors.length) throw new ConfigError(errors);
+
+  errors.push(...validate(config));
+  const missing = missingForProduction(config);
+  if (name === 'prod') errors.push(...missing);
+  if (errors.length) throw new ConfigError(errors);
+
+  config.warnings = name === 'prod' ? [] : missing;
+  if (!config.importJobs.callbackSecret) {
+    config.warnings.push('IMPORT_CALLBACK_SECRET is not set; import callbacks go out unsigned');
+  }
+  return deepFreeze(config);
+}
+
+// Secrets as "set"/null, for the start-up log in index.js
+export function describeConfig(config) {
+  const view = structuredClone(config);
+  for (const [path, , type, , options = {}] of SETTINGS) {
+    if (type !== 'secret' && !options.secret) continue;
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => node[key], view);
+    const last = keys[keys.length - 1];
+    parent[last] = parent[last] ? 'set' : null;
+  }
+  delete view.warnings;
+  return view;
+}
@@ -0,0 +1,40 @@
+// Server-Sent Events for the parse routes. Clients opt in with
+// "Accept: text/event-stream" and then receive
+//   event: stage    { stage, ...details }
+//   event: partial  recipe fields completed so far
+//   event: result   the body the JSON variant of the route returns
+//   event: error    { status, error, code?, details? }
+// and the stream ends after result or error.
+
+export function wantsEventStream(req) {
+  return /\btext\/event-stream\b/i.test(req.get('Accept') || '');
+}
+
+// Headers are sent right away, so anything else (X-Cache, rate limit headers)
+// has to be set before the stream is opened
+export function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  return {
+    send,
+    result(payload) {
+      send('result', payload);
+      res.end();
+    },
+    error(status, body) {
+      send('error', { status, ...body });
+      res.end();
+    }
+  };
+}
@@ -0,0 +1,262 @@
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+import { writeZip } from './zip.js';
+
+// Renders recipes in our shape for /export-recipe. Every renderer takes a list
+// of entries, so one recipe and a whole collection go through the same code:
+//   { recipe, servings, sourceUrl, imageUrl, photo: { data, contentType } | null }
+// The Paprika file round-trips through /import-file.
+
+export const EXPORT_FORMATS = ['json-ld', 'markdown', 'html', 'text', 'paprika'];
+export const MAX_EXPORT_RECIPES = 100;
+
+const ingredientLine = item => `${item.quantity} ${item.name}`.trim();
+
+// A single group is just "the ingredients"; only several groups get headings
+function ingredientGroups(recipe) {
+  const groups = recipe.ingredientsByProcessingStep;
+  return groups.map(group => ({
+    name: groups.length > 1 ? group.name : null,
+    lines: group.items.map(ingredientLine)
+  }));
+}
+
+// Consecutive steps of the same section, in order
+function instructionSections(recipe) {
+  const sections = [];
+  for (const step of recipe.instructions) {
+    const last = sections[sections.length - 1];
+    if (last && last.name === step.section) last.steps.push(step.text);
+    else sections.push({ name: step.section, steps: [step.text] });
+  }
+  return sections;
+}
+
+function toJsonLd({ recipe, servings, sourceUrl, imageUrl }) {
+  const sections = instructionSections(recipe);
+  const howToSteps = steps => steps.map(text => ({ '@type': 'HowToStep', text }));
+
+  const doc = {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: recipe.title,
+    recipeIngredient: ingredientGroups(recipe).flatMap(group => group.lines),
+    recipeInstructions: sections.some(section => section.name)
+      ? sections.map(section => ({ '@type': 'HowToSection', name: section.name || '', itemListElement: howToSteps(section.steps) }))
+      : howToSteps(sections.flatMap(section => section.steps))
+  };
+  if (recipe.tags.length) doc.keywords = recipe.tags.join(', ');
+  if (servings) doc.recipeYield = String(servings);
+  if (imageUrl) doc.image = imageUrl;
+  if (sourceUrl) doc.url = sourceUrl;
+  return doc;
+}
+
+function renderJsonLd(entries) {
+  const docs = entries.map(toJsonLd);
+  return JSON.stringify(docs.length === 1 ? docs[0] : docs, null, 2);
+}
+
+const escapeMarkdown = text => String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+// URL.href percent-encodes "<", ">" and spaces and drops newlines; parentheses
+// are encoded too so a URL cannot close an image link early
+const markdownUrl = url => new URL(url).href.replace(/[()]/g, char => (char === '(' ? '%28' : '%29'));
+
+function renderMarkdown(entries) {
+  return entries.map(({ recipe, servings, sourceUrl, imageUrl }) => {
+    const out = [`# ${escapeMarkdown(recipe.title)}`, ''];
+    if (imageUrl) out.push(`![${escapeMarkdown(recipe.title)}](${markdownUrl(imageUrl)})`, '');
+
+    const meta = [];
+    if (servings) meta.push(`**Servings:** ${escapeMarkdown(servings)}`);
+    if (sourceUrl) meta.push(`**Source:** <${markdownUrl(sourceUrl)}>`);
+    if (recipe.tags.length) meta.push(`**Tags:** ${recipe.tags.map(escapeMarkdown).join(', ')}`);
+    if (meta.length) out.push(meta.join('  \n'), '');
+
+    out.push('## Ingredients', '');
+    for (const group of ingredientGroups(recipe)) {
+      if (group.name) out.push(`### ${escapeMarkdown(group.name)}`, '');
+      out.push(...group.lines.map(line => `- ${escapeMarkdown(line)}`), '');
+    }
+
+    out.push('## Instructions', '');
+    let number = 0;
+    for (const section of instructionSections(recipe)) {
+      if (section.name) out.push(`### ${escapeMarkdown(section.name)}`, '');
+      out.push(...section.steps.map(text => `${++number}. ${escapeMarkdown(text)}`), '');
+    }
+    return out.join('\n');
+  }).join('\n---\n\n');
+}
+
+function renderText(entries) {
+  return entries.map(({ recipe, servings, sourceUrl }) => {
+    const out = [recipe.title, '='.repeat(Math.min(recipe.title.length, 72)), ''];
+    if (servings) out.push(`Servings: ${servings}`);
+    if (sourceUrl) out.push(`Source: ${sourceUrl}`);
+    if (recipe.tags.length) out.push(`Tags: ${recipe.tags.join(', ')}`);
+    if (out.length > 3) out.push('');
+
+    out.push('INGREDIENTS', '');
+    for (const group of ingredientGroups(recipe)) {
+      if (group.name) out.push(`${group.name}:`);
+      out.push(...group.lines.map(line => `  ${line}`), '');
+    }
+
+    out.push('INSTRUCTIONS', '');
+    let number = 0;
+    for (const section of instructionSections(recipe)) {
+      if (section.name) out.push(`${section.name}:`);
+      out.push(...section.steps.map(text => `  ${++number}. ${text}`), '');
+    }
+    return out.join('\n');
+  }).join('\n\n');
+}
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const PRINT_STYLES = `
+    body { font: 16px/1.5 Georgia, 'Times New Roman', serif; color: #222; max-width: 42rem; margin: 2rem auto; padding: 0 1rem; }
+    h1 { font-size: 1.8rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.2rem; border-bottom: 1px solid #ccc; padding-bottom: 0.2rem; margin-top: 1.5rem; }
+    h3 { font-size: 1rem; margin-bottom: 0.25rem; }
+    .meta { color: #555; font-size: 0.9rem; }
+    .meta span + span::before { content: ' · '; }
+    .photo { max-width: 100%; max-height: 20rem; object-fit: cover; }
+    ul.ingredients { padding-left: 1.2rem; }
+    ol.instructions li { margin-bottom: 0.5rem; }
+    .tags { color: #555; font-size: 0.85rem; }
+    @media print {
+      body { margin: 0; max-width: none; font-size: 11pt; }
+      a { color: inherit; text-decoration: none; }
+      .source a::after { content: ' (' attr(href) ')'; font-size: 9pt; }
+      .recipe { break-after: page; }
+      .recipe:last-child { break-after: auto; }
+      h2, h3 { break-after: avoid; }
+      li { break-inside: avoid; }
+      .photo { max-height: 8cm; }
+    }
+    @page { margin: 1.5cm; }`;
+
+function renderHtmlRecipe({ recipe, servings, sourceUrl, imageUrl }) {
+  const out = ['<article class="recipe">', `  <h1>${escapeHtml(recipe.title)}</h1>`];
+
+  const meta = [];
+  if (servings) meta.push(`<span>Servings: ${escapeHtml(servings)}</span>`);
+  if (sourceUrl) meta.push(`<span class="source">Source: <a href="${escapeHtml(sourceUrl)}">${escapeHtml(new URL(sourceUrl).hostname)}</a></span>`);
+  if (meta.length) out.push(`  <p class="meta">${meta.join('')}</p>`);
+  if (imageUrl) out.push(`  <img class="photo" src="${escapeHtml(imageUrl)}" alt="${escapeHtml(recipe.title)}">`);
+
+  out.push('  <h2>Ingredients</h2>');
+  for (const group of ingredientGroups(recipe)) {
+    if (group.name) out.push(`  <h3>${escapeHtml(group.name)}</h3>`);
+    out.push('  <ul class="ingredients">', ...group.lines.map(line => `    <li>${escapeHtml(line)}</li>`), '  </ul>');
+  }
+
+  out.push('  <h2>Instructions</h2>');
+  let start = 1;
+  for (const section of instructionSections(recipe)) {
+    if (section.name) out.push(`  <h3>${escapeHtml(section.name)}</h3>`);
+    out.push(`  <ol class="instructions" start="${start}">`, ...section.steps.map(text => `    <li>${escapeHtml(text)}</li>`), '  </ol>');
+    start += section.steps.length;
+  }
+
+  if (recipe.tags.length) out.push(`  <p class="tags">${recipe.tags.map(escapeHtml).join(', ')}</p>`);
+  out.push('</article>');
+  return out.join('\n');
+}
+
+// A standalone page with the JSON-LD embedded, so the file is also machine readable
+function renderHtml(entries) {
+  const title = entries.length === 1 ? entries[0].recipe.title : 'Recipes';
+  const jsonLd = renderJsonLd(entries).replace(/</g, '\\u003c');
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="utf-8">',
+    '  <meta name="viewport" content="width=device-width, initial-scale=1">',
+    `  <title>${escapeHtml(title)}</title>`,
+    `  <style>${PRINT_STYLES}\n  </style>`,
+    `  <script type="application/ld+json">${jsonLd}</script>`,
+    '</head>',
+    '<body>',
+    ...entries.map(renderHtmlRecipe),
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+// Paprika's own timestamp format: "2024-05-01 18:30:00"
+const paprikaDate = date => date.toISOString().slice(0, 19).replace('T', ' ');
+
+function toPaprika({ recipe, servings, sourceUrl, imageUrl, photo }, now) {
+  const ingredients = ingredientGroups(recipe)
+    .flatMap(group => (group.name ? [`${group.name}:`, ...group.lines] : group.lines))
+    .join('\n');
+  const doc = {
+    uid: crypto.randomUUID().toUpperCase(),
+    name: recipe.title,
+    ingredients,
+    directions: recipe.steps,
+    notes: '',
+    description: '',
+    nutritional_info: '',
+    servings: servings ? String(servings) : '',
+    prep_time: '',
+    cook_time: '',
+    total_time: '',
+    difficulty: '',
+    rating: 0,
+    categories: recipe.tags,
+    source: sourceUrl ? new URL(sourceUrl).hostname : '',
+    source_url: sourceUrl || '',
+    image_url: imageUrl || '',
+    photo: null,
+    photo_data: null,
+    photos: [],
+    created: paprikaDate(now)
+  };
+  if (photo) {
+    doc.photo = `${doc.uid}.${photo.contentType.split('/')[1].replace('jpeg', 'jpg')}`;
+    doc.photo_data = photo.data.toString('base64');
+  }
+  doc.hash = crypto.createHash('sha256').update(JSON.stringify(doc)).digest('hex').toUpperCase();
+  return doc;
+}
+
+// .paprikarecipes: a zip holding one gzipped JSON document per recipe
+function renderPaprika(entries, now = new Date()) {
+  const used = new Set();
+  return writeZip(entries.map(entry => {
+    const base = entry.recipe.title.replace(/[^\w\- ]+/g, '').trim().slice(0, 80) || 'Recipe';
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} ${n}`;
+    used.add(name.toLowerCase());
+    return { name: `${name}.paprikarecipe`, data: zlib.gzipSync(JSON.stringify(toPaprika(entry, now))) };
+  }));
+}
+
+const RENDERERS = {
+  'json-ld': { render: renderJsonLd, contentType: 'application/ld+json; charset=utf-8', extension: 'json' },
+  markdown: { render: renderMarkdown, contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { render: renderHtml, contentType: 'text/html; charset=utf-8', extension: 'html' },
+  text: { render: renderText, contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  paprika: { render: renderPaprika, contentType: 'application/zip', extension: 'paprikarecipes' }
+};
+
+// -> { body, contentType, fileName }
+export function exportRecipes(entries, format) {
+  const { render, contentType, extension } = RENDERERS[format];
+  const slug = entries.length === 1
+    ? entries[0].recipe.title.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80)
+    : 'recipes';
+  return { body: render(entries), contentType, fileName: `${slug || 'recipe'}.${extension}` };
+}
@@ -0,0 +1,109 @@
+import { recipeFromModelReply, partialRecipe, RecipeValidationError } from './recipe-schema.js';
+
+// Part of every parse cache key: bump it whenever a prompt below changes so
+// results from the old prompts are not served again
+export const PROMPT_VERSION = 1;
+
+function addUsage(total, usage) {
+  return {
+    promptTokens: total.promptTokens + usage.promptTokens,
+    completionTokens: total.completionTokens + usage.completionTokens,
+    totalTokens: total.totalTokens + usage.totalTokens
+  };
+}
+
+// With onEvent the reply is streamed and reported as it arrives:
+//   onEvent('stage', { stage: 'model-streaming' | 'validating', attempt })
+//   onEvent('partial', recipe fields completed so far)
+async function complete(llm, request, attempt, onEvent) {
+  if (!onEvent) return llm.complete(request);
+
+  onEvent('stage', { stage: 'model-streaming', attempt });
+  let lastPartial = '';
+  const completion = await llm.complete({
+    ...request,
+    onDelta: (delta, content) => {
+      const partial = partialRecipe(content);
+      const serialized = partial && JSON.stringify(partial);
+      if (serialized && serialized !== lastPartial) {
+        lastPartial = serialized;
+        onEvent('partial', partial);
+      }
+    }
+  });
+  onEvent('stage', { stage: 'validating', attempt });
+  return completion;
+}
+
+// Run a recipe extraction prompt and validate the reply. When the reply cannot be
+// repaired into the recipe schema, the model gets exactly one more attempt with
+// the validation errors; a second failure surfaces as RecipeValidationError.
+// Resolves to { recipe, attempts, usage } with token usage summed over attempts.
+export async function extractRecipeWithModel(llm, { messages, temperature, onEvent }) {
+  const first = await complete(llm, { messages, temperature, json: true }, 1, onEvent);
+  console.log('🧠 AI parsed result:', first.content);
+
+  try {
+    return { recipe: recipeFromModelReply(first.content), attempts: 1, usage: first.usage };
+  } catch (error) {
+    if (!(error instanceof RecipeValidationError)) throw error;
+    console.log('⚠️ Model output failed validation, retrying once:', error.errors);
+
+    const retry = await complete(llm, {
+      temperature,
+      json: true,
+      messages: [
+        ...messages,
+        { role: 'assistant', content: first.content || '' },
+        {
+          role: 'user',
+          content: `Your JSON did not match the required format:\n- ${error.errors.join('\n- ')}\n\nReply with only the corrected JSON object in the exact format described above.`
+        }
+      ]
+    }, 2, onEvent);
+    console.log('🧠 AI retry result:', retry.content);
+
+    try {
+      return { recipe: recipeFromModelReply(retry.content), attempts: 2, usage: addUsage(first.usage, retry.usage) };
+    } catch (retryError) {
+      if (retryError instanceof RecipeValidationError) retryError.usage = addUsage(first.usage, retry.usage);
+      throw retryError;
+    }
+  }
+}
+
+// Free text from the user or from OCR: clean up scanning errors, keep the language
+export function extractRecipeFromText(llm, text, { onEvent } = {}) {
+  return extractRecipeWithModel(llm, {
+    onEvent,
+    messages: [
+      {
+        role: 'system',
+        content: 'You are a recipe extractor. Extract structured recipe data as JSON with this exact format: {"title": "Recipe Name", "ingredientsByProcessingStep": [{"name": "Ingredients", "items": [{"quantity": "1 cup", "name": "flour"}]}], "instructions": [{"section": "Section name or null", "text": "One cooking step with all its details"}], "tags": ["dinner", "easy"]}. Put each cooking step in its own instructions entry, in order. For OCR text, interpret and clean up the scanned content while preserving the original language. Include ALL ingredients with their quantities and ALL cooking instructions.',
+      },
+      {
+        role: 'user',
+        content: `Extract and clean up this OCR recipe text as JSON. Preserve the original language but fix any OCR errors:\n\n${text}`,
+      }
+    ],
+    temperature: 0.3,
+  });
+}
+
+// Text extracted from a web page: organize only, copy everything verbatim
+export function extractRecipeFromPage(llm, pageText, { onEvent } = {}) {
+  return extractRecipeWithModel(llm, {
+    onEvent,
+    messages: [
+      {
+        role: 'system',
+        content: 'You are a content structure analyzer. Your job is to IDENTIFY and ORGANIZE recipe content from webpage text, NOT to rewrite or translate anything. Extract the recipe data as JSON: {"title": "exact title as written", "ingredientsByProcessingStep": [{"name": "section name if any", "items": [{"quantity": "exact quantity as written", "name": "exact ingredient name as written"}]}], "instructions": [{"section": "section name if any, else null", "text": "one cooking step exactly as written"}], "tags": ["category tags"]}. Put each cooking step in its own instructions entry, in order. CRITICAL: Copy all text EXACTLY as written - do not change words, measurements, or language. Only organize the content into the correct structure.',
+      },
+      {
+        role: 'user',
+        content: `Organize this webpage content into structured recipe JSON. Copy all recipe text EXACTLY as written - do not rewrite, translate, or change anything:\n\n${pageText}`,
+      }
+    ],
+    temperature: 0.1,
+  });
+}
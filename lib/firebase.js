@@ -0,0 +1,57 @@
+import admin from 'firebase-admin';
+
+// Firebase Admin start-up from config.firebase (see lib/config.js). The
+// returned status is what /diagnostics reports:
+// { initialized, credentialSource, projectId, storageBucket, error }
+// credentialSource is one of service-account-key (FIREBASE_SERVICE_ACCOUNT_KEY),
+// application-credentials (GOOGLE_APPLICATION_CREDENTIALS) or default (the
+// environment's own, e.g. on Google Cloud or via the gcloud CLI).
+
+export function credentialSource({ serviceAccountKey, credentialsFile } = {}) {
+  if (serviceAccountKey) return 'service-account-key';
+  if (credentialsFile) return 'application-credentials';
+  return 'default';
+}
+
+// The Admin SDK only finds emulators through these variables
+const EMULATOR_VARIABLES = {
+  firestore: 'FIRESTORE_EMULATOR_HOST',
+  auth: 'FIREBASE_AUTH_EMULATOR_HOST',
+  storage: 'FIREBASE_STORAGE_EMULATOR_HOST'
+};
+
+export function initFirebaseAdmin(firebase, env = process.env) {
+  const { projectId, storageBucket, serviceAccountKey, emulators = {} } = firebase;
+  const source = credentialSource(firebase);
+  const status = { initialized: false, credentialSource: source, projectId, storageBucket, error: null };
+
+  try {
+    const adminConfig = { projectId, storageBucket };
+
+    for (const [name, host] of Object.entries(emulators)) {
+      if (!host) continue;
+      env[EMULATOR_VARIABLES[name]] = host;
+      console.log(`🧪 Using the ${name} emulator at ${host}`);
+    }
+
+    if (source === 'service-account-key') {
+      console.log('🔑 Using service account credentials from environment');
+      adminConfig.credential = admin.credential.cert(serviceAccountKey);
+    } else if (source === 'application-credentials') {
+      // Firebase Admin picks up GOOGLE_APPLICATION_CREDENTIALS by itself
+      console.log('🔑 Using Google Application Credentials from environment');
+    } else {
+      console.log('⚠️ No explicit credentials found, trying default credentials');
+    }
+
+    admin.initializeApp(adminConfig);
+    status.initialized = true;
+    console.log('✅ Firebase Admin initialized successfully');
+    console.log('📦 Storage bucket configured:', admin.storage().bucket().name);
+  } catch (error) {
+    status.error = error.message;
+    console.error('❌ Firebase Admin initialization failed:', status.error);
+  }
+
+  return status;
+}
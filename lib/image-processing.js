@@ -0,0 +1,87 @@
+import sharp from 'sharp';
+
+// Upload-time image processing. Phone photos arrive at full resolution, often
+// rotated via EXIF and carrying GPS coordinates, so nothing is stored as sent:
+// the real type is checked from the magic bytes, the pixels are auto-rotated,
+// all metadata is dropped (sharp only keeps it when asked to) and every size
+// is written in the original family (JPEG, or PNG for images that may be
+// transparent) plus WebP.
+
+export const IMAGE_SIZES = { thumb: 320, medium: 1024, full: 2048 };
+
+// Phone cameras top out around 50 MP; anything larger is not a recipe photo
+const MAX_INPUT_PIXELS = 64 * 1024 * 1024;
+
+export class ImageProcessingError extends Error {
+  constructor(message, code = 'invalid-image', status = 422) {
+    super(message);
+    this.name = 'ImageProcessingError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// The type the bytes actually are, whatever the client claims
+export function imageContentType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('latin1', 0, 4) === 'GIF8') return 'image/gif';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (/^avi[fs]$/.test(brand)) return 'image/avif';
+    if (/^(?:heic|heix|hevc|hevx|mif1|msf1)$/.test(brand)) return 'image/heic';
+  }
+  return null;
+}
+
+const SUPPORTED_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif']);
+const KEEPS_ALPHA = new Set(['image/png', 'image/gif', 'image/webp', 'image/avif']);
+
+async function render(buffer, width, format) {
+  const pipeline = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize({ width, height: width, fit: 'inside', withoutEnlargement: true });
+  const output = format === 'jpeg'
+    ? pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true })
+    : format === 'png'
+      ? pipeline.png({ compressionLevel: 9 })
+      : pipeline.webp({ quality: 80 });
+  const { data, info } = await output.toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, contentType: `image/${format}` };
+}
+
+// -> { contentType, primary, variants: { [size]: { [primary]: image, webp: image } } } with
+// image = { data, width, height, contentType }; primary is 'jpeg', or 'png' when
+// the image has transparency
+export async function processImage(buffer) {
+  const contentType = imageContentType(buffer);
+  if (contentType === 'image/heic') {
+    throw new ImageProcessingError('HEIC images are not supported; upload a JPEG or PNG', 'unsupported-image-type', 415);
+  }
+  if (!SUPPORTED_TYPES.has(contentType)) {
+    throw new ImageProcessingError('Not a supported image: expected JPEG, PNG, GIF, WebP or AVIF', 'unsupported-image-type', 415);
+  }
+
+  let hasAlpha;
+  try {
+    ({ hasAlpha } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata());
+  } catch (error) {
+    throw new ImageProcessingError(/pixel limit/i.test(error.message) ? 'Image dimensions are too large' : 'Image data is corrupt or truncated');
+  }
+  const primary = KEEPS_ALPHA.has(contentType) && hasAlpha ? 'png' : 'jpeg';
+
+  const variants = {};
+  try {
+    for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+      variants[size] = {
+        [primary]: await render(buffer, width, primary),
+        webp: await render(buffer, width, 'webp')
+      };
+    }
+  } catch (error) {
+    throw new ImageProcessingError('Image data is corrupt or truncated');
+  }
+  return { contentType, primary, variants };
+}
@@ -0,0 +1,51 @@
+import crypto from 'node:crypto';
+
+// Short-lived signed URLs for recipe images served by GET /images/<path>.
+// Uploads are private; a URL carries `expires` (unix seconds) and `sig`, an
+// HMAC-SHA256 over the storage path and expiry, so image components and CDNs
+// can load it without an Authorization header. Expiries are rounded up to a
+// five-minute boundary so repeated signing yields the same, cacheable URL.
+
+const EXPIRY_STEP_SECONDS = 300;
+export const MAX_IMAGE_URL_TTL_SECONDS = 7 * 24 * 3600;
+
+// "recipes/u 1/a.jpg" -> "/images/recipes/u%201/a.jpg"
+export function imageRoute(storagePath) {
+  return `/images/${storagePath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+export function createImageSigner({ secret, ttlSeconds = 3600, now = Date.now } = {}) {
+  if (!secret) {
+    // Signed URLs then stop working on restart and differ between instances
+    console.log('⚠️ IMAGE_URL_SECRET is not set; using a random per-process secret for image URLs');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  const signature = (storagePath, expires) => crypto
+    .createHmac('sha256', secret)
+    .update(`${storagePath}\n${expires}`)
+    .digest('base64url');
+
+  return {
+    ttlSeconds,
+
+    // -> { path: '/images/...?expires=..&sig=..', expiresAt: Date }
+    sign(storagePath, { expiresIn = ttlSeconds } = {}) {
+      const seconds = Math.min(Math.max(expiresIn, 1), MAX_IMAGE_URL_TTL_SECONDS);
+      const expires = Math.ceil((now() / 1000 + seconds) / EXPIRY_STEP_SECONDS) * EXPIRY_STEP_SECONDS;
+      return {
+        path: `${imageRoute(storagePath)}?expires=${expires}&sig=${signature(storagePath, expires)}`,
+        expiresAt: new Date(expires * 1000)
+      };
+    },
+
+    // -> 'valid' | 'expired' | 'invalid'
+    verify(storagePath, { expires, sig } = {}) {
+      if (typeof sig !== 'string' || !/^\d{1,12}$/.test(String(expires))) return 'invalid';
+      const expected = Buffer.from(signature(storagePath, Number(expires)));
+      const given = Buffer.from(sig);
+      if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'invalid';
+      return Number(expires) * 1000 > now() ? 'valid' : 'expired';
+    }
+  };
+}
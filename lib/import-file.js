@@ -0,0 +1,416 @@
+import path from 'node:path';
+import zlib from 'node:zlib';
+import * as cheerio from 'cheerio';
+import { normalizeRecipe, validateRecipe } from './recipe-schema.js';
+import { formatFraction } from './scaling.js';
+import { isMealMaster, parseMealMaster } from './mealmaster.js';
+import { isGzip, isZip, readZip, createByteBudget, ZipError } from './zip.js';
+import { imageContentType } from './image-processing.js';
+
+// Deterministic import of other recipe apps' export files (/import-file):
+//   paprika        .paprikarecipes (zip of gzipped JSON), or one .paprikarecipe
+//   mealie         recipe JSON, or a Mealie export zip (recipes/<slug>/<slug>.json + images)
+//   tandoor        recipe.json, or a Tandoor export zip (one zip per recipe)
+//   mealmaster     Meal-Master text, any number of recipes per file
+//   recipe-keeper  Recipe Keeper HTML export (recipes.html + images/ in a zip)
+// Every recipe is mapped onto our shape without a model call; embedded photos
+// are returned as buffers for the caller to upload.
+
+export const IMPORT_FORMATS = ['paprika', 'mealie', 'tandoor', 'mealmaster', 'recipe-keeper'];
+export const MAX_IMPORT_RECIPES = 500;
+// The export as uploaded, for multipart requests; JSON bodies stop at 10 MB
+export const MAX_IMPORT_FILE_BYTES = 50 * 1024 * 1024;
+// Everything a file expands to once unzipped and gunzipped, nested archives included
+export const MAX_IMPORT_EXPANDED_BYTES = 100 * 1024 * 1024;
+
+const MAX_IMAGES_PER_RECIPE = 4;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+export class ImportFileError extends Error {
+  constructor(message, code = 'invalid-file', status = 422) {
+    super(message);
+    this.name = 'ImportFileError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function tooLarge(budget) {
+  return new ImportFileError(`The file expands to more than ${budget.limit} bytes`, 'file-too-large', 413);
+}
+
+// Exports written on Windows are often CP1252 rather than UTF-8
+function decodeText(buffer) {
+  const utf8 = buffer.toString('utf8').replace(/^﻿/, '');
+  return utf8.includes('�') ? buffer.toString('latin1') : utf8;
+}
+
+function parseJson(buffer, what) {
+  try {
+    return JSON.parse(decodeText(buffer));
+  } catch (e) {
+    throw new ImportFileError(`${what} is not valid JSON`);
+  }
+}
+
+function gunzip(buffer, budget) {
+  let data;
+  try {
+    data = zlib.gunzipSync(buffer, { maxOutputLength: Math.max(budget.remaining, 1) });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge(budget);
+    throw new ImportFileError('Corrupt gzip data');
+  }
+  budget.remaining -= data.length;
+  if (budget.remaining < 0) throw tooLarge(budget);
+  return data;
+}
+
+function unzip(buffer, budget, name) {
+  try {
+    return readZip(buffer, { budget });
+  } catch (error) {
+    if (!(error instanceof ZipError)) throw error;
+    if (error.code === 'too-large') throw tooLarge(budget);
+    throw new ImportFileError(name ? `${name}: ${error.message}` : error.message);
+  }
+}
+
+// Only real images of a sane size, named after their actual type
+function toImages(candidates) {
+  const images = [];
+  for (const { data, fileName } of candidates) {
+    const contentType = data && imageContentType(data);
+    if (!contentType || data.length > MAX_IMAGE_BYTES) continue;
+    const extension = contentType.split('/')[1].replace('jpeg', 'jpg');
+    const base = path.basename(String(fileName || 'photo')).replace(/\.[^.]*$/, '') || 'photo';
+    images.push({ data, contentType, fileName: `${base}.${extension}` });
+    if (images.length === MAX_IMAGES_PER_RECIPE) break;
+  }
+  return images;
+}
+
+const textOf = value => (value === undefined || value === null ? '' : String(value).trim());
+const lines = value => textOf(value).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+const names = list => (Array.isArray(list) ? list : []).map(entry => textOf(typeof entry === 'object' ? entry?.name : entry)).filter(Boolean);
+
+// Plain ingredient lines; "For the sauce:" style lines start a new group
+function groupLines(ingredientLines) {
+  const groups = [{ name: 'Ingredients', items: [] }];
+  for (const line of ingredientLines) {
+    if (/^[^\d.!?][^.!?]{0,58}:$/.test(line)) {
+      groups.push({ name: line.slice(0, -1).trim(), items: [] });
+    } else {
+      groups[groups.length - 1].items.push(line);
+    }
+  }
+  return groups.filter(group => group.items.length);
+}
+
+// 0.5 -> "½", "200.000" -> "200"
+function formatAmount(value) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number) || number <= 0) return '';
+  return formatFraction(number);
+}
+
+// -> { recipe, errors, servings, sourceUrl, notes, images }
+function finish({ title, groups, steps, tags, servings, sourceUrl, notes, images = [] }) {
+  const recipe = normalizeRecipe({
+    title,
+    ingredientsByProcessingStep: groups,
+    ...(typeof steps === 'string' ? { steps } : { instructions: steps }),
+    tags
+  });
+  const { errors } = validateRecipe(recipe);
+  return {
+    recipe,
+    errors,
+    servings: textOf(servings) || null,
+    sourceUrl: /^https?:\/\//i.test(textOf(sourceUrl)) ? textOf(sourceUrl) : null,
+    notes: textOf(notes) || null,
+    images: toImages(images)
+  };
+}
+
+function paprikaRecipe(json) {
+  const photos = [];
+  if (json.photo_data) photos.push({ data: Buffer.from(json.photo_data, 'base64'), fileName: json.photo });
+  for (const photo of Array.isArray(json.photos) ? json.photos : []) {
+    if (photo?.data) photos.push({ data: Buffer.from(photo.data, 'base64'), fileName: photo.filename || photo.name });
+  }
+
+  return finish({
+    title: json.name,
+    groups: groupLines(lines(json.ingredients)),
+    steps: textOf(json.directions),
+    tags: names(json.categories),
+    servings: json.servings,
+    sourceUrl: json.source_url,
+    notes: json.notes,
+    images: photos
+  });
+}
+
+// Structured Mealie ingredients keep amount, unit and food apart; without a
+// food (or with amounts disabled) only the note or original text is meaningful
+function mealieIngredient(item) {
+  if (typeof item === 'string') return item;
+  if (!item || typeof item !== 'object') return null;
+  const food = textOf(item.food?.name);
+  if (!food || item.disableAmount) {
+    return textOf(item.originalText || item.display || item.note) || null;
+  }
+  const note = textOf(item.note);
+  return {
+    quantity: [formatAmount(item.quantity), textOf(item.unit?.abbreviation || item.unit?.name)].filter(Boolean).join(' '),
+    name: note ? `${food}, ${note}` : food
+  };
+}
+
+// A title on an ingredient or instruction starts a new section with it
+function mealieRecipe(json, images = []) {
+  const groups = [];
+  let group = null;
+  for (const item of Array.isArray(json.recipeIngredient) ? json.recipeIngredient : []) {
+    const title = typeof item === 'object' ? textOf(item?.title) : '';
+    if (title || !group) {
+      group = { name: title || 'Ingredients', items: [] };
+      groups.push(group);
+    }
+    const ingredient = mealieIngredient(item);
+    if (ingredient) group.items.push(ingredient);
+  }
+
+  const steps = [];
+  let section = null;
+  for (const step of Array.isArray(json.recipeInstructions) ? json.recipeInstructions : []) {
+    if (typeof step === 'string') {
+      steps.push({ section, text: step });
+      continue;
+    }
+    section = textOf(step?.title) || section;
+    const text = textOf(step?.text);
+    if (text) steps.push({ section, text });
+  }
+
+  const notes = Array.isArray(json.notes)
+    ? json.notes.map(note => [textOf(note?.title), textOf(note?.text)].filter(Boolean).join(': ')).join('\n')
+    : json.notes;
+
+  return finish({
+    title: json.name,
+    groups: groups.filter(candidate => candidate.items.length),
+    steps,
+    tags: [...names(json.recipeCategory), ...names(json.tags)],
+    servings: json.recipeServings || json.recipeYield,
+    sourceUrl: json.orgURL,
+    notes,
+    images
+  });
+}
+
+// Tandoor keeps ingredients on the step that uses them, which is exactly our
+// ingredientsByProcessingStep; header rows start a new group within a step
+function tandoorRecipe(json, images = []) {
+  const recipeSteps = Array.isArray(json.steps) ? json.steps : [];
+  const groups = [];
+  const steps = [];
+
+  recipeSteps.forEach((step, index) => {
+    const stepName = textOf(step?.name) || (recipeSteps.length > 1 ? `Step ${index + 1}` : 'Ingredients');
+    let group = { name: stepName, items: [] };
+    groups.push(group);
+
+    for (const ingredient of Array.isArray(step?.ingredients) ? step.ingredients : []) {
+      const food = textOf(ingredient?.food?.name);
+      const note = textOf(ingredient?.note);
+      if (ingredient?.is_header) {
+        group = { name: food || note || stepName, items: [] };
+        groups.push(group);
+        continue;
+      }
+      if (!food && !note) continue;
+      const quantity = ingredient.no_amount
+        ? ''
+        : [formatAmount(ingredient.amount), textOf(ingredient.unit?.name)].filter(Boolean).join(' ');
+      group.items.push({ quantity, name: [food, note].filter(Boolean).join(', ') });
+    }
+
+    const text = textOf(step?.instruction ?? step?.instructions);
+    const section = textOf(step?.name) || null;
+    for (const paragraph of text.split(/\n\s*\n/).map(part => part.replace(/\s*\n\s*/g, ' ').trim()).filter(Boolean)) {
+      steps.push({ section, text: paragraph });
+    }
+  });
+
+  return finish({
+    title: json.name,
+    groups: groups.filter(group => group.items.length),
+    steps,
+    tags: names(json.keywords),
+    servings: json.servings_text || json.servings,
+    sourceUrl: json.source_url,
+    notes: json.description,
+    images
+  });
+}
+
+function mealMasterRecipes(text) {
+  return parseMealMaster(text).map(recipe => finish({
+    title: recipe.title,
+    groups: recipe.groups,
+    steps: recipe.directions,
+    tags: recipe.categories,
+    servings: recipe.servings
+  }));
+}
+
+// Recipe Keeper marks its export up with itemprop attributes; images are
+// referenced relative to the HTML file
+function recipeKeeperRecipes(html, findImage = () => null) {
+  const $ = cheerio.load(html);
+  const blockLines = el => {
+    const $el = $(el).clone();
+    $el.find('br').replaceWith('\n');
+    $el.find('p, div, li').each((i, child) => { $(child).append('\n'); });
+    return lines($el.text());
+  };
+
+  return $('.recipe-details').toArray().map(el => {
+    const $recipe = $(el);
+    const prop = name => $recipe.find(`[itemprop="${name}"]`);
+    const photos = $recipe.find('img').toArray()
+      .map(img => findImage($(img).attr('src')))
+      .filter(Boolean);
+
+    return finish({
+      title: prop('name').first().text(),
+      groups: groupLines(prop('recipeIngredients').toArray().flatMap(blockLines)),
+      steps: prop('recipeDirections').toArray().flatMap(blockLines),
+      tags: [...prop('recipeCourse').toArray(), ...prop('recipeCategory').toArray()].map(tag => $(tag).text()),
+      servings: prop('recipeYield').first().text(),
+      sourceUrl: prop('recipeSource').first().text(),
+      notes: prop('recipeNotes').toArray().flatMap(blockLines).join('\n'),
+      images: photos
+    });
+  });
+}
+
+function jsonFormat(json) {
+  if (!json || typeof json !== 'object') return null;
+  if (Array.isArray(json.steps) && json.steps.some(step => step && ('instruction' in step || 'ingredients' in step))) return 'tandoor';
+  if ('recipeIngredient' in json || 'recipeInstructions' in json) return 'mealie';
+  if (typeof json.ingredients === 'string' && 'directions' in json) return 'paprika';
+  return null;
+}
+
+const JSON_MAPPERS = { paprika: paprikaRecipe, mealie: mealieRecipe, tandoor: tandoorRecipe };
+
+function fromJson(json, format) {
+  const list = Array.isArray(json) ? json : [json];
+  return list.map(entry => {
+    const entryFormat = format || jsonFormat(entry);
+    if (!JSON_MAPPERS[entryFormat]) throw new ImportFileError('Unrecognized recipe JSON', 'unsupported-format');
+    return JSON_MAPPERS[entryFormat](entry);
+  });
+}
+
+function fromZip(buffer, requested, budget) {
+  const entries = unzip(buffer, budget);
+  const byName = new Map(entries.map(entry => [entry.name, entry]));
+  const ext = name => path.extname(name).toLowerCase();
+
+  const paprika = entries.filter(entry => ext(entry.name) === '.paprikarecipe');
+  if (paprika.length && (!requested || requested === 'paprika')) {
+    return { format: 'paprika', recipes: paprika.map(entry => paprikaRecipe(parseJson(gunzip(entry.data, budget), entry.name))) };
+  }
+
+  const html = entries.find(entry => ext(entry.name) === '.html' && decodeText(entry.data).includes('recipe-details'));
+  if (html && (!requested || requested === 'recipe-keeper')) {
+    const base = path.posix.dirname(html.name);
+    const findImage = src => {
+      if (!src) return null;
+      const image = byName.get(path.posix.normalize(path.posix.join(base, decodeURIComponent(src))));
+      return image ? { data: image.data, fileName: image.name } : null;
+    };
+    return { format: 'recipe-keeper', recipes: recipeKeeperRecipes(decodeText(html.data), findImage) };
+  }
+
+  // Tandoor: one zip per recipe holding recipe.json and image.*, or a single such zip
+  const recipeZips = entries.filter(entry => ext(entry.name) === '.zip');
+  const tandoorDirs = recipeZips.length
+    ? recipeZips.map(entry => unzip(entry.data, budget, entry.name))
+    : byName.has('recipe.json') ? [entries] : [];
+  if (tandoorDirs.length && (!requested || requested === 'tandoor')) {
+    return {
+      format: 'tandoor',
+      recipes: tandoorDirs.map(files => {
+        const json = files.find(file => file.name === 'recipe.json');
+        if (!json) throw new ImportFileError('Tandoor export entry without recipe.json');
+        const images = files.filter(file => /^image\./i.test(file.name)).map(file => ({ data: file.data, fileName: file.name }));
+        return tandoorRecipe(parseJson(json.data, 'recipe.json'), images);
+      })
+    };
+  }
+
+  // Mealie: recipes/<slug>/<slug>.json with recipes/<slug>/images/original.webp
+  const jsonEntries = entries.filter(entry => ext(entry.name) === '.json');
+  const recipes = [];
+  let format = null;
+  for (const entry of jsonEntries) {
+    const json = parseJson(entry.data, entry.name);
+    const entryFormat = requested || jsonFormat(json);
+    if (!JSON_MAPPERS[entryFormat]) continue;
+    format = format || entryFormat;
+
+    const dir = path.posix.dirname(entry.name);
+    const images = entries
+      .filter(file => file !== entry && dir !== '.' && file.name.startsWith(`${dir}/`) && imageContentType(file.data))
+      .sort((a, b) => Number(/original/i.test(b.name)) - Number(/original/i.test(a.name)))
+      .map(file => ({ data: file.data, fileName: file.name }));
+    recipes.push(JSON_MAPPERS[entryFormat](json, images));
+  }
+  if (recipes.length) return { format, recipes };
+
+  throw new ImportFileError('No supported recipe export found in the zip archive', 'unsupported-format');
+}
+
+function detect(buffer, requested, budget) {
+  if (isZip(buffer)) return fromZip(buffer, requested, budget);
+  // A single .paprikarecipe is gzipped JSON
+  if (isGzip(buffer)) return { format: 'paprika', recipes: fromJson(parseJson(gunzip(buffer, budget), 'Paprika recipe'), 'paprika') };
+
+  const text = decodeText(buffer);
+  const trimmed = text.trim();
+  if (/^[[{]/.test(trimmed) && requested !== 'mealmaster' && requested !== 'recipe-keeper') {
+    const json = parseJson(buffer, 'File');
+    const first = Array.isArray(json) ? json[0] : json;
+    const format = requested || jsonFormat(first);
+    if (!format) throw new ImportFileError('Unrecognized recipe JSON', 'unsupported-format');
+    return { format, recipes: fromJson(json, format) };
+  }
+  if ((!requested || requested === 'mealmaster') && isMealMaster(text)) {
+    return { format: 'mealmaster', recipes: mealMasterRecipes(text) };
+  }
+  if ((!requested || requested === 'recipe-keeper') && /<html|<div/i.test(trimmed) && trimmed.includes('recipe-details')) {
+    return { format: 'recipe-keeper', recipes: recipeKeeperRecipes(text) };
+  }
+  throw new ImportFileError('Unsupported file: expected a Paprika, Mealie, Tandoor, Meal-Master or Recipe Keeper export', 'unsupported-format');
+}
+
+// Resolves the file's format (or checks the requested one) and maps every
+// recipe in it. -> { format, recipes: [{ recipe, errors, servings, sourceUrl,
+// notes, images: [{ data, contentType, fileName }] }] }; recipes with errors
+// did not pass validation and should be reported rather than saved. Files
+// expanding past maxExpandedBytes are refused with a 413 ImportFileError.
+export function importRecipeFile(buffer, { format, maxExpandedBytes = MAX_IMPORT_EXPANDED_BYTES } = {}) {
+  if (!buffer.length) throw new ImportFileError('The file is empty');
+
+  const result = detect(buffer, format, createByteBudget(maxExpandedBytes));
+  if (!result.recipes.length) throw new ImportFileError('No recipes found in the file');
+  if (result.recipes.length > MAX_IMPORT_RECIPES) {
+    throw new ImportFileError(`The file has more than ${MAX_IMPORT_RECIPES} recipes`, 'too-many-recipes');
+  }
+  return result;
+}
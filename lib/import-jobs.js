@@ -0,0 +1,312 @@
+import crypto from 'node:crypto';
+import admin from 'firebase-admin';
+
+// Asynchronous imports: POST /imports stores a job and answers right away, a
+// worker in this process runs it and GET /imports/:id reports the outcome.
+//
+// Stores implement:
+//   create(job) -> job             job.id is assigned by the caller
+//   get(id) -> job | null
+//   update(id, fields) -> job
+//   claimDue({ now, leaseMs, limit }) -> jobs now marked running
+// A job is due while runAt <= now: queued and retrying jobs at their
+// scheduled time, running ones once their lease ran out (the instance that
+// claimed them went away). Finished jobs have runAt null. Timestamps are ISO
+// strings, so they compare and query in order.
+// IMPORT_JOB_STORE picks one: "memory" (default, per process) or "firestore".
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export function createMemoryImportJobStore() {
+  const jobs = new Map();
+
+  return {
+    name: 'memory',
+
+    async create(job) {
+      jobs.set(job.id, structuredClone(job));
+      return structuredClone(job);
+    },
+
+    async get(id) {
+      return jobs.has(id) ? structuredClone(jobs.get(id)) : null;
+    },
+
+    async update(id, fields) {
+      const job = { ...jobs.get(id), ...structuredClone(fields) };
+      jobs.set(id, job);
+      return structuredClone(job);
+    },
+
+    async claimDue({ now, leaseMs, limit }) {
+      const time = new Date(now).toISOString();
+      const due = [...jobs.values()]
+        .filter(job => job.runAt && job.runAt <= time)
+        .sort((a, b) => a.runAt.localeCompare(b.runAt))
+        .slice(0, limit);
+
+      return due.map(job => {
+        Object.assign(job, {
+          status: 'running',
+          attempts: job.attempts + 1,
+          runAt: new Date(now + leaseMs).toISOString(),
+          updatedAt: time
+        });
+        return structuredClone(job);
+      });
+    }
+  };
+}
+
+// importJobs/{id}. Results are stored as JSON strings (Firestore rejects
+// nested arrays). Finished jobs carry expiresAt for a Firestore TTL policy.
+export function createFirestoreImportJobStore({ getDb = () => admin.firestore(), collection = 'importJobs' } = {}) {
+  const jobs = () => getDb().collection(collection);
+
+  const toDoc = fields => (fields.result === undefined ? fields : { ...fields, result: JSON.stringify(fields.result) });
+  const toJob = data => {
+    const { expiresAt, ...job } = data;
+    return typeof job.result === 'string' ? { ...job, result: JSON.parse(job.result) } : job;
+  };
+
+  return {
+    name: 'firestore',
+
+    async create(job) {
+      await jobs().doc(job.id).set(toDoc(job));
+      return job;
+    },
+
+    async get(id) {
+      const snapshot = await jobs().doc(id).get();
+      return snapshot.exists ? toJob(snapshot.data()) : null;
+    },
+
+    async update(id, fields) {
+      const ref = jobs().doc(id);
+      const finished = fields.runAt === null;
+      await ref.update(toDoc(finished ? { ...fields, expiresAt: new Date(Date.now() + 7 * DAY) } : fields));
+      return toJob((await ref.get()).data());
+    },
+
+    // Claimed in a transaction each, so two instances never run the same attempt
+    async claimDue({ now, leaseMs, limit }) {
+      const time = new Date(now).toISOString();
+      const snapshot = await jobs().where('runAt', '<=', time).orderBy('runAt').limit(limit).get();
+
+      const claimed = [];
+      for (const doc of snapshot.docs) {
+        const job = await getDb().runTransaction(async transaction => {
+          const current = await transaction.get(doc.ref);
+          const runAt = current.get('runAt');
+          if (!runAt || runAt > time) return null;
+
+          const fields = {
+            status: 'running',
+            attempts: (current.get('attempts') || 0) + 1,
+            runAt: new Date(now + leaseMs).toISOString(),
+            updatedAt: time
+          };
+          transaction.update(doc.ref, fields);
+          return toJob({ ...current.data(), ...fields });
+        });
+        if (job) claimed.push(job);
+      }
+      return claimed;
+    }
+  };
+}
+
+export function createImportJobStore(name = 'memory', options = {}) {
+  switch (name) {
+    case 'memory':
+      return createMemoryImportJobStore(options);
+    case 'firestore':
+      return createFirestoreImportJobStore(options);
+    default:
+      throw new Error(`Unknown import job store: ${name}`);
+  }
+}
+
+export function newImportJob({ uid, type, input, callbackUrl, maxAttempts = 3, now = Date.now() }) {
+  const time = new Date(now).toISOString();
+  return {
+    id: crypto.randomUUID(),
+    uid,
+    type,
+    input,
+    callbackUrl: callbackUrl || null,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts,
+    createdAt: time,
+    updatedAt: time,
+    runAt: time
+  };
+}
+
+// What clients see, from GET /imports/:id and in callbacks
+export function describeImportJob(job) {
+  const view = {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+  if (job.status === 'retrying') view.nextAttemptAt = job.runAt;
+  if (job.result) view.result = job.result;
+  if (job.error) view.error = job.error;
+  if (job.callback) view.callback = job.callback;
+  return view;
+}
+
+// Backoff between attempts: 5 s, 20 s, 80 s, ...
+export const defaultRetryDelay = attempt => 5000 * 4 ** (attempt - 1);
+
+// Runs due jobs, at most `concurrency` at a time. run(job) resolves to the
+// result or throws; describeError(error) -> { status, body } | null tells
+// expected failures apart. Failures with a 5xx status (upstream trouble,
+// invalid model output, unknown errors) are retried after retryDelay(attempt)
+// until maxAttempts; 4xx failures are final. Once finished, jobs with a
+// callbackUrl are handed to notify(job).
+export function createImportWorker({
+  store,
+  run,
+  describeError = () => null,
+  notify = async () => {},
+  concurrency = 2,
+  pollMs = 5000,
+  leaseMs = 5 * 60 * 1000,
+  retryDelay = defaultRetryDelay,
+  now = Date.now
+}) {
+  let started = false;
+  let polling = null;
+  let claiming = false;
+  let active = 0;
+  const timers = new Set();
+
+  function schedule(fn, ms) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    timer.unref?.();
+    timers.add(timer);
+  }
+
+  async function finish(job, fields) {
+    const finished = await store.update(job.id, { ...fields, runAt: null, updatedAt: new Date(now()).toISOString() });
+    console.log(fields.status === 'succeeded' ? '✅ Import job succeeded:' : '❌ Import job failed:', job.id);
+    if (finished.callbackUrl) {
+      notify(finished).catch(error => console.log('⚠️ Import callback failed:', error.message));
+    }
+  }
+
+  async function runJob(job) {
+    try {
+      const result = await run(job);
+      await finish(job, { status: 'succeeded', result, error: null });
+    } catch (error) {
+      const failure = describeError(error) || { status: 500, body: { error: error.message || 'Import failed' } };
+      const jobError = { status: failure.status, ...failure.body };
+
+      if (failure.status >= 500 && job.attempts < job.maxAttempts) {
+        const delay = retryDelay(job.attempts);
+        console.log(`⚠️ Import job ${job.id} attempt ${job.attempts} failed, retrying in ${delay} ms:`, jobError.error);
+        await store.update(job.id, {
+          status: 'retrying',
+          error: jobError,
+          runAt: new Date(now() + delay).toISOString(),
+          updatedAt: new Date(now()).toISOString()
+        });
+        schedule(tick, delay);
+        return;
+      }
+      await finish(job, { status: 'failed', error: jobError });
+    }
+  }
+
+  async function tick() {
+    if (!started || claiming || active >= concurrency) return;
+    claiming = true;
+    let jobs = [];
+    try {
+      jobs = await store.claimDue({ now: now(), leaseMs, limit: concurrency - active });
+    } catch (error) {
+      console.log('⚠️ Could not claim import jobs:', error.message);
+    } finally {
+      claiming = false;
+    }
+
+    for (const job of jobs) {
+      active += 1;
+      console.log('📦 Running import job', job.id, `(${job.type}, attempt ${job.attempts})`);
+      runJob(job)
+        .catch(error => console.log('⚠️ Could not record import job outcome:', error.message))
+        .finally(() => {
+          active -= 1;
+          tick();
+        });
+    }
+  }
+
+  return {
+    start() {
+      if (started) return;
+      started = true;
+      polling = setInterval(tick, pollMs);
+      polling.unref?.();
+      tick();
+    },
+
+    stop() {
+      started = false;
+      clearInterval(polling);
+      for (const timer of timers) clearTimeout(timer);
+      timers.clear();
+    },
+
+    // Look for due jobs now instead of at the next poll
+    wake() {
+      tick();
+    }
+  };
+}
+
+// POSTs { job } to the job's callbackUrl through the SSRF-safe fetcher,
+// trying three times. With a secret the body is signed:
+//   X-Chef-Choice-Signature: sha256=<hex HMAC of the body>
+// The delivery outcome is recorded as job.callback.
+export function createImportCallbackNotifier({ store, fetchPage, secret, attempts = 3, retryDelay = attempt => 2000 * attempt, now = Date.now }) {
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  return async function notify(job) {
+    const body = JSON.stringify({ job: describeImportJob(job) });
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'Chef-Choice-Webhook/1.0' };
+    if (secret) {
+      headers['X-Chef-Choice-Signature'] = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    let lastError;
+    let attempt = 0;
+    while (attempt < attempts) {
+      attempt += 1;
+      try {
+        await fetchPage(job.callbackUrl, { method: 'POST', headers, body, accept: null });
+        console.log('📨 Delivered import callback for job', job.id);
+        await store.update(job.id, { callback: { status: 'delivered', attempts: attempt, deliveredAt: new Date(now()).toISOString() } });
+        return;
+      } catch (error) {
+        lastError = error;
+        // Refused addresses and URLs will not get better
+        if (error.status && error.status < 500) break;
+        if (attempt < attempts) await wait(retryDelay(attempt));
+      }
+    }
+    console.log('⚠️ Giving up on import callback for job', job.id, lastError.message);
+    await store.update(job.id, { callback: { status: 'failed', attempts: attempt, error: lastError.message } });
+  };
+}
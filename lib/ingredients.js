@@ -0,0 +1,222 @@
+// Deterministic ingredient-line parser for English and German recipes.
+//
+// "1½ cups flour, sifted" → { amount: 1.5, amountMax: null, unit: 'cup',
+// ingredient: 'flour', preparation: 'sifted', ... }. Nothing here calls the LLM,
+// so results are stable and can be used for scaling and unit conversion.
+
+const UNICODE_FRACTIONS = {
+  '¼': 1 / 4, '½': 1 / 2, '¾': 3 / 4, '⅓': 1 / 3, '⅔': 2 / 3, '⅕': 1 / 5,
+  '⅖': 2 / 5, '⅗': 3 / 5, '⅘': 4 / 5, '⅙': 1 / 6, '⅚': 5 / 6, '⅛': 1 / 8,
+  '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+};
+const FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join('');
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, dozen: 12, half: 0.5,
+  ein: 1, eine: 1, einen: 1, einem: 1, zwei: 2, drei: 3, vier: 4, 'fünf': 5,
+  sechs: 6, sieben: 7, acht: 8, neun: 9, zehn: 10, halbe: 0.5, halber: 0.5
+};
+
+// Canonical unit → spellings. Single-letter abbreviations are case-sensitive
+// (T = tablespoon, t = teaspoon) and listed in CASE_SENSITIVE_UNITS instead.
+const UNIT_ALIASES = {
+  tsp: ['teaspoon', 'teaspoons', 'tsp', 'tsps', 'tl', 'teelöffel'],
+  tbsp: ['tablespoon', 'tablespoons', 'tbsp', 'tbsps', 'tbs', 'tbl', 'el', 'esslöffel'],
+  cup: ['cup', 'cups', 'tasse', 'tassen'],
+  'fl oz': ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'],
+  pint: ['pint', 'pints', 'pt'],
+  quart: ['quart', 'quarts', 'qt'],
+  gallon: ['gallon', 'gallons', 'gal'],
+  ml: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+  cl: ['cl', 'centiliter', 'centilitre'],
+  dl: ['dl', 'deciliter', 'decilitre'],
+  l: ['l', 'liter', 'liters', 'litre', 'litres'],
+  mg: ['mg', 'milligram', 'milligrams', 'milligramm'],
+  g: ['g', 'gr', 'gram', 'grams', 'gramm'],
+  kg: ['kg', 'kilogram', 'kilograms', 'kilogramm', 'kilo'],
+  oz: ['oz', 'ounce', 'ounces'],
+  lb: ['lb', 'lbs', 'pound', 'pounds', 'pfund'],
+  pinch: ['pinch', 'pinches', 'prise', 'prisen', 'msp', 'messerspitze'],
+  dash: ['dash', 'dashes', 'spritzer', 'schuss'],
+  clove: ['clove', 'cloves', 'zehe', 'zehen'],
+  can: ['can', 'cans', 'tin', 'tins', 'dose', 'dosen'],
+  package: ['package', 'packages', 'pack', 'packs', 'pkg', 'packet', 'packets', 'pck', 'päckchen', 'packung', 'packungen', 'pkt'],
+  piece: ['piece', 'pieces', 'stück', 'stk'],
+  slice: ['slice', 'slices', 'scheibe', 'scheiben'],
+  bunch: ['bunch', 'bunches', 'bund'],
+  sprig: ['sprig', 'sprigs', 'zweig', 'zweige'],
+  handful: ['handful', 'handfuls', 'handvoll'],
+  stick: ['stick', 'sticks'],
+  cube: ['cube', 'cubes', 'würfel'],
+  container: ['container', 'containers', 'becher']
+};
+
+const CASE_SENSITIVE_UNITS = { T: 'tbsp', t: 'tsp', c: 'cup', C: 'cup' };
+
+const UNIT_LOOKUP = new Map();
+for (const [canonical, aliases] of Object.entries(UNIT_ALIASES)) {
+  for (const alias of aliases) {
+    UNIT_LOOKUP.set(alias, canonical);
+  }
+}
+
+// Longest spellings first so "fl oz" wins over "oz" and "tbsps" over "tbsp"
+const UNIT_PATTERN = [...UNIT_LOOKUP.keys(), ...Object.keys(CASE_SENSITIVE_UNITS)]
+  .sort((a, b) => b.length - a.length)
+  .map(alias => alias.replace(/[.]/g, '\\.').replace(/ /g, '\\s*'))
+  .join('|');
+
+// Plain fractions first: the integer branch would otherwise take the "1" of "1/2"
+const NUMBER = `(?:\\d+\\/\\d+|\\d+(?:[.,]\\d+)?(?:\\s*[${FRACTION_CHARS}]|\\s+\\d+\\/\\d+)?|[${FRACTION_CHARS}])`;
+const NUMBER_WORD = `(?:${Object.keys(NUMBER_WORDS).join('|')})`;
+
+const AMOUNT_REGEX = new RegExp(
+  `^(?:(?<num>${NUMBER})(?:\\s*(?:-|–|—|to|bis|or|oder)\\s*(?<max>${NUMBER}))?|(?<word>${NUMBER_WORD})(?=\\s))\\s*`,
+  'i'
+);
+const UNIT_REGEX = new RegExp(`^(?<unit>${UNIT_PATTERN})(?:\\.(?=\\s|$))?(?=[\\s(,]|$)\\s*(?:of\\s+)?`, 'i');
+
+const TRAILING_NOTES = /\s*(?:,\s*)?\b(to taste|as needed|optional|for garnish|for serving|nach belieben|nach geschmack|zum garnieren)\s*$/i;
+
+export function parseNumber(text) {
+  if (!text) return null;
+  const value = text.trim();
+
+  let total = 0;
+  let matched = false;
+  const fractionChar = value.match(new RegExp(`[${FRACTION_CHARS}]`));
+  if (fractionChar) {
+    total += UNICODE_FRACTIONS[fractionChar[0]];
+    matched = true;
+  }
+
+  const withoutUnicode = value.replace(new RegExp(`[${FRACTION_CHARS}]`, 'g'), ' ').trim();
+  for (const part of withoutUnicode.split(/\s+/).filter(Boolean)) {
+    if (part.includes('/')) {
+      const [numerator, denominator] = part.split('/').map(Number);
+      if (!denominator) return null;
+      total += numerator / denominator;
+    } else {
+      const number = Number(part.replace(',', '.'));
+      if (Number.isNaN(number)) return null;
+      total += number;
+    }
+    matched = true;
+  }
+
+  return matched ? Math.round(total * 1000) / 1000 : null;
+}
+
+export function canonicalUnit(text) {
+  if (!text) return null;
+  const compact = text.trim().replace(/\.$/, '').replace(/\s+/g, ' ');
+  if (CASE_SENSITIVE_UNITS[compact]) return CASE_SENSITIVE_UNITS[compact];
+  return UNIT_LOOKUP.get(compact.toLowerCase()) ?? null;
+}
+
+function splitPreparation(text) {
+  let name = text.trim();
+  const notes = [];
+
+  const trailing = name.match(TRAILING_NOTES);
+  if (trailing) {
+    notes.push(trailing[1]);
+    name = name.slice(0, trailing.index).trim();
+  }
+
+  const parenthetical = name.match(/\s*\(([^)]*)\)/);
+  if (parenthetical) {
+    notes.unshift(parenthetical[1].trim());
+    name = (name.slice(0, parenthetical.index) + name.slice(parenthetical.index + parenthetical[0].length)).trim();
+  }
+
+  const comma = name.indexOf(',');
+  if (comma > 0) {
+    notes.unshift(name.slice(comma + 1).trim());
+    name = name.slice(0, comma).trim();
+  }
+
+  const preparation = notes.filter(Boolean).join(', ');
+  return { name: name.replace(/^of\s+/i, ''), preparation: preparation || null };
+}
+
+// Parse a single free-text ingredient line
+export function parseIngredientLine(line) {
+  const original = String(line ?? '').replace(/\s+/g, ' ').trim();
+  let rest = original.replace(/^[-•*–]\s+/, '');
+
+  let amount = null;
+  let amountMax = null;
+  let unit = null;
+  let quantityText = '';
+
+  const amountMatch = rest.match(AMOUNT_REGEX);
+  if (amountMatch) {
+    const { num, max, word } = amountMatch.groups;
+    amount = num ? parseNumber(num) : NUMBER_WORDS[word.toLowerCase()];
+    amountMax = max ? parseNumber(max) : null;
+
+    const afterAmount = rest.slice(amountMatch[0].length);
+    const unitMatch = afterAmount.match(UNIT_REGEX);
+    const matchedUnit = unitMatch && canonicalUnit(unitMatch.groups.unit);
+
+    // "a" / "an" only count as an amount when a unit follows ("a pinch of salt")
+    if (word && !num && !matchedUnit && /^(a|an)$/i.test(word)) {
+      amount = null;
+    } else {
+      quantityText = amountMatch[0];
+      rest = afterAmount;
+      if (matchedUnit) {
+        unit = matchedUnit;
+        quantityText += unitMatch[0];
+        rest = afterAmount.slice(unitMatch[0].length);
+      }
+    }
+  }
+
+  const { name, preparation } = splitPreparation(rest);
+
+  return {
+    quantity: quantityText.replace(/\s*of\s*$/i, '').trim(),
+    remainder: rest.trim(),
+    name: name || rest.trim() || original,
+    amount,
+    amountMax,
+    unit,
+    preparation,
+    original
+  };
+}
+
+// The unit part of a quantity string as written ("2–3 EL" → "EL")
+export function stripAmount(quantity) {
+  const text = String(quantity ?? '').trim();
+  const match = text.match(AMOUNT_REGEX);
+  return match ? text.slice(match[0].length).trim() : text;
+}
+
+// Split a line into the { quantity, name } display shape, keeping preparation
+// notes in the name ("2 cloves" + "garlic, minced")
+export function splitIngredientLine(line) {
+  const { quantity, remainder, original } = parseIngredientLine(line);
+  return { quantity, name: remainder || original };
+}
+
+// Add parsed fields to an item in our { quantity, name } shape. The display
+// fields stay as they were so existing clients keep rendering the same text.
+export function enrichIngredientItem(item) {
+  const original = [item.quantity, item.name].filter(Boolean).join(' ').trim();
+  const parsed = parseIngredientLine(original);
+
+  return {
+    quantity: item.quantity,
+    name: item.name,
+    amount: parsed.amount,
+    amountMax: parsed.amountMax,
+    unit: parsed.unit,
+    ingredient: parsed.name,
+    preparation: parsed.preparation,
+    original
+  };
+}
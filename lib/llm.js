@@ -0,0 +1,190 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { OpenAI } from 'openai';
+
+// Extraction-provider layer between the routes and whichever model answers.
+//
+// Providers implement complete({ messages, temperature, json, model, onDelta }) and
+// resolve to { content, usage: { promptTokens, completionTokens, totalTokens } }.
+// With onDelta the reply is streamed: onDelta(delta, contentSoFar) is called as
+// text arrives and the promise still resolves to the complete reply.
+// config.llm.provider (LLM_PROVIDER) selects one:
+//   openai             OpenAI API (apiKey, model)
+//   openai-compatible  any OpenAI-compatible server such as Ollama (baseURL)
+//   fake               deterministic, offline; replies from fixturesDir
+
+export class LlmError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LlmError';
+  }
+}
+
+const providers = new Map();
+
+export function registerLlmProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+export function createLlmProvider(name = 'openai', options = {}) {
+  const factory = providers.get(name);
+  if (!factory) {
+    throw new LlmError(`Unknown LLM provider: ${name}`);
+  }
+  return factory(options);
+}
+
+function toUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens ?? 0,
+    completionTokens: usage?.completion_tokens ?? 0,
+    totalTokens: usage?.total_tokens ?? 0
+  };
+}
+
+function openAiProvider({
+  name,
+  apiKey,
+  baseURL,
+  model: defaultModel = 'gpt-4o-mini',
+  jsonMode = true,
+  client
+}) {
+  const openai = client || new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+    model: defaultModel,
+
+    async complete({ messages, temperature, json = false, model = defaultModel, onDelta }) {
+      const request = {
+        model,
+        messages,
+        temperature,
+        ...(json && jsonMode ? { response_format: { type: 'json_object' } } : {})
+      };
+
+      if (!onDelta) {
+        const completion = await openai.chat.completions.create(request);
+        return { content: completion.choices[0]?.message?.content ?? '', usage: toUsage(completion.usage) };
+      }
+
+      // Only the OpenAI API is known to accept stream_options; other servers
+      // may reject it, and then report no usage for streamed replies
+      const stream = await openai.chat.completions.create({
+        ...request,
+        stream: true,
+        ...(name === 'openai' ? { stream_options: { include_usage: true } } : {})
+      });
+
+      let content = '';
+      let usage;
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta, content);
+        }
+        if (chunk.usage) usage = chunk.usage;
+      }
+      return { content, usage: toUsage(usage) };
+    }
+  };
+}
+
+registerLlmProvider('openai', options => openAiProvider({ name: 'openai', ...options }));
+
+// Local servers usually ignore the API key but the SDK insists on one
+registerLlmProvider('openai-compatible', options => {
+  const { baseURL } = options;
+  if (!baseURL) {
+    throw new LlmError('LLM_BASE_URL is required for the openai-compatible provider');
+  }
+  return openAiProvider({
+    name: 'openai-compatible',
+    ...options,
+    apiKey: options.apiKey || 'not-needed'
+  });
+});
+
+function loadFixtures(dir) {
+  if (!dir) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+}
+
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  return (message.content || []).map(part => part.text || '').join('\n');
+}
+
+// Without a matching fixture, build the recipe straight from the prompt input:
+// first line is the title, lines starting with an amount are ingredients and
+// the rest are steps. Crude, but stable across runs.
+function heuristicRecipe(prompt) {
+  const input = prompt.includes('\n\n') ? prompt.slice(prompt.indexOf('\n\n') + 2) : prompt;
+  const lines = input.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const [title = 'Imported Recipe', ...rest] = lines;
+
+  const items = [];
+  const instructions = [];
+  for (const line of rest) {
+    if (/^([-•*]\s*)?[\d¼½¾⅓⅔]/.test(line) && !/^\d+[.)]\s/.test(line)) {
+      items.push(line.replace(/^[-•*]\s*/, ''));
+    } else {
+      instructions.push({ section: null, text: line.replace(/^\d+[.)]\s*/, '') });
+    }
+  }
+
+  return {
+    title,
+    ingredientsByProcessingStep: items.length ? [{ name: 'Ingredients', items }] : [],
+    instructions,
+    tags: []
+  };
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+registerLlmProvider('fake', ({ fixtures, fixturesDir } = {}) => {
+  const entries = fixtures || loadFixtures(fixturesDir);
+
+  return {
+    name: 'fake',
+    model: 'fake',
+    calls: [],
+
+    async complete({ messages, json = false, onDelta }) {
+      this.calls.push({ messages });
+      const prompt = messages.filter(message => message.role === 'user').map(messageText).pop() || '';
+
+      const fixture = entries.find(entry => entry.match === undefined || prompt.includes(entry.match));
+      let content;
+      if (fixture) {
+        content = typeof fixture.reply === 'string' ? fixture.reply : JSON.stringify(fixture.reply);
+      } else if (messages.some(message => Array.isArray(message.content))) {
+        content = JSON.stringify({ regions: [] });
+      } else {
+        content = json ? JSON.stringify(heuristicRecipe(prompt)) : prompt;
+      }
+
+      // Streams in fixed-size pieces so partial output is reproducible
+      if (onDelta) {
+        for (let i = 0; i < content.length; i += 16) {
+          onDelta(content.slice(i, i + 16), content.slice(0, i + 16));
+        }
+      }
+
+      const promptTokens = estimateTokens(messages.map(messageText).join('\n'));
+      const completionTokens = estimateTokens(content);
+      return {
+        content,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+      };
+    }
+  };
+});
@@ -0,0 +1,148 @@
+// Meal-Master text exports (.mmf, .mm, .txt). A file holds any number of
+// recipes, each framed by a "Recipe via Meal-Master" header line and a closing
+// "MMMMM" or "-----" line:
+//
+//   MMMMM----- Recipe via Meal-Master (tm) v8.05
+//         Title: Tomato Soup
+//    Categories: Soups, Vegetarian
+//         Yield: 4 servings
+//
+//         1 kg  Tomatoes
+//         2 tb  Olive oil
+//   MMMMM----------------------TOPPING---------------------------
+//       1/2 c   Sour cream
+//
+//     Chop the tomatoes and simmer for 30 minutes.
+//   MMMMM
+//
+// Ingredient lines are columns: amount (7 characters), unit code (2), then the
+// ingredient; a second ingredient may follow from column 41. Lines whose
+// ingredient starts with "-" continue the previous one.
+
+const UNITS = {
+  x: '', sm: 'small', md: 'medium', lg: 'large', cn: 'can', pk: 'package', pn: 'pinch',
+  dr: 'drop', ds: 'dash', ct: 'carton', bn: 'bunch', sl: 'slice', ea: '', t: 'tsp',
+  ts: 'tsp', T: 'tbsp', tb: 'tbsp', fl: 'fl oz', c: 'cup', pt: 'pint', qt: 'quart',
+  ga: 'gallon', oz: 'oz', lb: 'lb', ml: 'ml', cb: 'cubic cm', cl: 'cl', dl: 'dl',
+  l: 'l', mg: 'mg', cg: 'cg', dg: 'dg', g: 'g', kg: 'kg'
+};
+
+const HEADER = /^(?:MMMMM|-{5})-*\s*Recipe via Meal-?Master/i;
+const FOOTER = /^(?:MMMMM|-{5})\s*$/;
+// "MMMMM-----SAUCE-----" or "-----------SAUCE-----------"
+const SECTION = /^(?:MMMMM|-{5})-*\s*([^-\s][^]*?)\s*-+\s*$/;
+const AMOUNT = /^[\d\s./-]*$/;
+
+export function isMealMaster(text) {
+  return text.split(/\r?\n/).some(line => HEADER.test(line.trim()));
+}
+
+// "  1 1/2 c  Flour" -> { quantity: '1 1/2 cup', name: 'Flour' }, or null
+function parseColumn(column) {
+  if (!column.trim()) return null;
+  const amount = column.slice(0, 7);
+  const unitCode = column.slice(8, 10).trim();
+  const name = column.slice(11).trim();
+  if (column.length > 7 && column[7] !== ' ') return null;
+  if (!AMOUNT.test(amount) || (unitCode && !(unitCode in UNITS)) || !name) return null;
+
+  const quantity = [amount.trim(), UNITS[unitCode] ?? ''].filter(Boolean).join(' ');
+  return { quantity, name };
+}
+
+// Splits a two-column line; the right column starts at 41 when it parses as an ingredient
+function parseIngredientLine(line) {
+  if (line.length > 41) {
+    const left = parseColumn(line.slice(0, 41).trimEnd());
+    const right = parseColumn(line.slice(41));
+    if (left && right) return [left, right];
+  }
+  const single = parseColumn(line);
+  return single ? [single] : null;
+}
+
+function parseRecipe(lines) {
+  const recipe = { title: '', categories: [], servings: null, groups: [], directions: [] };
+  let group = { name: 'Ingredients', items: [] };
+  recipe.groups.push(group);
+  let inDirections = false;
+  let section = null;
+  let paragraph = [];
+
+  const endParagraph = () => {
+    if (paragraph.length) recipe.directions.push({ section, text: paragraph.join(' ') });
+    paragraph = [];
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/\s+$/, '');
+    const field = line.match(/^\s*(Title|Categories|Yield|Servings)\s*:\s*(.*)$/i);
+    if (field && !inDirections) {
+      const [, name, value] = field;
+      if (/title/i.test(name)) recipe.title = value.trim();
+      else if (/categories/i.test(name)) recipe.categories = value.split(',').map(tag => tag.trim()).filter(Boolean);
+      else recipe.servings = value.trim();
+      continue;
+    }
+
+    const heading = line.match(SECTION);
+    if (heading) {
+      if (inDirections) {
+        endParagraph();
+        section = heading[1];
+      } else {
+        group = { name: heading[1], items: [] };
+        recipe.groups.push(group);
+      }
+      continue;
+    }
+
+    if (!line.trim()) {
+      endParagraph();
+      continue;
+    }
+
+    if (!inDirections) {
+      const items = parseIngredientLine(line);
+      if (items) {
+        for (const item of items) {
+          const previous = group.items[group.items.length - 1];
+          if (item.name.startsWith('-') && previous && !item.quantity) {
+            previous.name = `${previous.name} ${item.name.replace(/^-+\s*/, '')}`.trim();
+          } else {
+            group.items.push(item);
+          }
+        }
+        continue;
+      }
+      inDirections = true;
+    }
+    paragraph.push(line.trim());
+  }
+  endParagraph();
+
+  recipe.groups = recipe.groups.filter(candidate => candidate.items.length);
+  return recipe;
+}
+
+// -> [{ title, categories, servings, groups, directions }] in file order
+export function parseMealMaster(text) {
+  const recipes = [];
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (HEADER.test(trimmed)) {
+      if (current) recipes.push(parseRecipe(current));
+      current = [];
+    } else if (current && FOOTER.test(trimmed)) {
+      recipes.push(parseRecipe(current));
+      current = null;
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  if (current) recipes.push(parseRecipe(current));
+
+  return recipes;
+}
@@ -0,0 +1,56 @@
+import busboy from 'busboy';
+
+// multipart/form-data bodies with at most one file, buffered in memory. Lets
+// clients send the raw image bytes instead of base64 inside JSON.
+
+export class MultipartError extends Error {
+  constructor(message, status = 400, code = 'invalid-multipart') {
+    super(message);
+    this.name = 'MultipartError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// -> { fields: { name: value }, file: { field, data, fileName, contentType } | null }
+export function readMultipart(req, { maxFileBytes, maxFields = 20, maxFieldBytes = 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: 1, fileSize: maxFileBytes, fields: maxFields, fieldSize: maxFieldBytes }
+      });
+    } catch (error) {
+      return reject(new MultipartError(`Invalid multipart body: ${error.message}`));
+    }
+
+    const fields = {};
+    let file = null;
+    let failure = null;
+    const fail = error => {
+      failure = failure || error;
+    };
+
+    parser.on('field', (name, value, info) => {
+      if (info.valueTruncated) fail(new MultipartError(`Field ${name} is too long`));
+      fields[name] = value;
+    });
+
+    parser.on('file', (field, stream, info) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('limit', () => fail(new MultipartError(`File too large. Maximum ${maxFileBytes} bytes allowed.`, 413, 'file-too-large')));
+      stream.on('close', () => {
+        file = { field, data: Buffer.concat(chunks), fileName: info.filename || null, contentType: info.mimeType };
+      });
+    });
+
+    parser.on('filesLimit', () => fail(new MultipartError('Only one file may be uploaded per request')));
+    parser.on('fieldsLimit', () => fail(new MultipartError('Too many form fields')));
+    parser.on('error', error => reject(failure || new MultipartError(`Invalid multipart body: ${error.message}`)));
+    parser.on('close', () => (failure ? reject(failure) : resolve({ fields, file })));
+
+    req.pipe(parser);
+  });
+}
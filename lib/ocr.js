@@ -0,0 +1,123 @@
+import { parseModelJson } from './recipe-schema.js';
+
+// Server-side text recognition for /parse-image.
+//
+// Providers implement recognize(buffer, { contentType }) and resolve to
+// { text, regions: [{ text, confidence, bbox? }], usage? } with confidence in
+// 0..1 and usage the model tokens spent, for providers that call an LLM.
+// OCR_PROVIDER picks one: "openai-vision" (default) or "tesseract", which needs
+// the optional tesseract.js package installed. Others can be registered.
+
+export class OcrError extends Error {
+  constructor(message, code = 'ocr-failed') {
+    super(message);
+    this.name = 'OcrError';
+    this.code = code;
+  }
+}
+
+const providers = new Map();
+
+export function registerOcrProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+export function createOcrProvider(name = 'openai-vision', options = {}) {
+  const factory = providers.get(name);
+  if (!factory) {
+    throw new OcrError(`Unknown OCR provider: ${name}`, 'ocr-unavailable');
+  }
+  return factory(options);
+}
+
+function joinRegions(regions) {
+  return regions.map(region => region.text).filter(Boolean).join('\n');
+}
+
+// Asks a vision-capable chat model, through the configured LLM provider, to
+// transcribe the image. The model reports its own per-region confidence, which
+// is an estimate rather than a measurement.
+registerOcrProvider('openai-vision', ({ llm, model }) => ({
+  name: 'openai-vision',
+
+  async recognize(buffer, { contentType }) {
+    if (!llm) throw new OcrError('No LLM provider is configured', 'ocr-unavailable');
+
+    const completion = await llm.complete({
+      model: model || llm.model,
+      temperature: 0,
+      json: true,
+      messages: [
+        {
+          role: 'system',
+          content: 'You are an OCR engine. Transcribe ALL text in the image exactly as written, in its original language, without correcting or translating it. Return JSON: {"regions": [{"text": "text of one visual block, lines separated by \\n", "confidence": 0.0-1.0}]} with regions in reading order.'
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Transcribe this recipe image as JSON.' },
+            { type: 'image_url', image_url: { url: `data:${contentType};base64,${buffer.toString('base64')}` } }
+          ]
+        }
+      ]
+    });
+
+    // Models sometimes fence the JSON or reply with something else entirely
+    const parsed = parseModelJson(completion.content);
+    if (!parsed || !Array.isArray(parsed.regions)) {
+      throw new OcrError('Vision model returned malformed OCR output');
+    }
+
+    const regions = parsed.regions
+      .filter(region => region && typeof region.text === 'string' && region.text.trim())
+      .map(region => ({
+        text: region.text.trim(),
+        confidence: Number.isFinite(region.confidence) ? Math.min(Math.max(region.confidence, 0), 1) : null
+      }));
+
+    return { text: joinRegions(regions), regions, usage: completion.usage };
+  }
+}));
+
+// Local OCR with tesseract.js; nothing leaves the server
+registerOcrProvider('tesseract', ({ languages = 'eng+deu' }) => ({
+  name: 'tesseract',
+
+  async recognize(buffer) {
+    let tesseract;
+    try {
+      tesseract = await import('tesseract.js');
+    } catch (e) {
+      throw new OcrError('tesseract.js is not installed', 'ocr-unavailable');
+    }
+
+    const worker = await tesseract.createWorker(languages);
+    try {
+      const { data } = await worker.recognize(buffer, {}, { text: true, blocks: true });
+      const lines = (data.blocks || [])
+        .flatMap(block => block.paragraphs || [])
+        .flatMap(paragraph => paragraph.lines || []);
+
+      const regions = lines
+        .filter(line => line.text && line.text.trim())
+        .map(line => ({
+          text: line.text.trim(),
+          confidence: Math.round(line.confidence) / 100,
+          bbox: line.bbox
+        }));
+
+      return { text: regions.length ? joinRegions(regions) : (data.text || '').trim(), regions };
+    } finally {
+      await worker.terminate();
+    }
+  }
+}));
+
+// Mean confidence over regions that report one, weighted by text length
+export function overallConfidence(regions) {
+  const scored = regions.filter(region => typeof region.confidence === 'number');
+  const weight = scored.reduce((sum, region) => sum + region.text.length, 0);
+  if (!weight) return null;
+  const total = scored.reduce((sum, region) => sum + region.confidence * region.text.length, 0);
+  return Math.round((total / weight) * 100) / 100;
+}
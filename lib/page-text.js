@@ -0,0 +1,182 @@
+import * as cheerio from 'cheerio';
+
+// Turns a fetched recipe page into plain text for the LLM fallback of
+// /parse-url: drops page chrome (navigation, cookie banners, comments, ads),
+// keeps headings and list items on their own lines, and puts the recipe card
+// first so truncation cuts blog prose rather than the instructions.
+
+// Recipe plugin markup, most specific first
+const RECIPE_CONTAINERS = [
+  '.wprm-recipe-container', // WP Recipe Maker
+  '.wprm-recipe',
+  '.tasty-recipes', // Tasty Recipes
+  '.mv-create-card', // Mediavine Create
+  '.wpzoom-recipe-card',
+  '.easyrecipe',
+  '#zlrecipe-container', // Zip Recipes
+  '.recipe-card',
+  '[itemtype*="schema.org/Recipe"]',
+  '[typeof~="Recipe"]'
+];
+
+const MAIN_CONTAINERS = ['main', '[role="main"]', 'article', '.entry-content', '.post-content', '#content'];
+
+const REMOVED_TAGS = 'script, style, noscript, template, svg, canvas, iframe, object, embed, form, button, select, textarea, dialog, nav, aside';
+const REMOVED_ROLES = '[role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="dialog"], [aria-hidden="true"], [hidden]';
+const BOILERPLATE = /(^|[\s_-])(cookies?|consent|gdpr|newsletter|subscribe|signup|popup|modal|overlay|ads?|adsense|advert\w*|sponsor\w*|promo\w*|share|sharing|social|related|comments?|respond|breadcrumbs?|sidebar|widget|menu|navbar|pagination|disclosure)([\s_-]|$)/i;
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'header', 'hr', 'main', 'p', 'pre', 'section', 'summary', 'table', 'tr', 'caption'
+]);
+
+const SECTION_HEADING = /^#*\s*(ingredients?|zutaten|you will need|what you need|instructions|directions|method|preparation|steps|zubereitung|anleitung)\b/i;
+
+function removeBoilerplate($) {
+  $(REMOVED_TAGS).remove();
+  $(REMOVED_ROLES).remove();
+
+  // Page-level header/footer only; article headers often hold the recipe title
+  $('header, footer').filter((i, el) => !$(el).closest('main, article').length).remove();
+
+  const protectedContent = [...RECIPE_CONTAINERS, 'main', 'article'].join(', ');
+  $('[class], [id]').each((i, el) => {
+    if (el.name === 'body' || el.name === 'html' || el.name === 'main' || el.name === 'article') return;
+    const label = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    if (!BOILERPLATE.test(label)) return;
+    if ($(el).is(protectedContent) || $(el).find(protectedContent).length) return;
+    $(el).remove();
+  });
+}
+
+// Renders an element to lines: block elements and <br> break lines, headings get
+// markdown markers and blank lines around them, list items get "-" or "1."
+function renderText($, root) {
+  const lines = [];
+  let current = '';
+  let prefix = '';
+
+  const flush = () => {
+    const text = current.replace(/\s+/g, ' ').trim();
+    if (text) lines.push(prefix + text);
+    if (text) prefix = '';
+    current = '';
+  };
+  const blankLine = () => {
+    flush();
+    if (lines.length && lines[lines.length - 1] !== '') lines.push('');
+  };
+
+  function walk(node, depth) {
+    if (node.type === 'text') {
+      current += node.data;
+      return;
+    }
+    if (node.type !== 'tag') return;
+
+    const name = node.name;
+    const children = node.children || [];
+    const heading = /^h([1-6])$/.exec(name);
+
+    if (name === 'br') {
+      flush();
+    } else if (heading) {
+      blankLine();
+      prefix = `${'#'.repeat(Number(heading[1]))} `;
+      children.forEach(child => walk(child, depth));
+      blankLine();
+      prefix = '';
+    } else if (name === 'ul' || name === 'ol') {
+      flush();
+      let number = Number($(node).attr('start')) || 1;
+      for (const child of children) {
+        if (child.type === 'tag' && child.name === 'li') {
+          flush();
+          prefix = `${'  '.repeat(depth)}${name === 'ol' ? `${number++}.` : '-'} `;
+          (child.children || []).forEach(grandchild => walk(grandchild, depth + 1));
+          flush();
+          prefix = '';
+        } else {
+          walk(child, depth);
+        }
+      }
+      flush();
+    } else if (name === 'td' || name === 'th') {
+      current += ' ';
+      children.forEach(child => walk(child, depth));
+      current += ' ';
+    } else if (BLOCK_TAGS.has(name) || name === 'li') {
+      flush();
+      children.forEach(child => walk(child, depth));
+      flush();
+    } else {
+      children.forEach(child => walk(child, depth));
+    }
+  }
+
+  root.each((i, el) => walk(el, 0));
+  flush();
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Cuts at a line break close to the limit rather than mid-sentence
+function cutText(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const slice = text.slice(0, maxLength);
+  const lineBreak = slice.lastIndexOf('\n');
+  return (lineBreak > maxLength * 0.8 ? slice.slice(0, lineBreak) : slice).trim();
+}
+
+// Without a recipe card, keep the title and start from the first ingredient or
+// method heading, so a long story before the recipe is what gets dropped
+function prioritizeRecipeSections(text, title, maxLength) {
+  if (text.length <= maxLength) return text;
+
+  const lines = text.split('\n');
+  const start = lines.findIndex(line => line.length < 60 && SECTION_HEADING.test(line));
+  if (start <= 0) return cutText(text, maxLength);
+
+  const head = title ? `# ${title}\n\n` : '';
+  return cutText(head + lines.slice(start).join('\n'), maxLength);
+}
+
+// Returns { text, title, container, truncated }; container is the matched recipe
+// plugin selector, or null when the whole main content was used
+export function extractPageText(html, { maxLength = 12000 } = {}) {
+  const $ = cheerio.load(html);
+  removeBoilerplate($);
+
+  // Site logos are often an <h1> too, but those went with the page header
+  const title = ($('h1').first().text() || $('title').first().text()).replace(/\s+/g, ' ').trim();
+
+  const mainSelector = MAIN_CONTAINERS.find(selector => $(selector).first().text().trim().length > 200);
+  const main = mainSelector ? $(mainSelector).first() : $('body');
+
+  const containerSelector = RECIPE_CONTAINERS.find(selector => $(selector).first().text().trim());
+
+  if (!containerSelector) {
+    const fullText = renderText($, main);
+    const text = prioritizeRecipeSections(fullText, title, maxLength);
+    return { text, title, container: null, truncated: text !== fullText };
+  }
+
+  const container = $(containerSelector).first();
+  let recipeText = renderText($, container);
+  if (title && !recipeText.includes(title)) recipeText = `# ${title}\n\n${recipeText}`;
+  let truncated = recipeText.length > maxLength;
+  recipeText = cutText(recipeText, maxLength);
+
+  // The rest of the page is context only and gets whatever room is left
+  container.remove();
+  const rest = renderText($, main);
+  const room = maxLength - recipeText.length - 2;
+  if (!rest) {
+    return { text: recipeText, title, container: containerSelector, truncated };
+  }
+  if (room < 200) {
+    return { text: recipeText, title, container: containerSelector, truncated: true };
+  }
+  truncated = truncated || rest.length > room;
+  return { text: `${recipeText}\n\n${cutText(rest, room)}`, title, container: containerSelector, truncated };
+}
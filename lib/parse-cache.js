@@ -0,0 +1,136 @@
+import crypto from 'node:crypto';
+import admin from 'firebase-admin';
+
+// Cache of successful /parse-url and /parse-recipe responses, so the same
+// popular URL or re-submitted text does not cost another model call.
+//
+// Backends implement get(key) -> response | null and set(key, response).
+// PARSE_CACHE picks one: "memory" (default, per process LRU), "firestore"
+// (shared between instances) or "off". Entries live PARSE_CACHE_TTL_SECONDS.
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|mc_cid|mc_eid|igshid|_ga|_gl|ref|ref_src|s_cid|cmpid|__s)$/i;
+
+// Same recipe page, same key: tracking params and fragments dropped, host
+// lower-cased, default port removed and the remaining params sorted. Strings
+// that are not URLs come back trimmed; the fetcher rejects them later.
+export function canonicalizeUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return String(value).trim();
+  }
+  url.hash = '';
+  url.hostname = url.hostname.toLowerCase();
+  if ((url.protocol === 'http:' && url.port === '80') || (url.protocol === 'https:' && url.port === '443')) {
+    url.port = '';
+  }
+
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(params).toString();
+
+  return url.href;
+}
+
+// Whitespace and line-ending differences do not change what the model sees
+export function normalizeText(text) {
+  return text
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// { url } or { text }, plus whatever else the result depends on (prompt
+// version, schema version, model)
+export function parseCacheKey({ url, text, ...context }) {
+  const subject = url !== undefined ? { url: canonicalizeUrl(url) } : { text: normalizeText(text) };
+  const sortedContext = Object.keys(context).sort().map(name => [name, context[name]]);
+  return crypto.createHash('sha256').update(JSON.stringify([subject, sortedContext])).digest('hex');
+}
+
+export function createMemoryParseCache({ maxEntries = 500, ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now } = {}) {
+  // Map iteration order is insertion order; re-inserting on read keeps it LRU
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= now()) return null;
+      entries.set(key, entry);
+      return structuredClone(entry.response);
+    },
+
+    async set(key, response) {
+      entries.delete(key);
+      entries.set(key, { response: structuredClone(response), expiresAt: now() + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+// One document per key in parseCache/{key}. Responses are stored as JSON
+// strings (Firestore rejects nested arrays and undefined values). Expired
+// documents are ignored on read; configure a Firestore TTL policy on
+// expiresAt to have them deleted.
+export function createFirestoreParseCache({
+  getDb = () => admin.firestore(),
+  collection = 'parseCache',
+  ttlSeconds = DEFAULT_TTL_SECONDS,
+  now = Date.now
+} = {}) {
+  const entries = () => getDb().collection(collection);
+
+  return {
+    name: 'firestore',
+
+    async get(key) {
+      const snapshot = await entries().doc(key).get();
+      if (!snapshot.exists) return null;
+
+      const { response, expiresAt } = snapshot.data();
+      const expiresAtMs = typeof expiresAt?.toMillis === 'function' ? expiresAt.toMillis() : new Date(expiresAt).getTime();
+      if (!(expiresAtMs > now())) return null;
+      return JSON.parse(response);
+    },
+
+    async set(key, response) {
+      await entries().doc(key).set({
+        response: JSON.stringify(response),
+        createdAt: new Date(now()),
+        expiresAt: new Date(now() + ttlSeconds * 1000)
+      });
+    }
+  };
+}
+
+export function createParseCache(name = 'memory', { ttlSeconds = DEFAULT_TTL_SECONDS, ...options } = {}) {
+  switch (name) {
+    case 'memory':
+      return createMemoryParseCache({ ttlSeconds, ...options });
+    case 'firestore':
+      return createFirestoreParseCache({ ttlSeconds, ...options });
+    case 'off':
+      return null;
+    default:
+      throw new Error(`Unknown parse cache: ${name}`);
+  }
+}
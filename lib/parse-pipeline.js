@@ -0,0 +1,181 @@
+import { extractStructuredRecipe } from './structured-data.js';
+import { extractPageText } from './page-text.js';
+import { buildRecipeResponse, normalizeRecipe, RECIPE_SCHEMA_VERSION, validateRecipe, RecipeValidationError } from './recipe-schema.js';
+import { extractRecipeFromText, extractRecipeFromPage, PROMPT_VERSION } from './extract-recipe.js';
+import { overallConfidence, OcrError } from './ocr.js';
+import { parseCacheKey } from './parse-cache.js';
+import { SafeFetchError } from './safe-fetch.js';
+
+// Text, URL and image parsing shared by the /parse-* routes and import jobs.
+// Each parse resolves to the response body the routes send, records the
+// model tokens it used against the user, and stores successful text and URL
+// results in the parse cache. Failures are thrown; describeParseError turns
+// the expected ones into { status, body }.
+
+export class ParseError extends Error {
+  constructor(message, code, status) {
+    super(message);
+    this.name = 'ParseError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+export function describeParseError(error) {
+  if (error instanceof RecipeValidationError) {
+    return { status: 502, body: { error: 'Could not extract a valid recipe', code: 'invalid-model-output', details: error.errors } };
+  }
+  if (error instanceof OcrError) {
+    return { status: error.code === 'ocr-unavailable' ? 503 : 502, body: { error: error.message, code: error.code } };
+  }
+  if (error instanceof SafeFetchError || error instanceof ParseError) {
+    return { status: error.status, body: { error: error.message, code: error.code } };
+  }
+  return null;
+}
+
+const PAGE_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; Chef-Choice-Bot/1.0)',
+  'Accept': 'text/html,application/xhtml+xml;q=0.9,text/plain;q=0.8'
+};
+
+// tokenBudget is the one from lib/rate-limit.js; onEvent receives the stage
+// and partial events described in lib/event-stream.js. maxTextLength caps OCR
+// text and maxPageTextLength page text sent to the model (config.limits).
+export function createParsePipeline({
+  llm,
+  ocrProvider,
+  fetchPage,
+  getBucket,
+  parseCache,
+  tokenBudget,
+  maxTextLength = 15000,
+  maxPageTextLength = 12000
+}) {
+  // Cached parse responses depend on the input and on everything that shapes the model output
+  const cacheKeyFor = input => parseCacheKey({ ...input, prompt: PROMPT_VERSION, schema: RECIPE_SCHEMA_VERSION, model: llm.model });
+
+  function writeCache(input, response) {
+    if (!parseCache) return;
+    parseCache.set(cacheKeyFor(input), response).catch(error => console.log('⚠️ Parse cache write failed:', error.message));
+  }
+
+  // The token cost of a failed extraction is still charged
+  async function extract(uid, run) {
+    try {
+      const result = await run();
+      await tokenBudget.record(uid, result.usage);
+      console.log('✅ Recipe validated after', result.attempts, result.attempts === 1 ? 'attempt' : 'attempts');
+      return result;
+    } catch (error) {
+      if (error instanceof RecipeValidationError) {
+        console.log('❌ Model output failed validation after retry:', error.errors);
+        await tokenBudget.record(uid, error.usage);
+      }
+      throw error;
+    }
+  }
+
+  return {
+    // { url } or { text }. Resolves to { response, status } where status is
+    // HIT, MISS or BYPASS (cache: "bypass"), or null without a cache. A
+    // failing cache backend counts as a miss.
+    async lookup(input, mode) {
+      if (!parseCache) return { response: null, status: null };
+      if (mode === 'bypass') return { response: null, status: 'BYPASS' };
+      try {
+        const cached = await parseCache.get(cacheKeyFor(input));
+        if (!cached) return { response: null, status: 'MISS' };
+        // Keyed by the canonical URL; the response still names the URL that was asked for
+        const response = input.url !== undefined ? { ...cached, source: { type: 'url', url: input.url } } : cached;
+        return { response, status: 'HIT' };
+      } catch (error) {
+        console.log('⚠️ Parse cache read failed:', error.message);
+        return { response: null, status: 'MISS' };
+      }
+    },
+
+    async parseText(text, { uid, onEvent } = {}) {
+      onEvent?.('stage', { stage: 'extracting' });
+      const { recipe } = await extract(uid, () => extractRecipeFromText(llm, text, { onEvent }));
+      const response = buildRecipeResponse(recipe, { extractionMethod: 'llm', source: { type: 'text' } });
+      writeCache({ text }, response);
+      return response;
+    },
+
+    async parseUrl(url, { uid, onEvent } = {}) {
+      console.log('🌐 Fetching recipe from URL:', url);
+      onEvent?.('stage', { stage: 'fetching' });
+
+      // Fetch the webpage; private addresses, other schemes and oversized or non-HTML responses are refused
+      const { text: html } = await fetchPage(url, { headers: PAGE_HEADERS });
+      console.log('📄 Fetched HTML length:', html.length);
+
+      const source = { type: 'url', url };
+
+      // Prefer schema.org/Recipe data published by the page over the LLM
+      const structured = extractStructuredRecipe(html);
+      if (structured) {
+        const recipe = normalizeRecipe(structured.recipe);
+        const { valid, errors } = validateRecipe(recipe);
+        if (valid) {
+          console.log(`✅ Found ${structured.method} recipe data, skipping OpenAI`);
+          onEvent?.('stage', { stage: 'structured-data-found', method: structured.method });
+          const response = buildRecipeResponse(recipe, { extractionMethod: structured.method, source });
+          writeCache({ url }, response);
+          return response;
+        }
+        console.log(`⚠️ Ignoring incomplete ${structured.method} recipe data:`, errors);
+      }
+      console.log('ℹ️ No structured recipe data found, falling back to OpenAI');
+
+      // Page text without navigation, banners and comments, recipe card first
+      onEvent?.('stage', { stage: 'extracting' });
+      const { text: pageText, container, truncated } = extractPageText(html, { maxLength: maxPageTextLength });
+      console.log('📝 Extracted text', container ? `from ${container}` : 'from main content', truncated ? '(truncated)' : '');
+      console.log('📝 Extracted text preview:', pageText.substring(0, 200));
+
+      const { recipe } = await extract(uid, () => extractRecipeFromPage(llm, pageText, { onEvent }));
+      const response = buildRecipeResponse(recipe, { extractionMethod: 'llm', source });
+      writeCache({ url }, response);
+      return response;
+    },
+
+    // Server-side OCR, then the same extraction as text. Either imageBuffer
+    // with its contentType, or the storagePath of an upload.
+    async parseImage({ imageBuffer, contentType, storagePath }, { uid } = {}) {
+      let imageType = contentType;
+      if (!imageBuffer) {
+        const file = getBucket().file(storagePath);
+        const [exists] = await file.exists();
+        if (!exists) {
+          throw new ParseError('Image not found', 'image-not-found', 404);
+        }
+        const [metadata] = await file.getMetadata();
+        [imageBuffer] = await file.download();
+        imageType = metadata.contentType || 'image/jpeg';
+      }
+      console.log('🔎 Running OCR with', ocrProvider.name, 'on', imageBuffer.length, 'bytes');
+
+      const ocr = await ocrProvider.recognize(imageBuffer, { contentType: imageType });
+      await tokenBudget.record(uid, ocr.usage);
+      if (!ocr.text.trim()) {
+        throw new ParseError('No text found in image', 'no-text-found', 422);
+      }
+      console.log('📝 OCR text preview:', ocr.text.slice(0, 100));
+
+      const { recipe } = await extract(uid, () => extractRecipeFromText(llm, ocr.text.slice(0, maxTextLength)));
+
+      const source = storagePath ? { type: 'image', storagePath } : { type: 'image' };
+      return {
+        ...buildRecipeResponse(recipe, { extractionMethod: 'llm', source }),
+        ocr: {
+          provider: ocrProvider.name,
+          confidence: overallConfidence(ocr.regions),
+          text: ocr.text,
+          regions: ocr.regions
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,198 @@
+import admin from 'firebase-admin';
+
+// Request rate limits and daily model token budgets.
+//
+// Stores implement:
+//   hit(key, { limit, windowMs })    record a request if the sliding window has
+//                                    room; -> { allowed, remaining, resetMs }
+//   getCounter(key)                  -> number
+//   increment(key, amount, { expiresAt })
+// RATE_LIMIT_STORE picks one: "memory" (default, per process) or "firestore"
+// (shared between instances).
+
+const MINUTE = 60 * 1000;
+
+function windowResult(hits, { limit, windowMs }, now) {
+  const resetMs = hits.length ? Math.max(hits[0] + windowMs - now, 0) : windowMs;
+  return { remaining: Math.max(limit - hits.length, 0), resetMs };
+}
+
+// Expired entries are only noticed when their key comes back, so once either
+// map grows past maxKeys a write sweeps out everything that has expired
+export function createMemoryRateLimitStore({ maxKeys = 10_000, now = Date.now } = {}) {
+  const windows = new Map();
+  const counters = new Map();
+
+  const prune = (entries, time) => {
+    if (entries.size <= maxKeys) return;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= time) entries.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async hit(key, { limit, windowMs }) {
+      const time = now();
+      const hits = (windows.get(key)?.hits || []).filter(at => at > time - windowMs);
+      const allowed = hits.length < limit;
+      if (allowed) hits.push(time);
+      if (hits.length) windows.set(key, { hits, expiresAt: hits[hits.length - 1] + windowMs });
+      else windows.delete(key);
+      prune(windows, time);
+      return { allowed, ...windowResult(hits, { limit, windowMs }, time) };
+    },
+
+    async getCounter(key) {
+      const counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now()) return 0;
+      return counter.value;
+    },
+
+    async increment(key, amount, { expiresAt }) {
+      const current = await this.getCounter(key);
+      counters.set(key, { value: current + amount, expiresAt: expiresAt.getTime() });
+      prune(counters, now());
+    },
+
+    get size() {
+      return windows.size + counters.size;
+    }
+  };
+}
+
+// rateLimits/{key} holds the request timestamps of the current window and
+// counters/{key} the token counters. Both carry expiresAt for a Firestore TTL
+// policy; documents are never read past it.
+export function createFirestoreRateLimitStore({ getDb = () => admin.firestore(), now = Date.now } = {}) {
+  const docId = key => key.replace(/\//g, '_');
+  const windows = () => getDb().collection('rateLimits');
+  const counters = () => getDb().collection('counters');
+
+  return {
+    name: 'firestore',
+
+    async hit(key, { limit, windowMs }) {
+      const ref = windows().doc(docId(key));
+      return getDb().runTransaction(async transaction => {
+        const time = now();
+        const snapshot = await transaction.get(ref);
+        const hits = (snapshot.exists ? snapshot.get('hits') || [] : []).filter(at => at > time - windowMs);
+        const allowed = hits.length < limit;
+        if (allowed) {
+          hits.push(time);
+          transaction.set(ref, { hits, expiresAt: new Date(time + windowMs) });
+        }
+        return { allowed, ...windowResult(hits, { limit, windowMs }, time) };
+      });
+    },
+
+    async getCounter(key) {
+      const snapshot = await counters().doc(docId(key)).get();
+      if (!snapshot.exists) return 0;
+      const expiresAt = snapshot.get('expiresAt');
+      const expiresAtMs = typeof expiresAt?.toMillis === 'function' ? expiresAt.toMillis() : new Date(expiresAt).getTime();
+      return expiresAtMs > now() ? snapshot.get('value') || 0 : 0;
+    },
+
+    async increment(key, amount, { expiresAt }) {
+      await counters().doc(docId(key)).set({
+        value: admin.firestore.FieldValue.increment(amount),
+        expiresAt
+      }, { merge: true });
+    }
+  };
+}
+
+export function createRateLimitStore(name = 'memory', options = {}) {
+  switch (name) {
+    case 'memory':
+      return createMemoryRateLimitStore(options);
+    case 'firestore':
+      return createFirestoreRateLimitStore(options);
+    default:
+      throw new Error(`Unknown rate limit store: ${name}`);
+  }
+}
+
+// Signed-in callers are limited per uid, everyone else per client IP
+export const keyByUserOrIp = req => (req.user ? `user:${req.user.uid}` : `ip:${req.ip}`);
+
+// Sliding-window request limit. Sets the RateLimit-Limit/-Remaining/-Reset and
+// RateLimit-Policy headers (IETF draft) and answers 429 with Retry-After once
+// the window is full. keyFor picks what is limited: user, IP, API key, ...
+// A failing store lets requests through rather than taking the API down.
+export function createRateLimiter({ store, name, limit, windowMs = MINUTE, keyFor = keyByUserOrIp }) {
+  return async (req, res, next) => {
+    if (!limit) return next();
+
+    let result;
+    try {
+      result = await store.hit(`${name}:${keyFor(req)}`, { limit, windowMs });
+    } catch (error) {
+      console.log('⚠️ Rate limit store unavailable:', error.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil(result.resetMs / 1000), 1);
+    res.set('RateLimit-Policy', `${limit};w=${Math.round(windowMs / 1000)}`);
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (!result.allowed) {
+      console.log('🚦 Rate limit exceeded:', name, keyFor(req));
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error: 'Too many requests, please slow down', code: 'rate-limited' });
+    }
+    next();
+  };
+}
+
+export function nextUtcMidnight(time) {
+  const date = new Date(time);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+// Daily model token budget per user, counted from the usage the LLM provider
+// reports. The cost of a request is only known afterwards, so the check refuses
+// new requests once the day's total has reached the budget.
+export function createTokenBudget({ store, dailyTokens, now = Date.now }) {
+  const dayKey = (uid, time) => `tokens:${uid}:${new Date(time).toISOString().slice(0, 10)}`;
+
+  // A failing store never blocks anyone
+  async function exhausted(uid) {
+    if (!dailyTokens) return false;
+    try {
+      return (await store.getCounter(dayKey(uid, now()))) >= dailyTokens;
+    } catch (error) {
+      console.log('⚠️ Token budget store unavailable:', error.message);
+      return false;
+    }
+  }
+
+  return {
+    exhausted,
+
+    check: async (req, res, next) => {
+      if (!(await exhausted(req.user.uid))) return next();
+
+      console.log('🚦 Daily token budget exhausted for user', req.user.uid);
+      const time = now();
+      const retryAfter = Math.ceil((nextUtcMidnight(time).getTime() - time) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({ error: 'Daily token budget exhausted', code: 'token-budget-exceeded' });
+    },
+
+    async record(uid, usage) {
+      if (!dailyTokens || !usage?.totalTokens) return;
+      const time = now();
+      try {
+        await store.increment(dayKey(uid, time), usage.totalTokens, { expiresAt: nextUtcMidnight(time) });
+      } catch (error) {
+        console.log('⚠️ Could not record token usage:', error.message);
+      }
+    }
+  };
+}
@@ -0,0 +1,408 @@
+import Ajv from 'ajv';
+import { enrichIngredientItem, splitIngredientLine, stripAmount } from './ingredients.js';
+import { buildInstructions, formatSteps, splitStepsText } from './steps.js';
+
+// Single source of truth for the recipe shape returned by the parse endpoints.
+// Model output is parsed, repaired where the deviation is mechanical, and then
+// validated against the JSON schema below.
+
+export const RECIPE_SCHEMA_VERSION = 1;
+
+export const recipeJsonSchema = {
+  $id: 'https://chef-choice.app/schemas/recipe.json',
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'ingredientsByProcessingStep', 'steps', 'instructions', 'tags'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    ingredientsByProcessingStep: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name', 'items'],
+        properties: {
+          name: { type: 'string' },
+          items: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['quantity', 'name'],
+              properties: {
+                quantity: { type: 'string' },
+                name: { type: 'string', minLength: 1 },
+                amount: { type: ['number', 'null'], minimum: 0 },
+                amountMax: { type: ['number', 'null'], minimum: 0 },
+                unit: { type: ['string', 'null'] },
+                ingredient: { type: 'string' },
+                preparation: { type: ['string', 'null'] },
+                original: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    },
+    steps: { type: 'string', minLength: 1 },
+    instructions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['number', 'section', 'text', 'durations', 'temperatures', 'ingredientRefs'],
+        properties: {
+          number: { type: 'integer', minimum: 1 },
+          section: { type: ['string', 'null'] },
+          text: { type: 'string', minLength: 1 },
+          durations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['text', 'min', 'max', 'unit', 'seconds', 'maxSeconds'],
+              properties: {
+                text: { type: 'string' },
+                min: { type: 'number' },
+                max: { type: ['number', 'null'] },
+                unit: { enum: ['second', 'minute', 'hour'] },
+                seconds: { type: 'integer' },
+                maxSeconds: { type: ['integer', 'null'] }
+              }
+            }
+          },
+          temperatures: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['text', 'value', 'unit', 'celsius', 'fahrenheit'],
+              properties: {
+                text: { type: 'string' },
+                value: { type: 'number' },
+                valueMax: { type: ['number', 'null'] },
+                unit: { enum: ['C', 'F'] },
+                inferred: { type: 'boolean' },
+                celsius: { type: 'number' },
+                celsiusMax: { type: ['number', 'null'] },
+                fahrenheit: { type: 'number' },
+                fahrenheitMax: { type: ['number', 'null'] }
+              }
+            }
+          },
+          ingredientRefs: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['group', 'item', 'name'],
+              properties: {
+                group: { type: 'integer', minimum: 0 },
+                item: { type: 'integer', minimum: 0 },
+                name: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    },
+    tags: { type: 'array', items: { type: 'string', minLength: 1 } }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(recipeJsonSchema);
+
+export class RecipeValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'RecipeValidationError';
+    this.errors = errors;
+  }
+}
+
+// Pull the JSON object out of a model reply, tolerating code fences and chatter
+// around it. Returns null when nothing parseable is found.
+export function parseModelJson(text) {
+  if (typeof text !== 'string') return null;
+
+  const unfenced = text.replace(/```(?:json)?/gi, '').trim();
+  const start = unfenced.indexOf('{');
+  if (start === -1) return null;
+
+  // Scan for the matching closing brace rather than the last one in the reply
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < unfenced.length; i++) {
+    const char = unfenced[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') depth += 1;
+    else if (char === '}') {
+      depth -= 1;
+      if (depth === 0) {
+        const candidate = unfenced.slice(start, i + 1);
+        try {
+          return JSON.parse(candidate);
+        } catch (e) {
+          try {
+            // Trailing commas are the most common model slip
+            return JSON.parse(candidate.replace(/,\s*([\]}])/g, '$1'));
+          } catch (e2) {
+            return null;
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Best-effort parse of a reply that is still streaming. The text is cut back to
+// the last point where a value was complete and the open brackets are closed, so
+// only finished top-level fields and finished list entries show up; a half
+// streamed ingredient never appears with a truncated name.
+export function parsePartialJson(text) {
+  if (typeof text !== 'string') return null;
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let stringIsKey = false;
+  let checkpoint = null;
+
+  const closers = () => stack.map(frame => (frame.type === '{' ? '}' : ']')).reverse().join('');
+  // Values directly in an array or on the outermost object are complete units
+  const atUnitLevel = () => stack.length === 1 || stack[stack.length - 1].type === '[';
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') {
+        inString = false;
+        if (!stringIsKey && atUnitLevel()) checkpoint = { end: i + 1, closers: closers() };
+      }
+      continue;
+    }
+
+    const top = stack[stack.length - 1];
+    if (char === '"') {
+      inString = true;
+      stringIsKey = top?.type === '{' && top.expectKey;
+    } else if (char === '{' || char === '[') {
+      stack.push({ type: char, expectKey: char === '{' });
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      if (!stack.length) {
+        checkpoint = { end: i + 1, closers: '' };
+        break;
+      }
+      if (atUnitLevel()) checkpoint = { end: i + 1, closers: closers() };
+    } else if (char === ':') {
+      if (top) top.expectKey = false;
+    } else if (char === ',') {
+      // A number or literal ends here; strings and containers were handled above
+      if (atUnitLevel() && /(\d|true|false|null)$/.test(text.slice(start, i).trimEnd())) {
+        checkpoint = { end: i, closers: closers() };
+      }
+      if (top?.type === '{') top.expectKey = true;
+    }
+  }
+
+  if (!checkpoint) return {};
+  try {
+    const candidate = text.slice(start, checkpoint.end).replace(/,\s*$/, '') + checkpoint.closers;
+    return JSON.parse(candidate.replace(/,\s*([\]}])/g, '$1'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// The recipe fields a streaming reply has produced so far, normalized the same
+// way as the final recipe; null while there is nothing to show yet
+export function partialRecipe(reply) {
+  const parsed = parsePartialJson(reply);
+  if (!parsed || typeof parsed !== 'object') return null;
+
+  const source = parsed.recipe && typeof parsed.recipe === 'object' ? parsed.recipe : parsed;
+  const recipe = normalizeRecipe(source);
+  const partial = {};
+  if (toText(source.title ?? source.name)) partial.title = recipe.title;
+  if (recipe.ingredientsByProcessingStep.length) partial.ingredientsByProcessingStep = recipe.ingredientsByProcessingStep;
+  if (recipe.instructions.length) partial.instructions = recipe.instructions;
+  if (recipe.tags.length) partial.tags = recipe.tags;
+  return Object.keys(partial).length ? partial : null;
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(' ');
+  if (typeof value === 'object') return toText(value.text ?? value.name ?? '');
+  return '';
+}
+
+function normalizeItem(item) {
+  const display = displayItem(item);
+  return display ? enrichIngredientItem(display) : null;
+}
+
+function displayItem(item) {
+  if (typeof item === 'string') {
+    const line = item.trim();
+    return line ? splitIngredientLine(line) : null;
+  }
+  if (!item || typeof item !== 'object') return null;
+
+  let quantity = toText(item.quantity ?? item.amount ?? '');
+  const unit = toText(item.unit ?? '');
+  // { amount: 2, unit: 'EL' } style items; a quantity that already names its unit wins
+  if (unit && !stripAmount(quantity)) quantity = `${quantity} ${unit}`.trim();
+  const name = toText(item.name ?? item.ingredient ?? item.item ?? '');
+
+  if (!name) {
+    return quantity ? { quantity: '', name: quantity } : null;
+  }
+  return { quantity, name };
+}
+
+function normalizeGroups(recipe) {
+  let groups = recipe.ingredientsByProcessingStep;
+
+  if (!Array.isArray(groups) || !groups.length) {
+    const flat = recipe.ingredients ?? groups;
+    groups = Array.isArray(flat) ? flat : flat ? [flat] : [];
+  }
+
+  // Items listed directly instead of inside groups get wrapped in a single group
+  if (groups.length && groups.every(group => typeof group === 'string' || !Array.isArray(group?.items))) {
+    groups = [{ name: 'Ingredients', items: groups }];
+  }
+
+  return groups
+    .map(group => ({
+      name: toText(group.name ?? group.step ?? group.title ?? ''),
+      items: (Array.isArray(group.items) ? group.items : []).map(normalizeItem).filter(Boolean)
+    }))
+    .filter(group => group.items.length);
+}
+
+// Step entries may arrive as { section, text } objects, plain strings, section
+// objects with nested steps, or a single legacy string
+function stepEntries(value, section = null) {
+  if (typeof value === 'string') {
+    return splitStepsText(value).map(entry => ({ ...entry, section: entry.section ?? section }));
+  }
+  if (!Array.isArray(value)) return [];
+
+  const entries = [];
+  for (const entry of value) {
+    if (typeof entry === 'string') {
+      const text = entry.trim().replace(/^(?:step\s*)?\d{1,2}[.):]\s*/i, '');
+      if (text) entries.push({ section, text });
+    } else if (entry && typeof entry === 'object') {
+      const entrySection = toText(entry.section) || section;
+      const nested = entry.steps ?? entry.items;
+      if (Array.isArray(nested)) {
+        entries.push(...stepEntries(nested, toText(entry.name ?? entry.title) || entrySection));
+      } else {
+        const text = toText(entry.text ?? entry.step ?? entry.instruction ?? '');
+        if (text) entries.push({ section: entrySection || null, text });
+      }
+    }
+  }
+  return entries;
+}
+
+function normalizeSteps(source, ingredientsByProcessingStep) {
+  const listed = Array.isArray(source.instructions) ? stepEntries(source.instructions) : [];
+  const entries = listed.length ? listed : stepEntries(source.steps ?? source.instructions);
+
+  // A legacy string from the source is kept verbatim for old clients
+  const legacy = typeof source.steps === 'string' && source.steps.trim()
+    ? source.steps.trim()
+    : formatSteps(entries);
+
+  return {
+    steps: legacy,
+    instructions: buildInstructions(entries, ingredientsByProcessingStep)
+  };
+}
+
+function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : Array.isArray(tags) ? tags : [];
+  const seen = new Set();
+  return list
+    .map(toText)
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Coerce common deviations (string items, array steps, comma-separated tags,
+// numeric quantities, flat ingredient lists) into the canonical shape and add
+// the parsed amount/unit fields to every ingredient item and the annotated
+// step list alongside the legacy steps string
+export function normalizeRecipe(raw) {
+  const recipe = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  const source = recipe.recipe && typeof recipe.recipe === 'object' ? recipe.recipe : recipe;
+
+  const ingredientsByProcessingStep = normalizeGroups(source);
+  const { steps, instructions } = normalizeSteps(source, ingredientsByProcessingStep);
+
+  return {
+    title: toText(source.title ?? source.name) || 'Imported Recipe',
+    ingredientsByProcessingStep,
+    steps,
+    instructions,
+    tags: normalizeTags(source.tags)
+  };
+}
+
+export function validateRecipe(recipe) {
+  const valid = validate(recipe);
+  const errors = valid
+    ? []
+    : validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+  return { valid, errors };
+}
+
+// Parse, repair and validate a model reply; throws RecipeValidationError when the
+// result still does not match the schema
+export function recipeFromModelReply(reply) {
+  const parsed = parseModelJson(reply);
+  if (!parsed) {
+    throw new RecipeValidationError('Model reply did not contain a JSON object', ['/ is not valid JSON']);
+  }
+
+  const recipe = normalizeRecipe(parsed);
+  const { valid, errors } = validateRecipe(recipe);
+  if (!valid) {
+    throw new RecipeValidationError('Model reply does not match the recipe schema', errors);
+  }
+  return recipe;
+}
+
+// The response envelope shared by /parse-recipe and /parse-url
+export function buildRecipeResponse(recipe, { extractionMethod, source }) {
+  return {
+    version: RECIPE_SCHEMA_VERSION,
+    recipe,
+    extractionMethod,
+    source
+  };
+}
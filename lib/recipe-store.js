@@ -0,0 +1,147 @@
+import admin from 'firebase-admin';
+
+// Firestore persistence for saved recipes. Every recipe lives under its owner,
+// users/{uid}/recipes/{recipeId}, so a uid can never reach another user's data.
+// Set FIRESTORE_EMULATOR_HOST to run against the Firestore emulator.
+
+export const MAX_PAGE_SIZE = 100;
+
+export class RecipeNotFoundError extends Error {
+  constructor(id) {
+    super(`Recipe ${id} not found`);
+    this.name = 'RecipeNotFoundError';
+  }
+}
+
+export class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid pagination cursor');
+    this.name = 'InvalidCursorError';
+  }
+}
+
+export function createFirestoreRecipeStore(getDb = () => admin.firestore()) {
+  const recipes = uid => getDb().collection('users').doc(uid).collection('recipes');
+  const toRecipe = snapshot => ({ id: snapshot.id, ...snapshot.data() });
+
+  return {
+    async create(uid, data) {
+      const ref = recipes(uid).doc();
+      const now = new Date().toISOString();
+      const doc = { ...data, ownerId: uid, createdAt: now, updatedAt: now };
+      await ref.set(doc);
+      return { id: ref.id, ...doc };
+    },
+
+    async get(uid, id) {
+      const snapshot = await recipes(uid).doc(id).get();
+      if (!snapshot.exists) throw new RecipeNotFoundError(id);
+      return toRecipe(snapshot);
+    },
+
+    // Newest first; the cursor is the id of the last recipe on the previous page
+    async list(uid, { limit = 20, cursor } = {}) {
+      const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+      let query = recipes(uid).orderBy('createdAt', 'desc');
+
+      if (cursor) {
+        const cursorSnapshot = await recipes(uid).doc(cursor).get();
+        if (!cursorSnapshot.exists) throw new InvalidCursorError();
+        query = query.startAfter(cursorSnapshot);
+      }
+
+      const snapshot = await query.limit(pageSize + 1).get();
+      const page = snapshot.docs.slice(0, pageSize).map(toRecipe);
+      const nextCursor = snapshot.docs.length > pageSize ? page[page.length - 1].id : null;
+      return { recipes: page, nextCursor };
+    },
+
+    async update(uid, id, data) {
+      const ref = recipes(uid).doc(id);
+      return getDb().runTransaction(async transaction => {
+        const snapshot = await transaction.get(ref);
+        if (!snapshot.exists) throw new RecipeNotFoundError(id);
+
+        const doc = {
+          ...data,
+          ownerId: uid,
+          createdAt: snapshot.get('createdAt'),
+          updatedAt: new Date().toISOString()
+        };
+        transaction.set(ref, doc);
+        return { id, ...doc };
+      });
+    },
+
+    async remove(uid, id) {
+      const ref = recipes(uid).doc(id);
+      return getDb().runTransaction(async transaction => {
+        const snapshot = await transaction.get(ref);
+        if (!snapshot.exists) throw new RecipeNotFoundError(id);
+        transaction.delete(ref);
+        return toRecipe(snapshot);
+      });
+    }
+  };
+}
+
+// Same contract as the Firestore store, kept in process memory (tests, local dev)
+export function createMemoryRecipeStore() {
+  const users = new Map();
+  let sequence = 0;
+
+  const recipes = uid => {
+    if (!users.has(uid)) users.set(uid, new Map());
+    return users.get(uid);
+  };
+
+  return {
+    async create(uid, data) {
+      sequence += 1;
+      const id = `recipe${String(sequence).padStart(6, '0')}`;
+      const now = new Date().toISOString();
+      const doc = { ...data, ownerId: uid, createdAt: now, updatedAt: now };
+      recipes(uid).set(id, doc);
+      return { id, ...doc };
+    },
+
+    async get(uid, id) {
+      const doc = recipes(uid).get(id);
+      if (!doc) throw new RecipeNotFoundError(id);
+      return { id, ...doc };
+    },
+
+    async list(uid, { limit = 20, cursor } = {}) {
+      const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+      // Newest first; ids are sequential, so they break createdAt ties
+      const all = [...recipes(uid).entries()]
+        .map(([id, doc]) => ({ id, ...doc }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+
+      let start = 0;
+      if (cursor) {
+        start = all.findIndex(recipe => recipe.id === cursor) + 1;
+        if (!start) throw new InvalidCursorError();
+      }
+
+      const page = all.slice(start, start + pageSize);
+      const nextCursor = start + pageSize < all.length ? page[page.length - 1].id : null;
+      return { recipes: page, nextCursor };
+    },
+
+    async update(uid, id, data) {
+      const existing = recipes(uid).get(id);
+      if (!existing) throw new RecipeNotFoundError(id);
+      const doc = { ...data, ownerId: uid, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+      recipes(uid).set(id, doc);
+      return { id, ...doc };
+    },
+
+    async remove(uid, id) {
+      const existing = recipes(uid).get(id);
+      if (!existing) throw new RecipeNotFoundError(id);
+      recipes(uid).delete(id);
+      return { id, ...existing };
+    }
+  };
+}
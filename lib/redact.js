@@ -0,0 +1,62 @@
+import util from 'node:util';
+
+// Keeps credentials out of the logs. installLogRedaction() routes everything
+// written through console via redact(), so a stray console.log(req.headers)
+// cannot leak an ID token or API key; code that logs request data on purpose
+// should still pick the fields it needs.
+
+export const REDACTED = '[redacted]';
+
+// Object keys whose values are never logged (counts such as totalTokens are fine)
+const SECRET_KEY = /^(?:authorization|proxy-authorization|cookie|set-cookie|sig|signature|credentials?)$|token$|secret|passw(?:or)?d|api[-_]?key|private[-_]?key/i;
+
+// Secrets recognisable by their shape wherever they appear in a string
+const SECRET_PATTERNS = [
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, REDACTED],
+  [/\b(Bearer|Basic)\s+[\w.~+/-]+=*/gi, `$1 ${REDACTED}`],
+  // JWTs such as Firebase ID tokens
+  [/\beyJ[\w-]{5,}\.[\w-]{5,}\.[\w-]*/g, REDACTED],
+  // OpenAI-style keys (sk-..., sk-proj-...)
+  [/\bsk-[\w-]{16,}/g, REDACTED],
+  // Google API keys
+  [/\bAIza[\w-]{30,}/g, REDACTED],
+  // Signatures and keys in query strings, e.g. signed /images URLs
+  [/([?&](?:sig|signature|token|key|api_key|access_token)=)[^&#\s"']+/gi, `$1${REDACTED}`]
+];
+
+export function redactString(text) {
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Copy of value with secret-looking keys and strings masked
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return redactString(util.inspect(value));
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value) || value instanceof Date) return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redact(item, seen));
+  // Maps, fetch Headers and other collections of [key, value] pairs
+  if (typeof value.entries === 'function' && typeof value[Symbol.iterator] === 'function') {
+    return redact(Object.fromEntries(value.entries()), seen);
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY.test(key) && (typeof item === 'string' || (item && typeof item === 'object')) ? REDACTED : redact(item, seen)
+  ]));
+}
+
+const installed = Symbol('redactingConsole');
+
+// Wraps the console methods in place; safe to call more than once
+export function installLogRedaction(target = console) {
+  if (target[installed]) return;
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const write = target[method];
+    if (typeof write !== 'function') continue;
+    target[method] = (...args) => write.apply(target, args.map(arg => redact(arg)));
+  }
+  target[installed] = true;
+}
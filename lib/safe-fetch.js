@@ -0,0 +1,213 @@
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import fetch from 'node-fetch';
+
+// Fetching of user-supplied URLs (/parse-url). Only http(s) is allowed, every
+// hop of a redirect chain is checked again, and the address check happens in
+// the agents' DNS lookup, i.e. on the address actually connected to, so a
+// hostname cannot resolve to a public address for the check and a private one
+// for the request.
+
+export class SafeFetchError extends Error {
+  constructor(message, code, status = 502) {
+    super(message);
+    this.name = 'SafeFetchError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata services
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+];
+
+const PRIVATE_IPV6_RANGES = [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64 can reach IPv4 internals
+  ['2001:db8::', 32],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+];
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 rules
+export function createPrivateNetworkBlockList() {
+  const blockList = new net.BlockList();
+  for (const [network, prefix] of PRIVATE_IPV4_RANGES) blockList.addSubnet(network, prefix, 'ipv4');
+  for (const [network, prefix] of PRIVATE_IPV6_RANGES) blockList.addSubnet(network, prefix, 'ipv6');
+  return blockList;
+}
+
+const DEFAULT_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'text/plain'];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+function blockedAddressError(hostname) {
+  return new SafeFetchError(`Refusing to fetch ${hostname}: it resolves to a private or reserved address`, 'blocked-address', 403);
+}
+
+// Options:
+//   timeout             ms for the whole exchange, redirects and body included
+//   maxBytes            largest (decompressed) body accepted
+//   maxRedirects        redirect hops followed before giving up
+//   contentTypes        accepted response media types
+//   blockList           net.BlockList of refused addresses
+//   lookup              dns.lookup compatible resolver
+export function createSafeFetcher({
+  timeout = 10000,
+  maxBytes = 5 * 1024 * 1024,
+  maxRedirects = 5,
+  contentTypes = DEFAULT_CONTENT_TYPES,
+  blockList = createPrivateNetworkBlockList(),
+  lookup = dns.lookup
+} = {}) {
+  const isBlocked = address => blockList.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+
+  function safeLookup(hostname, options, callback) {
+    lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(new SafeFetchError(`Could not resolve ${hostname}`, 'dns-failed', 422));
+      }
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (addresses.some(entry => isBlocked(entry.address))) {
+        return callback(blockedAddressError(hostname));
+      }
+      callback(null, address, family);
+    });
+  }
+
+  const agents = {
+    'http:': new http.Agent({ lookup: safeLookup }),
+    'https:': new https.Agent({ lookup: safeLookup })
+  };
+
+  function checkUrl(value, base) {
+    let url;
+    try {
+      url = new URL(value, base);
+    } catch (e) {
+      throw new SafeFetchError('Invalid URL format', 'invalid-url', 400);
+    }
+    if (!agents[url.protocol]) {
+      throw new SafeFetchError(`Unsupported URL scheme: ${url.protocol.slice(0, -1)}`, 'unsupported-scheme', 400);
+    }
+    if (url.username || url.password) {
+      throw new SafeFetchError('URLs with credentials are not allowed', 'invalid-url', 400);
+    }
+    // IP literals never reach the agents' lookup, so check them here
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isBlocked(hostname)) {
+      throw blockedAddressError(hostname);
+    }
+    return url;
+  }
+
+  async function readBody(response) {
+    const declared = Number(response.headers.get('content-length'));
+    if (declared > maxBytes) {
+      throw new SafeFetchError(`Response is larger than ${maxBytes} bytes`, 'body-too-large');
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        response.body.destroy();
+        throw new SafeFetchError(`Response is larger than ${maxBytes} bytes`, 'body-too-large');
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  function decode(buffer, charset) {
+    try {
+      return new TextDecoder(charset || 'utf-8').decode(buffer);
+    } catch (e) {
+      return new TextDecoder('utf-8').decode(buffer);
+    }
+  }
+
+  // Resolves to { url, status, contentType, text } for the final hop. Pass
+  // accept: null to take any content type (e.g. webhook replies).
+  return async function safeFetch(input, { method = 'GET', headers = {}, body, accept = contentTypes } = {}) {
+    let url = checkUrl(input);
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      controller.abort(new SafeFetchError(`Timed out after ${timeout} ms`, 'timeout', 504));
+    }, timeout);
+
+    try {
+      for (let hop = 0; ; hop++) {
+        const response = await fetch(url.href, {
+          method,
+          headers,
+          body,
+          redirect: 'manual',
+          signal: controller.signal,
+          agent: parsed => agents[parsed.protocol]
+        });
+
+        // Redirects are followed by hand so that every hop is checked
+        if (REDIRECT_STATUSES.includes(response.status) && response.headers.get('location')) {
+          response.body?.resume?.();
+          if (hop >= maxRedirects) {
+            throw new SafeFetchError(`Stopped after ${maxRedirects} redirects`, 'too-many-redirects');
+          }
+          url = checkUrl(response.headers.get('location'), url);
+          // Like browsers: only 307 and 308 repeat the method and body
+          if (![307, 308].includes(response.status)) {
+            method = 'GET';
+            body = undefined;
+          }
+          continue;
+        }
+
+        if (!response.ok) {
+          response.body?.resume?.();
+          throw new SafeFetchError(`HTTP ${response.status}: ${response.statusText}`, 'upstream-error');
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        const [mediaType, ...params] = contentType.split(';').map(part => part.trim());
+        // A missing header is treated as HTML; anything declared must be textual page content
+        if (accept && mediaType && !accept.includes(mediaType.toLowerCase())) {
+          response.body?.resume?.();
+          throw new SafeFetchError(`Unsupported content type: ${mediaType}`, 'unsupported-content-type', 422);
+        }
+        const charset = params.find(param => /^charset=/i.test(param))?.slice(8).replace(/"/g, '');
+
+        const buffer = await readBody(response);
+        return { url: url.href, status: response.status, contentType, text: decode(buffer, charset) };
+      }
+    } catch (error) {
+      if (controller.signal.aborted) throw controller.signal.reason;
+      if (error instanceof SafeFetchError) throw error;
+      // node-fetch wraps errors from the agents' lookup, keeping only their code
+      if (['blocked-address', 'dns-failed'].includes(error.code)) {
+        throw error.code === 'dns-failed'
+          ? new SafeFetchError(`Could not resolve ${url.hostname}`, 'dns-failed', 422)
+          : blockedAddressError(url.hostname);
+      }
+      throw new SafeFetchError(`Failed to fetch ${url.hostname}: ${error.message}`, 'fetch-failed');
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
@@ -0,0 +1,291 @@
+import { normalizeRecipe } from './recipe-schema.js';
+import { stripAmount } from './ingredients.js';
+
+// Scale a recipe to a different number of servings and convert between metric
+// and US customary units, rounding to amounts a cook can actually measure.
+
+export const UNIT_SYSTEMS = ['original', 'metric', 'us'];
+
+// Millilitres per unit
+const VOLUME = {
+  tsp: 4.92892, tbsp: 14.7868, 'fl oz': 29.5735, cup: 236.588,
+  pint: 473.176, quart: 946.353, gallon: 3785.41,
+  ml: 1, cl: 10, dl: 100, l: 1000
+};
+
+// Grams per unit
+const WEIGHT = { mg: 0.001, g: 1, kg: 1000, oz: 28.3495, lb: 453.592 };
+
+const US_UNITS = new Set(['tsp', 'tbsp', 'fl oz', 'cup', 'pint', 'quart', 'gallon', 'oz', 'lb']);
+const METRIC_UNITS = new Set(['ml', 'cl', 'dl', 'l', 'mg', 'g', 'kg']);
+
+// Units counting whole things; unitless amounts ("2 eggs") count too
+const COUNT_UNITS = new Set(['clove', 'piece', 'slice', 'can', 'package', 'cube', 'container', 'bunch', 'sprig']);
+
+// A US stick of butter: 4 oz, 113 g or ½ cup
+const BUTTER_STICK_OZ = 4;
+
+// Grams per millilitre. `weighed` ingredients are given in grams when converting
+// to metric; liquids stay in millilitres. More specific names come first.
+const DENSITIES = [
+  { pattern: /powdered sugar|icing sugar|confectioners|puderzucker/, density: 0.51, weighed: true },
+  { pattern: /brown sugar|brauner zucker|rohrzucker/, density: 0.93, weighed: true },
+  { pattern: /sugar|zucker/, density: 0.85, weighed: true },
+  { pattern: /bread flour|whole wheat flour|vollkornmehl/, density: 0.55, weighed: true },
+  { pattern: /cornstarch|corn starch|speisestärke|stärke/, density: 0.54, weighed: true },
+  { pattern: /flour|mehl/, density: 0.53, weighed: true },
+  { pattern: /butter/, density: 0.96, weighed: true },
+  { pattern: /cocoa|kakao/, density: 0.42, weighed: true },
+  { pattern: /oats|haferflocken/, density: 0.36, weighed: true },
+  { pattern: /rice|reis/, density: 0.85, weighed: true },
+  { pattern: /chocolate chips|schokotropfen/, density: 0.72, weighed: true },
+  { pattern: /grated cheese|parmesan|geriebener käse|reibekäse/, density: 0.42, weighed: true },
+  { pattern: /nuts|almonds|walnuts|pecans|nüsse|mandeln/, density: 0.5, weighed: true },
+  { pattern: /salt|salz/, density: 1.2, weighed: true },
+  { pattern: /honey|honig|syrup|sirup/, density: 1.42, weighed: true },
+  { pattern: /oil|öl/, density: 0.92, weighed: false },
+  { pattern: /milk|milch|cream|sahne|buttermilk|yogurt|joghurt/, density: 1.03, weighed: false },
+  { pattern: /water|wasser|stock|broth|brühe|juice|saft|wine|wein/, density: 1, weighed: false }
+];
+
+const US_FRACTIONS = [
+  [0, ''], [1 / 8, '⅛'], [1 / 4, '¼'], [1 / 3, '⅓'], [3 / 8, '⅜'], [1 / 2, '½'],
+  [5 / 8, '⅝'], [2 / 3, '⅔'], [3 / 4, '¾'], [7 / 8, '⅞'], [1, '']
+];
+
+const LABELS = {
+  cup: ['cup', 'cups'], pint: ['pint', 'pints'], quart: ['quart', 'quarts'], gallon: ['gallon', 'gallons']
+};
+
+// English unit words as a source may write them: [singular, plural]
+const WORD_FORMS = [
+  ...Object.values(LABELS),
+  ['teaspoon', 'teaspoons'], ['tablespoon', 'tablespoons'], ['ounce', 'ounces'], ['pound', 'pounds'],
+  ['gram', 'grams'], ['kilogram', 'kilograms'], ['liter', 'liters'], ['litre', 'litres'],
+  ['milliliter', 'milliliters'], ['millilitre', 'millilitres'], ['fluid ounce', 'fluid ounces'],
+  ['pinch', 'pinches'], ['dash', 'dashes'], ['clove', 'cloves'], ['can', 'cans'], ['tin', 'tins'],
+  ['package', 'packages'], ['pack', 'packs'], ['packet', 'packets'], ['piece', 'pieces'],
+  ['slice', 'slices'], ['bunch', 'bunches'], ['sprig', 'sprigs'], ['handful', 'handfuls'],
+  ['stick', 'sticks'], ['cube', 'cubes'], ['container', 'containers']
+];
+
+export class ScalingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScalingError';
+  }
+}
+
+function findDensity(item) {
+  const name = (item.ingredient || item.name || '').toLowerCase();
+  return DENSITIES.find(entry => entry.pattern.test(name)) || null;
+}
+
+function roundTo(value, step) {
+  return Math.round(value / step) * step;
+}
+
+function nearestFraction(value) {
+  const whole = Math.floor(value);
+  let best = US_FRACTIONS[0];
+  for (const candidate of US_FRACTIONS) {
+    if (Math.abs(value - whole - candidate[0]) < Math.abs(value - whole - best[0])) best = candidate;
+  }
+  return whole + best[0];
+}
+
+export function formatFraction(value) {
+  const whole = Math.floor(value + 1e-9);
+  const rest = value - whole;
+  const match = US_FRACTIONS.find(([fraction]) => Math.abs(fraction - rest) < 0.01);
+  if (!match) return String(Math.round(value * 100) / 100);
+  if (match[0] === 1) return String(whole + 1);
+  if (!whole) return match[1] || '0';
+  return `${whole}${match[1]}`;
+}
+
+function formatDecimal(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// Round an amount for the given unit. Metric amounts snap to steps that suit a
+// kitchen scale or jug, US amounts to common fractions and counted things to
+// halves, or whole ones from 2 up.
+function kitchenRound(value, unit) {
+  if (value <= 0) return value;
+  if (!unit || COUNT_UNITS.has(unit)) {
+    return value < 2 ? Math.max(roundTo(value, 0.5), 0.5) : Math.round(value);
+  }
+
+  switch (unit) {
+    case 'g':
+    case 'ml':
+      if (value < 10) return Math.max(roundTo(value, 0.5), 0.5);
+      if (value < 100) return roundTo(value, 5);
+      if (value < 500) return roundTo(value, 10);
+      return roundTo(value, 25);
+    case 'kg':
+    case 'l':
+      return Math.max(roundTo(value, 0.05), 0.05);
+    case 'oz':
+      return value < 4 ? Math.max(nearestFraction(value), 0.25) : roundTo(value, 0.5);
+    case 'lb':
+      return Math.max(roundTo(value, 0.25), 0.25);
+    default:
+      if (value < 10) return Math.max(nearestFraction(value), 0.125);
+      return Math.round(value);
+  }
+}
+
+// Pick the unit a cook would use for a volume (ml) or weight (g) in a system
+function pickUnit(kind, base, system) {
+  if (kind === 'volume') {
+    if (system === 'metric') return base >= 1000 ? 'l' : 'ml';
+    if (base >= 59) return 'cup';
+    if (base >= 14.5) return 'tbsp';
+    return 'tsp';
+  }
+  if (system === 'metric') return base >= 1000 ? 'kg' : 'g';
+  return base >= 453 ? 'lb' : 'oz';
+}
+
+// Decide the target kind (volume/weight) and unit for a scaled measurement
+function convertMeasurement(item, unit, amount, system) {
+  const kind = VOLUME[unit] ? 'volume' : 'weight';
+  const base = amount * (kind === 'volume' ? VOLUME[unit] : WEIGHT[unit]);
+  const density = findDensity(item);
+
+  // Spoons are used in both systems; keep them unless the amount outgrows them
+  if ((unit === 'tsp' || unit === 'tbsp') && base < (system === 'metric' ? 75 : 59)) {
+    const spoon = base >= 14.5 ? 'tbsp' : 'tsp';
+    return { unit: spoon, factor: 1 / VOLUME[spoon], base, kind };
+  }
+
+  if (system === 'metric' && kind === 'volume' && density?.weighed) {
+    const grams = base * density.density;
+    const target = pickUnit('weight', grams, system);
+    return { unit: target, factor: density.density / WEIGHT[target], base, kind };
+  }
+
+  if (system === 'us' && kind === 'weight' && density) {
+    const ml = base / density.density;
+    const target = pickUnit('volume', ml, system);
+    return { unit: target, factor: 1 / (density.density * VOLUME[target]), base, kind };
+  }
+
+  const target = pickUnit(kind, base, system);
+  const perUnit = kind === 'volume' ? VOLUME[target] : WEIGHT[target];
+  return { unit: target, factor: 1 / perUnit, base, kind };
+}
+
+function needsConversion(unit, system) {
+  if (system === 'metric') return US_UNITS.has(unit);
+  if (system === 'us') return METRIC_UNITS.has(unit) || US_UNITS.has(unit);
+  return false;
+}
+
+// Keep the unit as the source wrote it ("EL", "Zehen") unless it was converted;
+// English words we know get singular/plural fixed for the new amount
+function unitText(item, unit, amount, converted) {
+  const plural = amount > 1 ? 1 : 0;
+  if (converted) return LABELS[unit] ? LABELS[unit][plural] : unit;
+
+  const written = stripAmount(item.quantity);
+  const forms = WORD_FORMS.find(pair => pair.includes(written.toLowerCase()));
+  if (!forms) return written;
+  const word = forms[plural];
+  return written[0] === written[0].toUpperCase() ? word[0].toUpperCase() + word.slice(1) : word;
+}
+
+function formatAmount(value, unit) {
+  return METRIC_UNITS.has(unit) ? formatDecimal(value) : formatFraction(value);
+}
+
+function scaleItem(item, factor, system) {
+  if (item.amount === null || item.amount === undefined) {
+    return { item, issue: factor === 1 && system === 'original' ? null : 'no-amount' };
+  }
+
+  // Sticks of butter are a US measure: kept for US cooks, weighed for metric
+  const butterSticks = item.unit === 'stick' && /butter/.test((item.ingredient || item.name || '').toLowerCase());
+  const [sourceUnit, perSource] = butterSticks && system === 'metric' ? ['oz', BUTTER_STICK_OZ] : [item.unit, 1];
+
+  const scaled = item.amount * factor * perSource;
+  const scaledMax = item.amountMax === null || item.amountMax === undefined ? null : item.amountMax * factor * perSource;
+  const convertible = sourceUnit && (VOLUME[sourceUnit] || WEIGHT[sourceUnit]);
+
+  let unit = sourceUnit;
+  let amount = scaled;
+  let amountMax = scaledMax;
+  let converted = false;
+
+  if (convertible && needsConversion(sourceUnit, system)) {
+    const target = convertMeasurement(item, sourceUnit, scaled, system);
+    const perTarget = target.factor * (target.kind === 'volume' ? VOLUME[sourceUnit] : WEIGHT[sourceUnit]);
+    unit = target.unit;
+    amount = scaled * perTarget;
+    amountMax = scaledMax === null ? null : scaledMax * perTarget;
+    converted = unit !== item.unit;
+  }
+
+  amount = kitchenRound(amount, unit);
+  amountMax = amountMax === null ? null : kitchenRound(amountMax, unit);
+  if (amountMax !== null && amountMax <= amount) amountMax = null;
+
+  const amountText = amountMax === null
+    ? formatAmount(amount, unit)
+    : `${formatAmount(amount, unit)}–${formatAmount(amountMax, unit)}`;
+  const quantity = [amountText, unitText(item, unit, amountMax ?? amount, converted)].filter(Boolean).join(' ');
+
+  return {
+    item: {
+      ...item,
+      quantity,
+      amount,
+      amountMax,
+      unit,
+      original: [quantity, item.name].filter(Boolean).join(' ')
+    },
+    // Scaled, but left in a unit ("stick", "pinch") with no equivalent in the target system
+    issue: item.unit && !convertible && !butterSticks && system !== 'original' ? 'unknown-unit' : null
+  };
+}
+
+export function resolveServings(value) {
+  const number = typeof value === 'string' ? Number.parseFloat(value) : value;
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+// Returns the scaled recipe plus the lines that could not be scaled or converted
+export function scaleRecipe(input, { servings, targetServings, unitSystem = 'original' }) {
+  if (!UNIT_SYSTEMS.includes(unitSystem)) {
+    throw new ScalingError(`unitSystem must be one of: ${UNIT_SYSTEMS.join(', ')}`);
+  }
+
+  const from = resolveServings(servings);
+  const to = resolveServings(targetServings ?? servings);
+  if (!from || !to) {
+    throw new ScalingError('servings and targetServings must be positive numbers');
+  }
+
+  const recipe = normalizeRecipe(input);
+  const factor = to / from;
+  const unconverted = [];
+
+  const ingredientsByProcessingStep = recipe.ingredientsByProcessingStep.map(group => ({
+    ...group,
+    items: group.items.map(original => {
+      const { item, issue } = scaleItem(original, factor, unitSystem);
+      if (issue) unconverted.push({ group: group.name, original: original.original, reason: issue });
+      return item;
+    })
+  }));
+
+  return {
+    recipe: { ...recipe, ingredientsByProcessingStep },
+    factor: Math.round(factor * 1000) / 1000,
+    servings: to,
+    unitSystem,
+    unconverted
+  };
+}
@@ -0,0 +1,216 @@
+// Step-by-step instructions for cook mode: splits method text into ordered
+// steps and annotates each with timers, oven temperatures and the ingredients
+// it uses. The legacy `steps` string is rendered from the same list.
+
+const DURATION_UNITS = {
+  second: /^(?:seconds?|secs?|sek(?:unden?)?\.?)$/i,
+  minute: /^(?:minutes?|mins?\.?|minuten?)$/i,
+  hour: /^(?:hours?|hrs?\.?|stunden?|std\.?)$/i
+};
+const SECONDS_PER = { second: 1, minute: 60, hour: 3600 };
+
+// Mixed numbers ("1 1/2", "1½") before plain ones, which would stop at the "1"
+const AMOUNT = '\\d+(?:\\s+\\d+\\/\\d+|\\s*[½¼¾])|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?';
+const NUMBER = `${AMOUNT}|½|¼|¾|an?|one|half|einer?|eine`;
+const DURATION_REGEX = new RegExp(
+  `(?<![\\w°/])(${NUMBER})(?:\\s*(?:-|–|—|to|bis|or|oder)\\s*(${AMOUNT}))?\\s*` +
+  '(seconds?|secs?|sekunden?|sek\\.?|minutes?|mins?\\.?|minuten?|hours?|hrs?\\.?|stunden?|std\\.?)(?![\\w])',
+  'gi'
+);
+
+// "180°C", "350 degrees", "200 Grad", or a bare C/F right after the number as
+// Meal-Master files write it ("350F"); a bare lowercase "c" is cups ("10c sugar")
+const TEMPERATURE_REGEX = /(?<![\d.,])(\d{2,3})(?!\d)\s*(?:-|–|to|bis)?\s*(\d{2,3}(?!\d))?(?:\s*(°|º|˚|degrees?|grad)\s*(celsius|fahrenheit|c|f)?|(?<=\d)(c|f))(?![a-z])/gi;
+
+const FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75 };
+
+// "1 1/2", "1½", "3/4", "2,5", "an" -> number
+function toNumber(text) {
+  const value = text.toLowerCase();
+  if (value === 'half') return 0.5;
+  if (/^(an?|one|einer?|eine)$/.test(value)) return 1;
+  return value.replace(/[½¼¾]/g, ' $&').trim().split(/\s+/).reduce((total, part) => {
+    if (FRACTIONS[part]) return total + FRACTIONS[part];
+    const [numerator, denominator] = part.split('/').map(number => Number(number.replace(',', '.')));
+    return total + (denominator === undefined ? numerator : numerator / denominator);
+  }, 0);
+}
+
+function durationUnit(text) {
+  return Object.keys(DURATION_UNITS).find(unit => DURATION_UNITS[unit].test(text)) || null;
+}
+
+export function detectDurations(text) {
+  const durations = [];
+  for (const match of text.matchAll(DURATION_REGEX)) {
+    const unit = durationUnit(match[3]);
+    const min = toNumber(match[1]);
+    if (!unit || !Number.isFinite(min)) continue;
+
+    const max = match[2] ? toNumber(match[2]) : null;
+    durations.push({
+      text: match[0].trim(),
+      min,
+      max,
+      unit,
+      seconds: Math.round(min * SECONDS_PER[unit]),
+      maxSeconds: max === null ? null : Math.round(max * SECONDS_PER[unit])
+    });
+  }
+  return durations;
+}
+
+function roundToFive(value) {
+  return Math.round(value / 5) * 5;
+}
+
+// Without an explicit scale, "Grad" means Celsius and anything hotter than a
+// Celsius oven goes is taken as Fahrenheit
+function temperatureScale(value, scaleText, degreeWord) {
+  if (scaleText) return scaleText[0].toUpperCase() === 'F' ? 'F' : 'C';
+  if (/grad/i.test(degreeWord)) return 'C';
+  return value > 260 ? 'F' : 'C';
+}
+
+// value/valueMax are as written; celsius/celsiusMax and fahrenheit/fahrenheitMax
+// give both ends of a range in each scale. A conversion in brackets after a
+// temperature ("200°C (400°F)") is the same setting and replaces the computed one.
+export function detectTemperatures(text) {
+  const temperatures = [];
+  let previousEnd = -1;
+  for (const match of text.matchAll(TEMPERATURE_REGEX)) {
+    if (match[5] === 'c') continue;
+
+    const value = Number(match[1]);
+    const valueMax = match[2] ? Number(match[2]) : null;
+    const scaleText = match[4] || match[5];
+    const scale = temperatureScale(valueMax ?? value, scaleText, match[3]);
+    const written = match[0].trim();
+    const end = match.index + written.length;
+
+    const previous = temperatures.at(-1);
+    const closing = text.slice(end).match(/^\s*\)/);
+    if (previous && closing && previous.unit !== scale && /^\s*\($/.test(text.slice(previousEnd, match.index))) {
+      const key = scale === 'C' ? 'celsius' : 'fahrenheit';
+      previous[key] = value;
+      previous[`${key}Max`] = valueMax;
+      previous.text = text.slice(previousEnd - previous.text.length, end + closing[0].length);
+      previousEnd = end + closing[0].length;
+      continue;
+    }
+
+    const toCelsius = degrees => (scale === 'C' ? degrees : roundToFive((degrees - 32) * 5 / 9));
+    const toFahrenheit = degrees => (scale === 'F' ? degrees : roundToFive(degrees * 9 / 5 + 32));
+
+    temperatures.push({
+      text: written,
+      value,
+      valueMax,
+      unit: scale,
+      inferred: !scaleText,
+      celsius: toCelsius(value),
+      celsiusMax: valueMax === null ? null : toCelsius(valueMax),
+      fahrenheit: toFahrenheit(value),
+      fahrenheitMax: valueMax === null ? null : toFahrenheit(valueMax)
+    });
+    previousEnd = end;
+  }
+  return temperatures;
+}
+
+function singular(word) {
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('oes')) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Match an ingredient by its full name or, failing that, its last word
+// ("unsalted butter" → "butter"), allowing simple plurals
+function mentions(stepText, ingredientName) {
+  const name = ingredientName.toLowerCase().trim();
+  if (!name) return false;
+
+  const candidates = [name];
+  const words = name.split(/\s+/);
+  const head = words[words.length - 1];
+  if (words.length > 1 && head.length >= 4) candidates.push(head);
+
+  return candidates.some(candidate => {
+    const base = escapeRegExp(singular(candidate));
+    return new RegExp(`(?<![\\p{L}])${base}(?:s|es|en|n)?(?![\\p{L}])`, 'iu').test(stepText);
+  });
+}
+
+export function findIngredientRefs(text, ingredientsByProcessingStep = []) {
+  const refs = [];
+  ingredientsByProcessingStep.forEach((group, groupIndex) => {
+    group.items.forEach((item, itemIndex) => {
+      const name = item.ingredient || item.name;
+      if (mentions(text, name)) {
+        refs.push({ group: groupIndex, item: itemIndex, name });
+      }
+    });
+  });
+  return refs;
+}
+
+// Split a legacy steps string into { section, text } entries. Lines ending in a
+// colon become section headings; numbered runs on a single line are split apart.
+export function splitStepsText(text) {
+  const entries = [];
+  let section = null;
+
+  for (const rawLine of String(text ?? '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (/^[^.!?]{1,60}:$/.test(line) && !/^\d+[.)]/.test(line)) {
+      section = line.slice(0, -1).trim();
+      continue;
+    }
+
+    const parts = line.split(/(?:^|\s+)(?=\d{1,2}[.)]\s+\S)/).map(part => part.trim()).filter(Boolean);
+    for (const part of parts) {
+      const stepText = part.replace(/^(?:step\s*)?\d{1,2}[.):]\s*/i, '').trim();
+      if (stepText) entries.push({ section, text: stepText });
+    }
+  }
+
+  return entries;
+}
+
+// Render { section, text } entries as the numbered `steps` string older clients display
+export function formatSteps(entries) {
+  const lines = [];
+  let currentSection = null;
+  let number = 0;
+
+  for (const { section, text } of entries) {
+    if (section !== currentSection) {
+      if (lines.length) lines.push('');
+      if (section) lines.push(`${section}:`);
+      currentSection = section;
+    }
+    number += 1;
+    lines.push(`${number}. ${text.replace(/^\d+[.)]\s+/, '')}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Number and annotate step entries against the recipe's ingredient groups
+export function buildInstructions(entries, ingredientsByProcessingStep) {
+  return entries.map((entry, index) => ({
+    number: index + 1,
+    section: entry.section || null,
+    text: entry.text,
+    durations: detectDurations(entry.text),
+    temperatures: detectTemperatures(entry.text),
+    ingredientRefs: findIngredientRefs(entry.text, ingredientsByProcessingStep)
+  }));
+}
@@ -0,0 +1,236 @@
+// Lifecycle of uploaded recipe images. One upload is the folder
+// recipes/{uid}/{recipeId or timestamp}_{name}/ holding its sized variants
+// (see lib/uploads.js); uploads from before variants existed are single files
+// directly under recipes/{uid}/. A recipe references an upload through its
+// imagePath. Files directly under recipes/ predate per-user folders, cannot be
+// attributed to anyone and are never touched here.
+//
+// The sweeper only deletes uploads whose every file carries the custom
+// metadata sweepable: "true", which lib/uploads.js writes. Older uploads (and
+// any stored by other means) are reported as untracked and kept until a
+// backfill adds the marker, since recipes the server does not know about may
+// still use them.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// "recipes/u1/r1_cake/full.jpg" -> { uid: 'u1', key: 'recipes/u1/r1_cake' }, null outside user folders
+export function uploadKey(storagePath) {
+  if (typeof storagePath !== 'string' || storagePath.includes('..')) return null;
+  const segments = storagePath.split('/');
+  if (segments[0] !== 'recipes' || segments.length < 3 || segments.length > 4 || segments.some(segment => !segment)) return null;
+  return { uid: segments[1], key: segments.slice(0, 3).join('/') };
+}
+
+function describeFile(file) {
+  const metadata = file.metadata || {};
+  const custom = metadata.metadata || {};
+  return {
+    path: file.name,
+    size: Number(metadata.size) || 0,
+    contentType: metadata.contentType || null,
+    recipeId: custom.recipeId || null,
+    sweepable: custom.sweepable === 'true',
+    uploadedAt: custom.uploadedAt || metadata.timeCreated || metadata.updated || null
+  };
+}
+
+// The full-size primary variant if there is one, else the only file
+function primaryPath(files) {
+  const full = files.find(file => /\/full\.(?:jpg|png)$/.test(file.path));
+  return (full || files[0]).path;
+}
+
+function groupUploads(files) {
+  const uploads = new Map();
+  for (const file of files) {
+    const owner = uploadKey(file.path);
+    if (!owner) continue;
+    if (!uploads.has(owner.key)) uploads.set(owner.key, { key: owner.key, uid: owner.uid, files: [] });
+    uploads.get(owner.key).files.push(file);
+  }
+
+  return [...uploads.values()].map(upload => {
+    const times = upload.files.map(file => file.uploadedAt).filter(Boolean).sort();
+    return {
+      key: upload.key,
+      uid: upload.uid,
+      uploadPath: primaryPath(upload.files),
+      recipeId: upload.files.find(file => file.recipeId)?.recipeId || null,
+      sweepable: upload.files.every(file => file.sweepable),
+      files: upload.files,
+      size: upload.files.reduce((total, file) => total + file.size, 0),
+      uploadedAt: times.length ? times[times.length - 1] : null
+    };
+  });
+}
+
+async function listFiles(bucket, prefix) {
+  const [files] = await bucket.getFiles({ prefix });
+  return files.map(describeFile);
+}
+
+// -> [{ key, uid, uploadPath, recipeId, sweepable, files: [{ path, size, contentType, ... }], size, uploadedAt }]
+export async function listUserUploads(bucket, uid) {
+  return groupUploads(await listFiles(bucket, `recipes/${uid}/`));
+}
+
+// Upload keys referenced by the user's saved recipes -> [recipe ids]
+export async function referencedUploads(recipeStore, uid, { except } = {}) {
+  const references = new Map();
+  let cursor;
+  do {
+    const page = await recipeStore.list(uid, { limit: 100, cursor });
+    for (const recipe of page.recipes) {
+      const owner = recipe.id !== except && uploadKey(recipe.imagePath);
+      if (!owner || owner.uid !== uid) continue;
+      references.set(owner.key, [...(references.get(owner.key) || []), recipe.id]);
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+  return references;
+}
+
+async function deleteFiles(bucket, paths) {
+  await Promise.all(paths.map(path => bucket.file(path).delete().catch(error => {
+    // Already gone, e.g. removed by a concurrent sweep
+    if (error.code !== 404) throw error;
+  })));
+  return paths;
+}
+
+// Images of one recipe: uploads tagged with the recipe id and the upload its
+// imagePath points at. Uploads another saved recipe still uses are kept.
+// -> { deleted: [paths], kept: [upload keys] }
+export async function deleteRecipeImages({ bucket, recipeStore, uid, recipeId, imagePath }) {
+  const uploads = await listUserUploads(bucket, uid);
+  const target = uploadKey(imagePath);
+  const matching = uploads.filter(upload => upload.recipeId === recipeId || (target && upload.key === target.key));
+  if (!matching.length) return { deleted: [], kept: [] };
+
+  const references = await referencedUploads(recipeStore, uid, { except: recipeId });
+  const kept = matching.filter(upload => references.has(upload.key));
+  const doomed = matching.filter(upload => !references.has(upload.key));
+  const deleted = await deleteFiles(bucket, doomed.flatMap(upload => upload.files.map(file => file.path)));
+  return { deleted, kept: kept.map(upload => upload.key) };
+}
+
+// Garbage collection for uploads no saved recipe references once they are
+// older than minAgeDays (younger ones may belong to a recipe still being
+// edited), and for chunks of resumable uploads whose session has expired or
+// is gone. dryRun, the default, reports what would be deleted without
+// deleting it.
+export function createStorageSweeper({
+  getBucket,
+  recipeStore,
+  uploadSessionStore,
+  minAgeDays = 7,
+  intervalHours = 24,
+  dryRun: defaultDryRun = true,
+  now = Date.now
+}) {
+  let timer = null;
+
+  async function sweepChunks(bucket, { dryRun }) {
+    const sessions = new Map();
+    for (const file of await listFiles(bucket, 'uploads/')) {
+      const [, uid, id] = file.path.split('/');
+      if (!uid || !id) continue;
+      if (!sessions.has(id)) sessions.set(id, []);
+      sessions.get(id).push(file.path);
+    }
+
+    const abandoned = [];
+    for (const [id, paths] of sessions) {
+      const session = await uploadSessionStore.get(id);
+      if (session && new Date(session.expiresAt).getTime() > now()) continue;
+      abandoned.push(...paths);
+      if (!dryRun) {
+        await deleteFiles(bucket, paths);
+        if (session) await uploadSessionStore.remove(id);
+      }
+    }
+    return abandoned;
+  }
+
+  async function sweep({ dryRun = defaultDryRun, minAgeDays: days = minAgeDays } = {}) {
+    const bucket = getBucket();
+    const cutoff = new Date(now() - days * DAY).toISOString();
+    const uploads = groupUploads(await listFiles(bucket, 'recipes/'));
+
+    const report = {
+      dryRun,
+      cutoff,
+      scanned: uploads.length,
+      referenced: 0,
+      recent: 0,
+      untracked: 0,
+      skipped: [],
+      orphaned: [],
+      orphanedBytes: 0,
+      abandonedChunks: [],
+      deletedFiles: 0
+    };
+
+    const byUser = new Map();
+    for (const upload of uploads) byUser.set(upload.uid, [...(byUser.get(upload.uid) || []), upload]);
+
+    for (const [uid, userUploads] of byUser) {
+      let references;
+      try {
+        references = await referencedUploads(recipeStore, uid);
+      } catch (error) {
+        // Without the user's recipes nothing of theirs can be proven unused
+        console.log('⚠️ Storage sweep skipped user', uid, 'whose recipes could not be read:', error.message);
+        report.skipped.push(uid);
+        continue;
+      }
+
+      for (const upload of userUploads) {
+        if (references.has(upload.key)) {
+          report.referenced += 1;
+        } else if (!upload.sweepable) {
+          report.untracked += 1;
+        } else if (!upload.uploadedAt || upload.uploadedAt > cutoff) {
+          report.recent += 1;
+        } else {
+          report.orphaned.push({
+            uploadPath: upload.uploadPath,
+            uid,
+            recipeId: upload.recipeId,
+            files: upload.files.map(file => file.path),
+            size: upload.size,
+            uploadedAt: upload.uploadedAt
+          });
+          report.orphanedBytes += upload.size;
+          if (!dryRun) report.deletedFiles += (await deleteFiles(bucket, upload.files.map(file => file.path))).length;
+        }
+      }
+    }
+
+    if (uploadSessionStore) {
+      report.abandonedChunks = await sweepChunks(bucket, { dryRun });
+      if (!dryRun) report.deletedFiles += report.abandonedChunks.length;
+    }
+
+    console.log(`🧹 Storage sweep${dryRun ? ' (dry run)' : ''}: ${report.orphaned.length} orphaned upload(s), ${report.abandonedChunks.length} abandoned chunk(s), ${report.deletedFiles} file(s) deleted`);
+    return report;
+  }
+
+  // Overlapping sweeps, e.g. from several instances, only race to delete the same files
+  return {
+    sweep,
+
+    start() {
+      if (timer || !intervalHours) return;
+      timer = setInterval(() => {
+        sweep().catch(error => console.log('⚠️ Storage sweep failed:', error.message));
+      }, intervalHours * 60 * 60 * 1000);
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
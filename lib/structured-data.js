@@ -0,0 +1,235 @@
+import * as cheerio from 'cheerio';
+import { splitIngredientLine } from './ingredients.js';
+
+// Deterministic extraction of schema.org/Recipe data (JSON-LD, microdata, RDFa)
+// so /parse-url only needs the LLM for pages without structured data.
+
+// Decode HTML entities and strip any markup embedded in structured data strings
+function cleanText(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  const decoded = /[<&]/.test(text) ? cheerio.load(`<div>${text}</div>`)('div').first().text() : text;
+  return decoded.replace(/\s+/g, ' ').trim();
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function hasType(node, type) {
+  return asArray(node?.['@type']).some(t => {
+    const name = String(t).split(/[/#:]/).pop();
+    return name.toLowerCase() === type.toLowerCase();
+  });
+}
+
+// Walk arbitrarily nested JSON-LD (arrays, @graph, mainEntity) looking for a Recipe node
+function findRecipeNode(node, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 10) return null;
+
+  if (Array.isArray(node)) {
+    for (const entry of node) {
+      const found = findRecipeNode(entry, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  if (hasType(node, 'Recipe')) return node;
+
+  for (const key of ['@graph', 'mainEntity', 'mainEntityOfPage', 'itemListElement', 'item']) {
+    const found = findRecipeNode(node[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Some sites emit JSON-LD with raw newlines inside strings or trailing commas
+function parseJsonLd(raw) {
+  const text = raw.trim().replace(/^<!--/, '').replace(/-->$/, '').trim();
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    try {
+      return JSON.parse(text.replace(/[\u0000-\u001F]+/g, ' ').replace(/,\s*([\]}])/g, '$1'));
+    } catch (e2) {
+      return null;
+    }
+  }
+}
+
+function textOf(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    return cleanText(value.text ?? value.name ?? value['@value'] ?? '');
+  }
+  if (Array.isArray(value)) return textOf(value[0]);
+  return cleanText(value);
+}
+
+// Flatten recipeInstructions (string, list, HowToStep, HowToSection) into
+// { section, text } entries in document order
+function flattenInstructions(value, section = null) {
+  const entries = [];
+
+  for (const entry of asArray(value)) {
+    if (!entry) continue;
+
+    if (typeof entry === 'string') {
+      // A single string may hold the whole method, one step per line
+      const lines = entry.includes('<') ? splitHtmlLines(entry) : entry.split(/\r?\n+/);
+      for (const line of lines) {
+        const text = cleanText(line);
+        if (text) entries.push({ section, text });
+      }
+      continue;
+    }
+
+    if (hasType(entry, 'HowToSection')) {
+      const name = cleanText(entry.name) || section;
+      entries.push(...flattenInstructions(entry.itemListElement ?? entry.steps, name));
+      continue;
+    }
+
+    if (entry.itemListElement) {
+      entries.push(...flattenInstructions(entry.itemListElement, section));
+      continue;
+    }
+
+    const text = textOf(entry.text ? entry.text : entry.name);
+    if (text) entries.push({ section, text });
+  }
+
+  return entries;
+}
+
+function splitHtmlLines(html) {
+  const $ = cheerio.load(`<div>${html}</div>`);
+  $('br').replaceWith('\n');
+  $('p, li, div').each((i, el) => { $(el).append('\n'); });
+  return $('div').first().text().split(/\n+/);
+}
+
+function collectTags(node) {
+  const tags = [];
+  for (const key of ['recipeCategory', 'recipeCuisine', 'keywords']) {
+    for (const value of asArray(node[key])) {
+      const parts = typeof value === 'string' ? value.split(',') : [textOf(value)];
+      tags.push(...parts.map(cleanText));
+    }
+  }
+
+  const seen = new Set();
+  return tags.filter(tag => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Map a schema.org Recipe node onto the shape returned by the parse endpoints
+export function mapSchemaRecipe(node) {
+  const ingredientLines = asArray(node.recipeIngredient ?? node.ingredients)
+    .map(textOf)
+    .filter(Boolean);
+  const instructions = flattenInstructions(node.recipeInstructions);
+
+  if (!ingredientLines.length && !instructions.length) return null;
+
+  return {
+    title: textOf(node.name) || textOf(node.headline) || 'Imported Recipe',
+    ingredientsByProcessingStep: ingredientLines.length
+      ? [{ name: 'Ingredients', items: ingredientLines.map(splitIngredientLine) }]
+      : [],
+    instructions,
+    tags: collectTags(node)
+  };
+}
+
+export function extractJsonLdRecipe($) {
+  const scripts = $('script[type="application/ld+json" i]').toArray();
+
+  for (const script of scripts) {
+    const data = parseJsonLd($(script).contents().text());
+    const node = findRecipeNode(data);
+    const recipe = node && mapSchemaRecipe(node);
+    if (recipe) return recipe;
+  }
+  return null;
+}
+
+// Microdata uses itemscope/itemtype/itemprop, RDFa uses typeof/property; both
+// are read into JSON-LD-like objects so they share the same mapping.
+const SCOPE_SELECTOR = '[itemscope], [typeof]';
+
+function isScope(el) {
+  return el.attribs && ('itemscope' in el.attribs || 'typeof' in el.attribs);
+}
+
+function scopeType(el) {
+  return (el.attribs.itemtype || el.attribs.typeof || '').split(/\s+/).filter(Boolean);
+}
+
+function propertyValue($, el) {
+  const $el = $(el);
+  if ($el.attr('content') !== undefined) return $el.attr('content');
+
+  switch (el.tagName) {
+    case 'meta': return $el.attr('content') || '';
+    case 'a':
+    case 'link':
+    case 'area': return $el.attr('href') || '';
+    case 'img':
+    case 'audio':
+    case 'video':
+    case 'source': return $el.attr('src') || '';
+    case 'time': return $el.attr('datetime') || $el.text();
+    case 'data':
+    case 'meter': return $el.attr('value') || $el.text();
+    default: return $el.html() ?? '';
+  }
+}
+
+function readScope($, scopeEl) {
+  const item = { '@type': scopeType(scopeEl) };
+
+  $(scopeEl).find('[itemprop], [property]').each((i, el) => {
+    // Only properties that belong directly to this scope, not to a nested item
+    const owner = $(el).parent().closest(SCOPE_SELECTOR).get(0);
+    if (owner !== scopeEl) return;
+
+    const names = ($(el).attr('itemprop') || $(el).attr('property') || '')
+      .split(/\s+/)
+      .map(name => name.replace(/^.*[/#:]/, ''))
+      .filter(Boolean);
+    const value = isScope(el) ? readScope($, el) : propertyValue($, el);
+
+    for (const name of names) {
+      item[name] = item[name] === undefined ? value : [...asArray(item[name]), value];
+    }
+  });
+
+  return item;
+}
+
+export function extractMicrodataRecipe($) {
+  const scopes = $(SCOPE_SELECTOR).toArray().filter(el => hasType({ '@type': scopeType(el) }, 'Recipe'));
+
+  for (const scopeEl of scopes) {
+    const recipe = mapSchemaRecipe(readScope($, scopeEl));
+    if (recipe) return { recipe, method: 'itemscope' in scopeEl.attribs ? 'microdata' : 'rdfa' };
+  }
+  return null;
+}
+
+// Returns { recipe, method } (method: json-ld, microdata or rdfa) when the page publishes a usable schema.org Recipe, otherwise null
+export function extractStructuredRecipe(html) {
+  const $ = cheerio.load(html);
+
+  const jsonLd = extractJsonLdRecipe($);
+  if (jsonLd) return { recipe: jsonLd, method: 'json-ld' };
+
+  return extractMicrodataRecipe($);
+}
@@ -0,0 +1,164 @@
+import crypto from 'node:crypto';
+import admin from 'firebase-admin';
+import { nextUtcMidnight } from './rate-limit.js';
+
+// Resumable uploads (/uploads): a session is opened with the file's size, the
+// client PUTs chunks at the offset the server reports, and completing the
+// session checks the SHA-256 of the whole file before it is processed like any
+// other upload. Chunks are written to Storage under uploads/{uid}/{id}/ as
+// they arrive, so a session survives restarts and works across instances.
+//
+// Stores implement:
+//   create(session) -> session
+//   get(id) -> session | null
+//   append(id, { from, to, chunk, now }) -> session, or null when the session
+//     is no longer at offset `from` (another request got there first)
+//   remove(id)
+//   countOpen(uid, now) -> sessions of the user that have not expired
+// UPLOAD_SESSION_STORE picks one: "memory" (default, per process) or "firestore".
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export function createMemoryUploadSessionStore() {
+  const sessions = new Map();
+
+  return {
+    name: 'memory',
+
+    async create(session) {
+      sessions.set(session.id, structuredClone(session));
+      return structuredClone(session);
+    },
+
+    async get(id) {
+      return sessions.has(id) ? structuredClone(sessions.get(id)) : null;
+    },
+
+    async append(id, { from, to, chunk, now }) {
+      const session = sessions.get(id);
+      if (!session || session.offset !== from) return null;
+      session.offset = to;
+      session.chunks.push(chunk);
+      session.updatedAt = new Date(now).toISOString();
+      return structuredClone(session);
+    },
+
+    async remove(id) {
+      sessions.delete(id);
+    },
+
+    async countOpen(uid, now) {
+      const time = new Date(now).toISOString();
+      return [...sessions.values()].filter(session => session.uid === uid && session.expiresAt > time).length;
+    }
+  };
+}
+
+// uploadSessions/{id}; expiresAt doubles as the Firestore TTL field, which
+// needs a timestamp, so it is stored as one and read back as an ISO string
+export function createFirestoreUploadSessionStore({ getDb = () => admin.firestore(), collection = 'uploadSessions' } = {}) {
+  const sessions = () => getDb().collection(collection);
+
+  const toDoc = session => ({ ...session, expiresAt: new Date(session.expiresAt) });
+  const toSession = data => ({ ...data, expiresAt: data.expiresAt.toDate().toISOString() });
+
+  return {
+    name: 'firestore',
+
+    async create(session) {
+      await sessions().doc(session.id).set(toDoc(session));
+      return session;
+    },
+
+    async get(id) {
+      const snapshot = await sessions().doc(id).get();
+      return snapshot.exists ? toSession(snapshot.data()) : null;
+    },
+
+    async append(id, { from, to, chunk, now }) {
+      const ref = sessions().doc(id);
+      return getDb().runTransaction(async transaction => {
+        const snapshot = await transaction.get(ref);
+        if (!snapshot.exists || snapshot.get('offset') !== from) return null;
+        const fields = {
+          offset: to,
+          chunks: admin.firestore.FieldValue.arrayUnion(chunk),
+          updatedAt: new Date(now).toISOString()
+        };
+        transaction.update(ref, fields);
+        const session = toSession(snapshot.data());
+        return { ...session, ...fields, chunks: [...session.chunks, chunk] };
+      });
+    },
+
+    async remove(id) {
+      await sessions().doc(id).delete();
+    },
+
+    async countOpen(uid, now) {
+      const snapshot = await sessions().where('uid', '==', uid).where('expiresAt', '>', new Date(now)).count().get();
+      return snapshot.data().count;
+    }
+  };
+}
+
+export function createUploadSessionStore(name = 'memory', options = {}) {
+  switch (name) {
+    case 'memory':
+      return createMemoryUploadSessionStore(options);
+    case 'firestore':
+      return createFirestoreUploadSessionStore(options);
+    default:
+      throw new Error(`Unknown upload session store: ${name}`);
+  }
+}
+
+export function newUploadSession({ uid, fileName, size, recipeId, ttlMs = DAY, now = Date.now() }) {
+  const time = new Date(now).toISOString();
+  return {
+    id: crypto.randomUUID(),
+    uid,
+    fileName,
+    size,
+    recipeId: recipeId || null,
+    offset: 0,
+    chunks: [],
+    createdAt: time,
+    updatedAt: time,
+    expiresAt: new Date(now + ttlMs).toISOString()
+  };
+}
+
+// Unique per request, so a chunk that lost the race can be deleted safely
+export function chunkPath(session, offset) {
+  return `uploads/${session.uid}/${session.id}/${String(offset).padStart(12, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Daily upload volume per user, counted in the rate limit store's counters
+// (see lib/rate-limit.js). A failing store never blocks an upload.
+export function createUploadQuota({ store, dailyBytes, now = Date.now }) {
+  const dayKey = (uid, time) => `upload-bytes:${uid}:${new Date(time).toISOString().slice(0, 10)}`;
+
+  return {
+    // -> true when `bytes` more still fit into today's allowance
+    async allows(uid, bytes) {
+      if (!dailyBytes) return true;
+      try {
+        return (await store.getCounter(dayKey(uid, now()))) + bytes <= dailyBytes;
+      } catch (error) {
+        console.log('⚠️ Upload quota store unavailable:', error.message);
+        return true;
+      }
+    },
+
+    async record(uid, bytes) {
+      if (!dailyBytes) return;
+      const time = now();
+      try {
+        await store.increment(dayKey(uid, time), bytes, { expiresAt: nextUtcMidnight(time) });
+      } catch (error) {
+        console.log('⚠️ Could not record upload volume:', error.message);
+      }
+    }
+  };
+}
@@ -0,0 +1,46 @@
+import { sanitizeFileName } from './auth.js';
+import { processImage } from './image-processing.js';
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+// Processes a recipe image (see lib/image-processing.js) and stores every
+// variant, privately, under one predictable folder:
+//   recipes/{uid}/{recipeId or timestamp}_{name}/{thumb,medium,full}.{jpg|png,webp}
+// urlFor(uploadPath) supplies the downloadURLs (signed, see lib/image-urls.js).
+// Shared by /upload-image and the photos embedded in imported files.
+// -> { uploadPath, downloadURL, contentType, variants: { [size]: { [format]: { uploadPath, downloadURL, contentType, width, height } } } }
+// where uploadPath/downloadURL point at the full-size primary variant.
+export async function saveRecipeImage(bucket, { uid, data, fileName, recipeId, urlFor }) {
+  const { primary, variants } = await processImage(data);
+  const stem = sanitizeFileName(fileName).replace(/\.[^.]*$/, '') || 'image';
+  const folder = `recipes/${uid}/${recipeId || Date.now()}_${stem}`;
+  const uploadedAt = new Date().toISOString();
+
+  const stored = {};
+  const uploads = [];
+  for (const [size, formats] of Object.entries(variants)) {
+    stored[size] = {};
+    for (const [format, image] of Object.entries(formats)) {
+      const uploadPath = `${folder}/${size}.${EXTENSIONS[image.contentType]}`;
+      stored[size][format] = {
+        uploadPath,
+        downloadURL: urlFor(uploadPath),
+        contentType: image.contentType,
+        width: image.width,
+        height: image.height
+      };
+      uploads.push(bucket.file(uploadPath).save(image.data, {
+        metadata: {
+          contentType: image.contentType,
+          // recipeId lets the recipe's images be found again, and only uploads
+          // marked sweepable are ever garbage collected (lib/storage-lifecycle.js)
+          metadata: { uploadedBy: uid, uploadedAt, sweepable: 'true', ...(recipeId ? { recipeId: String(recipeId) } : {}) }
+        }
+      }));
+    }
+  }
+  await Promise.all(uploads);
+
+  const full = stored.full[primary];
+  return { uploadPath: full.uploadPath, downloadURL: full.downloadURL, contentType: full.contentType, variants: stored };
+}
@@ -0,0 +1,158 @@
+import zlib from 'node:zlib';
+
+// Just enough of the zip format to read recipe app exports: stored and
+// deflated entries listed in the central directory. No zip64, encryption or
+// multi-disk archives. Sizes are capped so a small upload cannot expand into
+// gigabytes (zip bombs).
+
+export class ZipError extends Error {
+  constructor(message, code = 'invalid-zip') {
+    super(message);
+    this.name = 'ZipError';
+    this.code = code;
+  }
+}
+
+// Decompressed bytes one upload may expand to. Share a single budget between
+// every archive and entry of an upload, nested archives included, so many
+// small bombs cannot add up to a big one.
+export function createByteBudget(limit) {
+  return { limit, remaining: limit };
+}
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+export function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+}
+
+export function isGzip(buffer) {
+  return buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+// The end record sits in the last 22 bytes plus up to 64 KB of comment
+function findEndOfCentralDirectory(buffer) {
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new ZipError('Not a zip archive');
+}
+
+function inflate(data, method, expectedSize) {
+  if (method === 0) return data;
+  if (method !== 8) throw new ZipError(`Unsupported zip compression method ${method}`);
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: Math.max(expectedSize, 1) });
+  } catch (error) {
+    throw new ZipError(error.code === 'ERR_BUFFER_TOO_LARGE' ? 'Zip entry is larger than declared' : 'Corrupt zip entry');
+  }
+}
+
+// -> [{ name, data }] for the files in the archive, directories skipped.
+// Every entry is charged to budget (see createByteBudget).
+export function readZip(buffer, { maxEntries = 2000, budget = createByteBudget(100 * 1024 * 1024) } = {}) {
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count > maxEntries) throw new ZipError(`Zip archive has more than ${maxEntries} entries`);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw new ZipError('Corrupt zip central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    // Bit 11: UTF-8 names; older tools wrote CP437, which is ASCII for the names that matter here
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) throw new ZipError('Encrypted zip archives are not supported');
+
+    // Entries cannot inflate past their declared size, so checking it up front is enough
+    if (size > budget.remaining || (method === 0 && compressedSize > budget.remaining)) {
+      throw new ZipError(`Zip archive expands to more than ${budget.limit} bytes`, 'too-large');
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new ZipError('Corrupt zip entry header');
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = inflate(buffer.subarray(dataStart, dataStart + compressedSize), method, size);
+    budget.remaining -= data.length;
+    entries.push({ name, data });
+  }
+  return entries;
+}
+
+// zlib.crc32 needs Node 20.15+, so keep a table of our own
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Zip archive of { name, data } entries; used for Paprika exports
+export function writeZip(files, { deflate = true } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const content = Buffer.from(data);
+    const body = deflate ? zlib.deflateRawSync(content) : content;
+    const crc = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, body);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
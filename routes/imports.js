@@ -0,0 +1,89 @@
+import express from 'express';
+import { newImportJob, describeImportJob } from '../lib/import-jobs.js';
+import { canAccessStoragePath } from '../lib/auth.js';
+
+// /imports: the same URL, text and image parsing as /parse-url, /parse-recipe
+// and /parse-image, run in the background (see lib/import-jobs.js). Clients
+// poll GET /imports/:id or pass a callbackUrl to be notified.
+
+class ImportInputError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImportInputError';
+    this.status = status;
+  }
+}
+
+// { url } | { text } | { storagePath }, optional cache and callbackUrl
+function jobFromBody(body, uid, maxTextLength) {
+  const { url, text, storagePath, cache, callbackUrl } = body || {};
+  const given = [url, text, storagePath].filter(value => value !== undefined);
+  if (given.length !== 1) {
+    throw new ImportInputError('Invalid request: exactly one of url, text or storagePath is required');
+  }
+  if (cache !== undefined && cache !== 'default' && cache !== 'bypass') {
+    throw new ImportInputError('Invalid request: cache must be "default" or "bypass"');
+  }
+
+  if (callbackUrl !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(callbackUrl);
+    } catch (e) {
+      throw new ImportInputError('Invalid request: callbackUrl must be an http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ImportInputError('Invalid request: callbackUrl must be an http(s) URL');
+    }
+  }
+
+  if (url !== undefined) {
+    if (!url || typeof url !== 'string') throw new ImportInputError('Invalid request: url is required');
+    return { type: 'url', input: { url, ...(cache ? { cache } : {}) }, callbackUrl };
+  }
+  if (text !== undefined) {
+    if (!text || typeof text !== 'string') throw new ImportInputError('Invalid request: text is required');
+    if (text.length > maxTextLength) throw new ImportInputError(`Text too long. Maximum ${maxTextLength} characters allowed.`);
+    return { type: 'text', input: { text, ...(cache ? { cache } : {}) }, callbackUrl };
+  }
+  if (!canAccessStoragePath(uid, storagePath)) {
+    throw new ImportInputError('Access denied to this file', 403);
+  }
+  return { type: 'image', input: { storagePath }, callbackUrl };
+}
+
+// limits: middleware run before a job is accepted (rate limit, token budget)
+export function createImportsRouter({ store, worker, requireAuth, limits = [], maxAttempts, maxTextLength = 15000 }) {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  router.post('/', ...limits, async (req, res) => {
+    try {
+      const job = newImportJob({ uid: req.user.uid, maxAttempts, ...jobFromBody(req.body, req.user.uid, maxTextLength) });
+      await store.create(job);
+      console.log('📦 Queued', job.type, 'import job', job.id, 'for user', req.user.uid);
+      worker.wake();
+      res.status(202).location(`${req.baseUrl}/${job.id}`).json(describeImportJob(job));
+    } catch (error) {
+      if (error instanceof ImportInputError) return res.status(error.status).json({ error: error.message });
+      console.error('❌ Failed to queue import job:', error);
+      res.status(500).json({ error: 'Failed to queue import: ' + error.message });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const job = /^[\w-]{1,128}$/.test(req.params.id) ? await store.get(req.params.id) : null;
+      // Other users' jobs are indistinguishable from missing ones
+      if (!job || job.uid !== req.user.uid) {
+        return res.status(404).json({ error: 'Import not found', code: 'not-found' });
+      }
+      res.json(describeImportJob(job));
+    } catch (error) {
+      console.error('❌ Failed to load import job:', error);
+      res.status(500).json({ error: 'Failed to load import: ' + error.message });
+    }
+  });
+
+  return router;
+}
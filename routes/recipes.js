@@ -0,0 +1,152 @@
+import express from 'express';
+import { normalizeRecipe, validateRecipe, RECIPE_SCHEMA_VERSION } from '../lib/recipe-schema.js';
+import { resolveServings } from '../lib/scaling.js';
+import { RecipeNotFoundError, InvalidCursorError } from '../lib/recipe-store.js';
+
+// /recipes CRUD, scoped to the authenticated user. Bodies are validated with the
+// same schema the parse endpoints emit, so a parse response can be saved as-is.
+
+const EXTRACTION_METHODS = ['json-ld', 'microdata', 'rdfa', 'llm', 'import', 'manual'];
+
+class RecipeInputError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'RecipeInputError';
+    this.details = details;
+  }
+}
+
+// Accepts either a parse response envelope ({ version, recipe, source, ... }) or a bare recipe
+function recipeDocumentFromBody(body, uid) {
+  if (!body || typeof body !== 'object') {
+    throw new RecipeInputError('Invalid request: recipe is required');
+  }
+  const input = body.recipe && typeof body.recipe === 'object' ? body.recipe : body;
+
+  const recipe = normalizeRecipe(input);
+  const { valid, errors } = validateRecipe(recipe);
+  if (!valid) {
+    throw new RecipeInputError('Invalid recipe', errors);
+  }
+
+  const doc = { ...recipe, schemaVersion: RECIPE_SCHEMA_VERSION };
+
+  const servings = input.servings ?? body.servings;
+  if (servings !== undefined && servings !== null) {
+    doc.servings = resolveServings(servings);
+    if (!doc.servings) throw new RecipeInputError('Invalid recipe', ['/servings must be a positive number']);
+  }
+
+  const imagePath = input.imagePath ?? body.imagePath;
+  if (imagePath !== undefined && imagePath !== null) {
+    if (typeof imagePath !== 'string' || !imagePath.startsWith(`recipes/${uid}/`) || imagePath.includes('..')) {
+      throw new RecipeInputError('Invalid recipe', ['/imagePath must be one of your uploaded images']);
+    }
+    doc.imagePath = imagePath;
+  }
+
+  const extractionMethod = body.extractionMethod ?? input.extractionMethod ?? 'manual';
+  doc.extractionMethod = EXTRACTION_METHODS.includes(extractionMethod) ? extractionMethod : 'manual';
+
+  const source = body.source ?? input.source;
+  if (source && typeof source === 'object' && typeof source.type === 'string') {
+    doc.source = { type: source.type };
+    if (typeof source.url === 'string') doc.source.url = source.url;
+  }
+
+  return doc;
+}
+
+function sendError(res, error, action) {
+  if (error instanceof RecipeInputError) {
+    return res.status(400).json({ error: error.message, code: 'invalid-recipe', details: error.details });
+  }
+  if (error instanceof RecipeNotFoundError) {
+    return res.status(404).json({ error: 'Recipe not found', code: 'not-found' });
+  }
+  if (error instanceof InvalidCursorError) {
+    return res.status(400).json({ error: error.message, code: 'invalid-cursor' });
+  }
+  console.error(`❌ Failed to ${action} recipe:`, error);
+  res.status(500).json({ error: `Failed to ${action} recipe: ` + error.message });
+}
+
+// onRemove(uid, recipe) runs after a recipe is deleted, e.g. to delete its
+// images; its failures are logged and do not fail the request
+export function createRecipesRouter({ store, requireAuth, onRemove = async () => {} }) {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // Firestore document ids: anything else cannot exist, so treat it as not found
+  router.param('id', (req, res, next, id) => {
+    if (!/^[\w-]{1,128}$/.test(id)) {
+      return res.status(404).json({ error: 'Recipe not found', code: 'not-found' });
+    }
+    next();
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const doc = recipeDocumentFromBody(req.body, req.user.uid);
+      const recipe = await store.create(req.user.uid, doc);
+      console.log('💾 Saved recipe', recipe.id, 'for user', req.user.uid);
+      res.status(201).json({ version: RECIPE_SCHEMA_VERSION, recipe });
+    } catch (error) {
+      sendError(res, error, 'save');
+    }
+  });
+
+  router.get('/', async (req, res) => {
+    const limit = req.query.limit === undefined ? 20 : Number.parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: 'Invalid request: limit must be a positive integer' });
+    }
+
+    try {
+      const { recipes, nextCursor } = await store.list(req.user.uid, {
+        limit,
+        cursor: typeof req.query.cursor === 'string' ? req.query.cursor : undefined
+      });
+      res.json({ version: RECIPE_SCHEMA_VERSION, recipes, nextCursor });
+    } catch (error) {
+      sendError(res, error, 'list');
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const recipe = await store.get(req.user.uid, req.params.id);
+      res.json({ version: RECIPE_SCHEMA_VERSION, recipe });
+    } catch (error) {
+      sendError(res, error, 'load');
+    }
+  });
+
+  router.put('/:id', async (req, res) => {
+    try {
+      const doc = recipeDocumentFromBody(req.body, req.user.uid);
+      const recipe = await store.update(req.user.uid, req.params.id, doc);
+      console.log('💾 Updated recipe', recipe.id, 'for user', req.user.uid);
+      res.json({ version: RECIPE_SCHEMA_VERSION, recipe });
+    } catch (error) {
+      sendError(res, error, 'update');
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const recipe = await store.remove(req.user.uid, req.params.id);
+      console.log('🗑️ Deleted recipe', req.params.id, 'for user', req.user.uid);
+      try {
+        await onRemove(req.user.uid, recipe);
+      } catch (error) {
+        console.log('⚠️ Cleanup after deleting recipe', req.params.id, 'failed:', error.message);
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, 'delete');
+    }
+  });
+
+  return router;
+}
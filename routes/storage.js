@@ -0,0 +1,87 @@
+import express from 'express';
+import { listUserUploads, referencedUploads, deleteRecipeImages } from '../lib/storage-lifecycle.js';
+import { RecipeNotFoundError } from '../lib/recipe-store.js';
+
+// /storage: the caller's uploaded images and their cleanup (see
+// lib/storage-lifecycle.js).
+//   GET /storage/uploads                      uploads with the recipes using them
+//   DELETE /storage/recipes/:recipeId/images  images uploaded for one recipe
+//   POST /storage/sweep                       admin: orphan cleanup, dry run by default
+
+const ID_PATTERN = /^[\w-]{1,128}$/;
+
+// urlFor(req, storagePath) -> signed image URL
+export function createStorageRouter({ getBucket, recipeStore, sweeper, requireAuth, requireAdmin, urlFor }) {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  router.get('/uploads', async (req, res) => {
+    const uid = req.user.uid;
+    try {
+      const [uploads, references] = await Promise.all([
+        listUserUploads(getBucket(), uid),
+        referencedUploads(recipeStore, uid)
+      ]);
+      res.json({
+        uploads: uploads
+          .sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)))
+          .map(upload => ({
+            uploadPath: upload.uploadPath,
+            downloadURL: urlFor(req, upload.uploadPath),
+            recipeId: upload.recipeId,
+            usedBy: references.get(upload.key) || [],
+            files: upload.files.map(({ path, size, contentType }) => ({ path, size, contentType })),
+            size: upload.size,
+            uploadedAt: upload.uploadedAt
+          }))
+      });
+    } catch (error) {
+      console.error('❌ Failed to list uploads:', error);
+      res.status(500).json({ error: 'Failed to list uploads: ' + error.message });
+    }
+  });
+
+  // Also covers recipes that were never saved. Images another saved recipe
+  // still uses are kept and listed in kept.
+  router.delete('/recipes/:recipeId/images', async (req, res) => {
+    const uid = req.user.uid;
+    const { recipeId } = req.params;
+    if (!ID_PATTERN.test(recipeId)) {
+      return res.status(400).json({ error: 'Invalid recipeId' });
+    }
+
+    try {
+      let saved = null;
+      try {
+        saved = await recipeStore.get(uid, recipeId);
+      } catch (error) {
+        if (!(error instanceof RecipeNotFoundError)) throw error;
+      }
+      const result = await deleteRecipeImages({ bucket: getBucket(), recipeStore, uid, recipeId, imagePath: saved?.imagePath });
+      console.log('🗑️ Deleted', result.deleted.length, 'image file(s) of recipe', recipeId, 'for user', uid);
+      res.json(result);
+    } catch (error) {
+      console.error('❌ Failed to delete recipe images:', error);
+      res.status(500).json({ error: 'Failed to delete images: ' + error.message });
+    }
+  });
+
+  router.post('/sweep', requireAdmin, async (req, res) => {
+    const { dryRun = true, minAgeDays } = req.body || {};
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid request: dryRun must be a boolean' });
+    }
+    if (minAgeDays !== undefined && !(Number.isFinite(minAgeDays) && minAgeDays >= 1)) {
+      return res.status(400).json({ error: 'Invalid request: minAgeDays must be at least 1' });
+    }
+
+    try {
+      res.json(await sweeper.sweep({ dryRun, ...(minAgeDays !== undefined ? { minAgeDays } : {}) }));
+    } catch (error) {
+      console.error('❌ Storage sweep failed:', error);
+      res.status(500).json({ error: 'Storage sweep failed: ' + error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,204 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { newUploadSession, chunkPath } from '../lib/upload-sessions.js';
+import { imageContentType, ImageProcessingError } from '../lib/image-processing.js';
+
+// /uploads: resumable image uploads for large photos on flaky connections.
+//   POST /uploads             { fileName, size, recipeId? } -> 201 { uploadId, offset, ... }
+//   PUT /uploads/:id          raw bytes, Upload-Offset: <offset> -> { offset }
+//   GET|HEAD /uploads/:id     current offset, to resume after a dropped request
+//   POST /uploads/:id/complete { checksum: sha256 hex } -> same body as /upload-image
+//   DELETE /uploads/:id       abandons the upload
+// A PUT must start exactly where the previous one ended; anything else gets
+// 409 with the offset to continue from.
+
+const ID_PATTERN = /^[\w-]{1,128}$/;
+
+class UploadError extends Error {
+  constructor(message, status = 400, code) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function describeSession(session, limits) {
+  return {
+    uploadId: session.id,
+    offset: session.offset,
+    size: session.size,
+    chunkSize: limits.maxChunkBytes,
+    expiresAt: session.expiresAt
+  };
+}
+
+function sendError(res, error, what) {
+  if (error instanceof UploadError || error instanceof ImageProcessingError) {
+    return res.status(error.status).json({ error: error.message, ...(error.code ? { code: error.code } : {}) });
+  }
+  console.error(`❌ Failed to ${what}:`, error);
+  res.status(500).json({ error: `Failed to ${what}: ` + error.message });
+}
+
+// saveImage(req, { uid, data, fileName, recipeId }) stores the finished file
+// like /upload-image does; quota tracks each user's daily upload volume.
+export function createUploadsRouter({ store, getBucket, requireAuth, saveImage, quota, limits, now = Date.now }) {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // Other users' and expired sessions are indistinguishable from missing ones
+  async function loadSession(req) {
+    const session = ID_PATTERN.test(req.params.id) ? await store.get(req.params.id) : null;
+    if (!session || session.uid !== req.user.uid || new Date(session.expiresAt).getTime() <= now()) {
+      throw new UploadError('Upload not found', 404, 'not-found');
+    }
+    return session;
+  }
+
+  async function discard(session) {
+    await Promise.all(session.chunks.map(path => getBucket().file(path).delete().catch(() => {})));
+    await store.remove(session.id);
+  }
+
+  router.post('/', async (req, res) => {
+    const { fileName, size, recipeId } = req.body || {};
+    const uid = req.user.uid;
+
+    try {
+      if (!fileName || typeof fileName !== 'string') {
+        throw new UploadError('Invalid request: fileName is required');
+      }
+      if (!Number.isInteger(size) || size <= 0) {
+        throw new UploadError('Invalid request: size must be a positive number of bytes');
+      }
+      if (recipeId !== undefined && !ID_PATTERN.test(String(recipeId))) {
+        throw new UploadError('Invalid recipeId');
+      }
+      if (size > limits.maxBytes) {
+        throw new UploadError(`File too large. Maximum ${limits.maxBytes} bytes allowed.`, 413, 'file-too-large');
+      }
+      if (!(await quota.allows(uid, size))) {
+        throw new UploadError('Daily upload limit reached', 429, 'upload-quota-exceeded');
+      }
+      if (await store.countOpen(uid, now()) >= limits.maxOpenPerUser) {
+        throw new UploadError(`Too many unfinished uploads. Complete or cancel one of them first.`, 429, 'too-many-uploads');
+      }
+
+      const session = await store.create(newUploadSession({
+        uid,
+        fileName,
+        size,
+        recipeId: recipeId === undefined ? null : String(recipeId),
+        ttlMs: limits.sessionTtlMs,
+        now: now()
+      }));
+      console.log('📤 Started upload', session.id, 'of', size, 'bytes for user', uid);
+      res.status(201).location(`${req.baseUrl}/${session.id}`).json(describeSession(session, limits));
+    } catch (error) {
+      sendError(res, error, 'start upload');
+    }
+  });
+
+  router.put('/:id', express.raw({ type: () => true, limit: limits.maxChunkBytes }), async (req, res) => {
+    try {
+      const session = await loadSession(req);
+      const offset = req.get('Upload-Offset');
+      const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+      if (!/^\d+$/.test(offset || '')) {
+        throw new UploadError('Upload-Offset header is required');
+      }
+      if (Number(offset) !== session.offset) {
+        res.set('Upload-Offset', String(session.offset));
+        throw new UploadError(`Upload is at offset ${session.offset}`, 409, 'offset-mismatch');
+      }
+      if (!chunk.length) {
+        throw new UploadError('Chunk is empty');
+      }
+      if (session.offset + chunk.length > session.size) {
+        throw new UploadError(`Chunk runs past the declared size of ${session.size} bytes`, 413, 'file-too-large');
+      }
+      // Catch the wrong kind of file before the whole of it is sent
+      if (session.offset === 0 && !imageContentType(chunk)) {
+        throw new UploadError('Not a supported image: expected JPEG, PNG, GIF, WebP or AVIF', 415, 'unsupported-image-type');
+      }
+
+      const path = chunkPath(session, session.offset);
+      await getBucket().file(path).save(chunk, { metadata: { contentType: 'application/octet-stream' } });
+
+      const updated = await store.append(session.id, { from: session.offset, to: session.offset + chunk.length, chunk: path, now: now() });
+      if (!updated) {
+        // A concurrent PUT for the same offset won
+        await getBucket().file(path).delete().catch(() => {});
+        const current = await store.get(session.id);
+        res.set('Upload-Offset', String(current ? current.offset : 0));
+        throw new UploadError('Upload moved on while this chunk was sent', 409, 'offset-mismatch');
+      }
+
+      res.set('Upload-Offset', String(updated.offset)).json(describeSession(updated, limits));
+    } catch (error) {
+      sendError(res, error, 'store chunk');
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const session = await loadSession(req);
+      res.set('Upload-Offset', String(session.offset)).json(describeSession(session, limits));
+    } catch (error) {
+      sendError(res, error, 'read upload');
+    }
+  });
+
+  router.post('/:id/complete', async (req, res) => {
+    const { checksum } = req.body || {};
+
+    try {
+      const session = await loadSession(req);
+      if (typeof checksum !== 'string' || !/^[0-9a-f]{64}$/i.test(checksum)) {
+        throw new UploadError('Invalid request: checksum must be the SHA-256 of the file as hex');
+      }
+      if (session.offset !== session.size) {
+        res.set('Upload-Offset', String(session.offset));
+        throw new UploadError(`Upload is incomplete: ${session.offset} of ${session.size} bytes received`, 409, 'upload-incomplete');
+      }
+
+      const parts = await Promise.all(session.chunks.map(async path => (await getBucket().file(path).download())[0]));
+      const data = Buffer.concat(parts);
+      if (crypto.createHash('sha256').update(data).digest('hex') !== checksum.toLowerCase()) {
+        // The stored bytes are not what the client meant to send; start over
+        await discard(session);
+        throw new UploadError('Checksum does not match the uploaded bytes', 422, 'checksum-mismatch');
+      }
+
+      const saved = await saveImage(req, { uid: session.uid, data, fileName: session.fileName, recipeId: session.recipeId || undefined });
+      await discard(session);
+      await quota.record(session.uid, data.length);
+
+      console.log('✅ Finished upload', session.id, '->', saved.uploadPath);
+      res.json({ success: true, ...saved });
+    } catch (error) {
+      sendError(res, error, 'complete upload');
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await discard(await loadSession(req));
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, 'cancel upload');
+    }
+  });
+
+  // Oversized chunks are rejected by express.raw before the handler runs
+  router.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Chunk too large. Maximum ${limits.maxChunkBytes} bytes per request.`, code: 'chunk-too-large' });
+    }
+    next(error);
+  });
+
+  return router;
+}
@@ -0,0 +1,63 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, createTestAuth, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+describe('authentication', () => {
+  let server;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  it('keeps the health check public', async () => {
+    const res = await server.request('/', { token: null });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.status, 'OK');
+  });
+
+  for (const route of ['/parse-recipe', '/parse-url', '/parse-image', '/image-proxy', '/upload-image']) {
+    it(`rejects ${route} without a bearer token`, async () => {
+      const res = await server.request(route, { method: 'POST', token: null, body: {} });
+      assert.equal(res.status, 401);
+      assert.equal(res.json.code, 'missing-token');
+    });
+  }
+
+  it('rejects the old shared API key', async () => {
+    const res = await server.request('/parse-recipe', {
+      method: 'POST',
+      token: null,
+      headers: { 'X-API-Key': 'chef-choice-mobile-app-2025' },
+      body: { text: 'Soup' }
+    });
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects tokens signed with a different key', async () => {
+    const otherAuth = createTestAuth();
+    const res = await server.request('/recipes', { token: otherAuth.tokenFor('user-1') });
+    assert.equal(res.status, 401);
+    assert.equal(res.json.code, 'invalid-token');
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = server.auth.tokenFor('user-1', { exp: Math.floor(Date.now() / 1000) - 60 });
+    const res = await server.request('/recipes', { token });
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects tokens for another Firebase project', async () => {
+    const token = server.auth.tokenFor('user-1', { aud: 'someone-else', iss: 'https://securetoken.google.com/someone-else' });
+    const res = await server.request('/recipes', { token });
+    assert.equal(res.status, 401);
+  });
+
+  it('accepts a valid token', async () => {
+    const res = await server.request('/recipes', { uid: 'user-42' });
+    assert.equal(res.status, 200);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBatch } from '../lib/batch.js';
+import { startApp, startFixtureServer, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const REPLY = { title: 'Soup', ingredients: ['1 onion'], steps: ['Cook.'] };
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('runBatch', () => {
+  it('keeps at most `concurrency` items in flight and results in order', async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await runBatch([30, 10, 20, 5, 15], {
+      concurrency: 2,
+      run: async ms => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await delay(ms);
+        active -= 1;
+        return ms * 2;
+      }
+    });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(results.map(result => result.value), [60, 20, 40, 10, 30]);
+  });
+
+  it('isolates failures', async () => {
+    const results = await runBatch([1, 2, 3], {
+      run: async n => {
+        if (n === 2) throw new Error('boom');
+        return n;
+      }
+    });
+
+    assert.deepEqual(results[0], { ok: true, value: 1 });
+    assert.equal(results[1].ok, false);
+    assert.equal(results[1].error.message, 'boom');
+    assert.deepEqual(results[2], { ok: true, value: 3 });
+  });
+
+  it('runs one item per host at a time with a pause in between, other hosts meanwhile', async () => {
+    const log = [];
+    const items = ['a.test', 'a.test', 'b.test', 'a.test', 'b.test'];
+    const started = Date.now();
+
+    await runBatch(items, {
+      concurrency: 4,
+      hostIntervalMs: 50,
+      hostOf: host => host,
+      run: async (host, index) => {
+        log.push({ host, index, start: Date.now() - started });
+        await delay(10);
+        log.push({ host, index, end: Date.now() - started });
+      }
+    });
+
+    const starts = host => log.filter(entry => entry.host === host && entry.start !== undefined);
+    const ends = host => log.filter(entry => entry.host === host && entry.end !== undefined);
+    for (const host of ['a.test', 'b.test']) {
+      const hostStarts = starts(host);
+      const hostEnds = ends(host);
+      for (let i = 1; i < hostStarts.length; i++) {
+        assert.ok(hostStarts[i].start >= hostEnds[i - 1].end + 45, `${host} item ${i} started too early`);
+      }
+    }
+    // b.test does not wait behind a.test
+    assert.ok(starts('b.test')[0].start < ends('a.test')[0].end);
+  });
+});
+
+describe('POST /parse-batch', () => {
+  let pages;
+  let server;
+
+  before(async () => {
+    pages = await startFixtureServer();
+  });
+
+  after(() => pages.close());
+  afterEach(() => server?.close());
+
+  it('parses URLs and texts and reports failures per item', async () => {
+    server = await startApp({ replies: [REPLY], overrides: { batch: { hostIntervalMs: 0 } } });
+    const res = await server.request('/parse-batch', {
+      method: 'POST',
+      body: {
+        items: [
+          { url: `${pages.baseUrl}/json-ld-recipe.html` },
+          { text: 'Soup\n1 onion\nCook.' },
+          { url: 'http://10.0.0.1/recipe' },
+          { url: `${pages.baseUrl}/missing.html` }
+        ]
+      }
+    });
+
+    assert.equal(res.status, 200);
+    const [jsonLd, text, blocked, missing] = res.json.results;
+    assert.equal(jsonLd.ok, true);
+    assert.equal(jsonLd.result.extractionMethod, 'json-ld');
+    assert.equal(text.ok, true);
+    assert.equal(text.result.recipe.title, 'Soup');
+    assert.deepEqual(blocked, { index: 2, ok: false, error: blocked.error });
+    assert.equal(blocked.error.status, 403);
+    assert.equal(blocked.error.code, 'blocked-address');
+    assert.equal(missing.ok, false);
+    assert.equal(missing.error.code, 'upstream-error');
+    assert.deepEqual(res.json.summary, { total: 4, succeeded: 2, failed: 2 });
+  });
+
+  it('parses repeated items once', async () => {
+    server = await startApp({ replies: [REPLY] });
+    const url = `${pages.baseUrl}/json-ld-recipe.html`;
+    const res = await server.request('/parse-batch', {
+      method: 'POST',
+      body: { items: [{ text: 'Soup' }, { text: '  Soup ' }, { url }, { url: `${url}?utm_source=x` }] }
+    });
+
+    assert.equal(res.json.summary.succeeded, 4);
+    assert.equal(server.openai.requests.length, 1);
+    assert.equal(res.json.results[3].result.source.url, `${url}?utm_source=x`);
+  });
+
+  it('fetches one page per site at a time', async () => {
+    let active = 0;
+    let peak = 0;
+    const site = await startFixtureServer({
+      '/slow': async (req, res) => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await delay(20);
+        active -= 1;
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(`<script type="application/ld+json">${JSON.stringify({
+          '@type': 'Recipe', name: 'Soup', recipeIngredient: ['1 onion'], recipeInstructions: ['Cook.']
+        })}</script>`);
+      }
+    });
+    server = await startApp({ overrides: { batch: { concurrency: 4, hostIntervalMs: 10 } } });
+
+    const items = [1, 2, 3, 4].map(n => ({ url: `${site.baseUrl}/slow?page=${n}` }));
+    const res = await server.request('/parse-batch', { method: 'POST', body: { items } });
+    await site.close();
+
+    assert.equal(res.json.summary.succeeded, 4);
+    assert.equal(peak, 1);
+  });
+
+  it('stops charging items once the token budget is used up', async () => {
+    // The stub reports 150 tokens per completion
+    server = await startApp({
+      replies: [REPLY, REPLY, REPLY],
+      overrides: { rateLimits: { dailyTokens: 300 }, batch: { concurrency: 1 } }
+    });
+    const res = await server.request('/parse-batch', {
+      method: 'POST',
+      body: { items: [{ text: 'one' }, { text: 'two' }, { text: 'three' }] }
+    });
+
+    assert.deepEqual(res.json.results.map(result => result.ok), [true, true, false]);
+    assert.equal(res.json.results[2].error.status, 429);
+    assert.equal(res.json.results[2].error.code, 'token-budget-exceeded');
+  });
+
+  it('validates the request', async () => {
+    server = await startApp();
+    const post = body => server.request('/parse-batch', { method: 'POST', body });
+
+    assert.equal((await post({})).status, 400);
+    assert.equal((await post({ items: [] })).status, 400);
+    assert.equal((await post({ items: Array(51).fill({ text: 'Soup' }) })).status, 400);
+    assert.match((await post({ items: [{ text: 'Soup' }, { url: 'a', text: 'b' }] })).json.error, /item 1/);
+    assert.equal((await post({ items: ['https://example.com'] })).status, 400);
+    assert.equal((await post({ items: [{ text: 'x'.repeat(15001) }] })).status, 400);
+    assert.equal((await post({ items: [{ text: 'Soup' }], cache: 'never' })).status, 400);
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import * as cheerio from 'cheerio';
+import { exportRecipes } from '../lib/export-recipe.js';
+import { importRecipeFile } from '../lib/import-file.js';
+import { normalizeRecipe } from '../lib/recipe-schema.js';
+import { readZip } from '../lib/zip.js';
+import { startApp, createTestImage, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+const RECIPE = normalizeRecipe({
+  title: 'Crème Brûlée <Classic>',
+  ingredientsByProcessingStep: [
+    { name: 'Custard', items: ['500 ml cream', '5 egg yolks', '100 g sugar'] },
+    { name: 'Topping', items: ['2 tbsp sugar'] }
+  ],
+  instructions: [
+    { section: 'Custard', text: 'Heat the cream and whisk into the yolks and sugar.' },
+    { section: 'Custard', text: 'Bake at 150°C for 40 minutes.' },
+    { section: 'Topping', text: 'Sprinkle with sugar and caramelise.' }
+  ],
+  tags: ['dessert', 'french']
+});
+
+const ENTRY = { recipe: RECIPE, servings: 6, sourceUrl: 'https://example.com/creme-brulee', imageUrl: null, photo: null };
+
+describe('exportRecipes', () => {
+  it('renders schema.org JSON-LD with sections', () => {
+    const { body, contentType, fileName } = exportRecipes([ENTRY], 'json-ld');
+    const doc = JSON.parse(body);
+
+    assert.match(contentType, /^application\/ld\+json/);
+    assert.equal(fileName, 'creme-brulee-classic.json');
+    assert.equal(doc['@type'], 'Recipe');
+    assert.equal(doc.name, 'Crème Brûlée <Classic>');
+    assert.deepEqual(doc.recipeIngredient, ['500 ml cream', '5 egg yolks', '100 g sugar', '2 tbsp sugar']);
+    assert.deepEqual(doc.recipeInstructions.map(section => [section['@type'], section.name, section.itemListElement.length]), [
+      ['HowToSection', 'Custard', 2],
+      ['HowToSection', 'Topping', 1]
+    ]);
+    assert.equal(doc.recipeYield, '6');
+    assert.equal(doc.keywords, 'dessert, french');
+    assert.equal(doc.url, 'https://example.com/creme-brulee');
+  });
+
+  it('uses plain steps without sections and an array for several recipes', () => {
+    const simple = normalizeRecipe({ title: 'Toast', ingredients: ['1 slice bread'], steps: ['Toast it.'] });
+    const docs = JSON.parse(exportRecipes([{ recipe: simple }, ENTRY], 'json-ld').body);
+
+    assert.equal(docs.length, 2);
+    assert.deepEqual(docs[0].recipeInstructions, [{ '@type': 'HowToStep', text: 'Toast it.' }]);
+    assert.equal(exportRecipes([{ recipe: simple }, ENTRY], 'json-ld').fileName, 'recipes.json');
+  });
+
+  it('renders Markdown with escaped text and continuous step numbers', () => {
+    const { body } = exportRecipes([ENTRY], 'markdown');
+
+    assert.match(body, /^# Crème Brûlée \\<Classic\\>\n/);
+    assert.match(body, /\*\*Servings:\*\* 6/);
+    assert.match(body, /### Custard\n\n- 500 ml cream\n- 5 egg yolks\n- 100 g sugar\n/);
+    assert.match(body, /2\. Bake at 150°C for 40 minutes\.\n\n### Topping\n\n3\. Sprinkle/);
+  });
+
+  it('encodes URLs so they cannot break out of Markdown links', () => {
+    const { body } = exportRecipes([{
+      ...ENTRY,
+      sourceUrl: 'https://example.com/a><img src=x onerror=alert(1)>\n# Hacked',
+      imageUrl: 'https://example.com/photo.png)<script>'
+    }], 'markdown');
+
+    assert.match(body, /\*\*Source:\*\* <https:\/\/example\.com\/a%3E%3Cimg%20src=x%20onerror=alert%281%29%3E#%20Hacked>/);
+    assert.match(body, /!\[.*\]\(https:\/\/example\.com\/photo\.png%29%3Cscript%3E\)\n/);
+    assert.doesNotMatch(body, /<img|<script|^# Hacked/m);
+  });
+
+  it('renders a printable HTML page with embedded JSON-LD', () => {
+    const { body, contentType } = exportRecipes([{ ...ENTRY, imageUrl: 'https://example.com/photo.png' }], 'html');
+    const $ = cheerio.load(body);
+
+    assert.match(contentType, /^text\/html/);
+    assert.equal($('h1').text(), 'Crème Brûlée <Classic>');
+    assert.doesNotMatch(body, /<Classic>/);
+    assert.match($('style').text(), /@media print/);
+    assert.deepEqual($('ol.instructions').toArray().map(el => $(el).attr('start')), ['1', '3']);
+    assert.equal($('img.photo').attr('src'), 'https://example.com/photo.png');
+    assert.equal(JSON.parse($('script[type="application/ld+json"]').text()).name, 'Crème Brûlée <Classic>');
+  });
+
+  it('renders plain text', () => {
+    const { body } = exportRecipes([ENTRY], 'text');
+
+    assert.match(body, /^Crème Brûlée <Classic>\n=+\n\nServings: 6\nSource: https:\/\/example.com\/creme-brulee\n/);
+    assert.match(body, /Topping:\n  2 tbsp sugar\n/);
+    assert.match(body, /  3\. Sprinkle with sugar and caramelise\./);
+  });
+
+  it('writes a Paprika file that imports back into the same recipe', () => {
+    const { body, fileName } = exportRecipes([{ ...ENTRY, photo: { data: PNG_BYTES, contentType: 'image/png' } }], 'paprika');
+    assert.equal(fileName, 'creme-brulee-classic.paprikarecipes');
+
+    const [entry] = readZip(body);
+    const doc = JSON.parse(zlib.gunzipSync(entry.data));
+    assert.equal(doc.name, RECIPE.title);
+    assert.equal(doc.servings, '6');
+    assert.equal(doc.photo_data, PNG_BYTES.toString('base64'));
+    assert.match(doc.hash, /^[0-9A-F]{64}$/);
+
+    const { recipes: [imported] } = importRecipeFile(body);
+    assert.deepEqual(imported.errors, []);
+    assert.deepEqual(imported.recipe.ingredientsByProcessingStep, RECIPE.ingredientsByProcessingStep);
+    assert.deepEqual(imported.recipe.instructions.map(step => [step.section, step.text]), RECIPE.instructions.map(step => [step.section, step.text]));
+    assert.deepEqual(imported.recipe.tags, RECIPE.tags);
+    assert.equal(imported.images[0].contentType, 'image/png');
+  });
+});
+
+describe('POST /export-recipe', () => {
+  let server;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  it('exports a recipe from the request body as a download', async () => {
+    const res = await server.request('/export-recipe', {
+      method: 'POST',
+      body: { format: 'markdown', recipe: RECIPE, servings: 4 }
+    });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/markdown/);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="creme-brulee-classic\.md"/);
+    assert.match(res.text, /\*\*Servings:\*\* 4/);
+  });
+
+  it('exports saved recipes with their photo', async () => {
+    const upload = await server.request('/upload-image', {
+      method: 'POST',
+      body: { imageData: (await createTestImage()).toString('base64'), fileName: 'brulee.jpg' }
+    });
+    const saved = await server.request('/recipes', {
+      method: 'POST',
+      body: { recipe: RECIPE, servings: 6, imagePath: upload.json.uploadPath, source: { type: 'url', url: ENTRY.sourceUrl } }
+    });
+    const other = await server.request('/recipes', { method: 'POST', body: { recipe: { ...RECIPE, title: 'Second' } } });
+
+    const response = await fetch(`${server.baseUrl}/export-recipe`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${server.auth.tokenFor('user-1')}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ format: 'paprika', recipeIds: [saved.json.recipe.id, other.json.recipe.id] })
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+
+    const { recipes } = importRecipeFile(Buffer.from(await response.arrayBuffer()));
+    assert.deepEqual(recipes.map(entry => entry.recipe.title), [RECIPE.title, 'Second']);
+    assert.equal(recipes[0].sourceUrl, ENTRY.sourceUrl);
+    assert.deepEqual(recipes[0].images[0].data, server.bucket.files.get(upload.json.uploadPath).data);
+
+    const html = await server.request('/export-recipe', { method: 'POST', body: { format: 'html', recipeId: saved.json.recipe.id } });
+    assert.match(html.text, new RegExp(`src="${server.baseUrl}/images/${upload.json.uploadPath}\\?expires=\\d+&amp;sig=[\\w-]+"`));
+  });
+
+  it("answers 404 for missing and other users' recipes", async () => {
+    const saved = await server.request('/recipes', { method: 'POST', uid: 'user-2', body: { recipe: RECIPE } });
+    for (const recipeId of [saved.json.recipe.id, 'missing', '../x']) {
+      const res = await server.request('/export-recipe', { method: 'POST', body: { format: 'text', recipeId } });
+      assert.equal(res.status, 404);
+    }
+  });
+
+  it('validates the request', async () => {
+    const post = body => server.request('/export-recipe', { method: 'POST', body });
+
+    assert.equal((await post({ recipe: RECIPE })).status, 400);
+    assert.equal((await post({ format: 'pdf', recipe: RECIPE })).status, 400);
+    assert.equal((await post({ format: 'text' })).status, 400);
+    assert.equal((await post({ format: 'text', recipe: RECIPE, recipeId: 'a' })).status, 400);
+    assert.equal((await post({ format: 'text', recipeIds: [] })).status, 400);
+    assert.equal((await post({ format: 'text', recipeIds: Array(101).fill('a') })).status, 400);
+    const invalid = await post({ format: 'text', recipe: { title: 'Nothing' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.json.code, 'invalid-recipe');
+  });
+});
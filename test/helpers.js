@@ -0,0 +1,263 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import net from 'node:net';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { before, after, mock } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+import { createApp } from '../app.js';
+import { createAuthMiddleware, createLocalTokenVerifier } from '../lib/auth.js';
+import { createLlmProvider } from '../lib/llm.js';
+import { createMemoryRecipeStore } from '../lib/recipe-store.js';
+import { createSafeFetcher } from '../lib/safe-fetch.js';
+import { createMemoryParseCache } from '../lib/parse-cache.js';
+import { createMemoryRateLimitStore } from '../lib/rate-limit.js';
+import { createMemoryImportJobStore } from '../lib/import-jobs.js';
+import { createMemoryUploadSessionStore } from '../lib/upload-sessions.js';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+export const PROJECT_ID = 'chef-choice-test';
+
+// Keeps route logging out of the calling test file's output; console.log is
+// restored once the file's tests finish, and a test can still watch it with
+// t.mock.method(console, 'log')
+export function muteConsoleLog() {
+  let muted;
+  before(() => {
+    muted = mock.method(console, 'log', () => {});
+  });
+  after(() => muted.mock.restore());
+}
+
+// ID tokens signed with a throwaway RSA key and verified the way firebase-admin would
+export function createTestAuth() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const verifyIdToken = createLocalTokenVerifier(publicKey.export({ type: 'spki', format: 'pem' }), PROJECT_ID);
+
+  function tokenFor(uid, claims = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const header = encode({ alg: 'RS256', typ: 'JWT' });
+    const payload = encode({
+      iss: `https://securetoken.google.com/${PROJECT_ID}`,
+      aud: PROJECT_ID,
+      sub: uid,
+      iat: now,
+      exp: now + 3600,
+      ...claims
+    });
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  return { requireAuth: createAuthMiddleware({ verifyIdToken }), tokenFor };
+}
+
+// Streamed replies arrive in 8-character chunks, usage in a final chunk
+async function* streamReply(content, usage) {
+  for (let i = 0; i < content.length; i += 8) {
+    yield { choices: [{ delta: { content: content.slice(i, i + 8) } }] };
+  }
+  yield { choices: [], usage };
+}
+
+// Stand-in for the OpenAI SDK client. Replies are consumed in order; each is a
+// string, an object (sent as JSON) or a function of the request.
+export function createStubOpenAI(replies = []) {
+  const queue = [...replies];
+  const requests = [];
+
+  const client = {
+    requests,
+    chat: {
+      completions: {
+        async create(request) {
+          requests.push(request);
+          if (!queue.length) throw new Error('Stub OpenAI client has no reply queued');
+          let reply = queue.shift();
+          if (typeof reply === 'function') reply = reply(request);
+          if (reply instanceof Error) throw reply;
+          const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+          const usage = { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 };
+          if (request.stream) return streamReply(content, usage);
+          return { choices: [{ message: { content } }], usage };
+        }
+      }
+    }
+  };
+
+  return { client, requests, llm: createLlmProvider('openai', { client, model: 'gpt-4o-mini' }) };
+}
+
+// Minimal in-memory Cloud Storage bucket covering the calls the routes make
+export function createMemoryBucket(name = `${PROJECT_ID}.appspot.com`) {
+  const files = new Map();
+
+  const describe = filePath => {
+    const { data, metadata, md5Hash, updated } = files.get(filePath);
+    return { name: filePath, size: String(data.length), md5Hash, updated, timeCreated: updated, ...metadata };
+  };
+
+  function file(filePath) {
+    return {
+      name: filePath,
+      async save(data, { metadata = {} } = {}) {
+        const buffer = Buffer.from(data);
+        files.set(filePath, {
+          data: buffer,
+          metadata,
+          public: false,
+          md5Hash: crypto.createHash('md5').update(buffer).digest('base64'),
+          updated: new Date().toISOString()
+        });
+      },
+      async exists() {
+        return [files.has(filePath)];
+      },
+      async download() {
+        if (!files.has(filePath)) throw Object.assign(new Error('No such object'), { code: 404 });
+        return [files.get(filePath).data];
+      },
+      async getMetadata() {
+        if (!files.has(filePath)) throw Object.assign(new Error('No such object'), { code: 404 });
+        return [describe(filePath)];
+      },
+      createReadStream({ start = 0, end } = {}) {
+        if (!files.has(filePath)) throw Object.assign(new Error('No such object'), { code: 404 });
+        const { data } = files.get(filePath);
+        return Readable.from([data.subarray(start, end === undefined ? data.length : end + 1)]);
+      },
+      async makePublic() {
+        files.get(filePath).public = true;
+      },
+      async delete() {
+        if (!files.has(filePath)) throw Object.assign(new Error('No such object'), { code: 404 });
+        files.delete(filePath);
+      }
+    };
+  }
+
+  return {
+    name,
+    files,
+    file,
+    async exists() {
+      return [true];
+    },
+    // Like the real bucket, listed files carry their metadata
+    async getFiles({ prefix = '' } = {}) {
+      const names = [...files.keys()].filter(filePath => filePath.startsWith(prefix)).sort();
+      return [names.map(filePath => ({ ...file(filePath), metadata: describe(filePath) }))];
+    }
+  };
+}
+
+// A real encoded image for the upload pipeline. The EXIF block carries a
+// camera make and GPS position, which processing must strip.
+export function createTestImage({ width = 64, height = 48, format = 'jpeg', orientation = 1, alpha = false } = {}) {
+  return sharp({ create: { width, height, channels: alpha ? 4 : 3, background: { r: 200, g: 60, b: 30, alpha: alpha ? 0.5 : 1 } } })
+    .withExif({ IFD0: { Make: 'TestPhone' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } })
+    .withMetadata({ orientation })
+    .toFormat(format)
+    .toBuffer();
+}
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+// The fixture server listens on 127.0.0.1, so tests fetch with a block list
+// that lets exactly that address through and still refuses the rest of
+// loopback, private ranges and metadata addresses
+export function createTestFetcher(options = {}) {
+  const blockList = new net.BlockList();
+  blockList.addRange('127.0.0.2', '127.255.255.255', 'ipv4');
+  blockList.addSubnet('10.0.0.0', 8, 'ipv4');
+  blockList.addSubnet('169.254.0.0', 16, 'ipv4');
+  blockList.addSubnet('192.168.0.0', 16, 'ipv4');
+  blockList.addAddress('::1', 'ipv6');
+  return createSafeFetcher({ blockList, ...options });
+}
+
+// Serves test/fixtures/pages plus any extra handlers keyed by path
+export async function startFixtureServer(handlers = {}) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://fixtures');
+    if (handlers[pathname]) return handlers[pathname](req, res);
+
+    const file = path.join(FIXTURES_DIR, 'pages', path.basename(pathname));
+    if (!fs.existsSync(file)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  const baseUrl = await listen(server);
+  return { baseUrl, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Starts the app on an ephemeral port with in-memory dependencies unless overridden
+export async function startApp(deps = {}) {
+  const auth = deps.auth || createTestAuth();
+  const stub = deps.llm ? null : createStubOpenAI(deps.replies);
+  const bucket = deps.bucket || createMemoryBucket();
+  const recipeStore = deps.recipeStore || createMemoryRecipeStore();
+
+  const app = createApp({
+    llm: deps.llm || stub.llm,
+    requireAuth: auth.requireAuth,
+    recipeStore,
+    bucket,
+    fetchPage: createTestFetcher(),
+    parseCache: createMemoryParseCache(),
+    rateLimitStore: createMemoryRateLimitStore(),
+    importJobStore: createMemoryImportJobStore(),
+    uploadSessionStore: createMemoryUploadSessionStore(),
+    importWorker: { pollMs: 20, retryDelay: () => 10 },
+    ...deps.overrides
+  });
+  app.locals.importWorker.start();
+
+  const server = http.createServer(app);
+  const baseUrl = await listen(server);
+
+  async function request(route, { method = 'GET', uid = 'user-1', token, body, headers = {} } = {}) {
+    const authHeader = token === null ? {} : { Authorization: `Bearer ${token || auth.tokenFor(uid)}` };
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        ...authHeader,
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch (e) {
+      json = null;
+    }
+    return { status: response.status, headers: response.headers, json, text };
+  }
+
+  return {
+    baseUrl,
+    auth,
+    bucket,
+    recipeStore,
+    openai: stub?.client,
+    request,
+    close: () => {
+      app.locals.importWorker.stop();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,157 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createImageSigner } from '../lib/image-urls.js';
+import { startApp, createTestImage, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const SECRET = 'test-image-secret';
+
+describe('createImageSigner', () => {
+  it('signs a path until the rounded expiry', () => {
+    let now = Date.UTC(2026, 0, 1, 12, 1, 0);
+    const signer = createImageSigner({ secret: SECRET, ttlSeconds: 600, now: () => now });
+    const { path, expiresAt } = signer.sign('recipes/u 1/a.jpg');
+
+    assert.equal(expiresAt.toISOString(), '2026-01-01T12:15:00.000Z');
+    assert.match(path, /^\/images\/recipes\/u%201\/a\.jpg\?expires=\d+&sig=[\w-]+$/);
+    const query = Object.fromEntries(new URL(path, 'http://x').searchParams);
+    assert.equal(signer.verify('recipes/u 1/a.jpg', query), 'valid');
+    assert.equal(signer.verify('recipes/u 1/b.jpg', query), 'invalid');
+    assert.equal(signer.verify('recipes/u 1/a.jpg', { ...query, expires: String(Number(query.expires) + 300) }), 'invalid');
+    assert.equal(createImageSigner({ secret: 'other' }).verify('recipes/u 1/a.jpg', query), 'invalid');
+
+    now = expiresAt.getTime();
+    assert.equal(signer.verify('recipes/u 1/a.jpg', query), 'expired');
+  });
+
+  it('gives the same URL within one expiry step', () => {
+    let now = Date.UTC(2026, 0, 1, 12, 0, 10);
+    const signer = createImageSigner({ secret: SECRET, now: () => now });
+    const first = signer.sign('recipes/u/a.jpg').path;
+    now += 60 * 1000;
+    assert.equal(signer.sign('recipes/u/a.jpg').path, first);
+  });
+});
+
+describe('GET /images/*', () => {
+  let server;
+  let upload;
+
+  before(async () => {
+    server = await startApp({ overrides: { imageUrls: { secret: SECRET } } });
+    const res = await server.request('/upload-image', {
+      method: 'POST',
+      body: { imageData: (await createTestImage()).toString('base64'), fileName: 'cake.jpg', recipeId: 'r1' }
+    });
+    upload = res.json;
+  });
+
+  after(() => server.close());
+
+  const stored = () => server.bucket.files.get(upload.uploadPath);
+
+  it('serves a signed URL without a token', async () => {
+    const response = await fetch(upload.downloadURL);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/jpeg');
+    assert.equal(response.headers.get('accept-ranges'), 'bytes');
+    assert.match(response.headers.get('cache-control'), /^public, max-age=\d+$/);
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), stored().data);
+  });
+
+  it('rejects tampered and expired signatures', async () => {
+    const url = new URL(upload.downloadURL);
+    url.pathname = url.pathname.replace('full.jpg', 'thumb.jpg');
+    const tampered = await fetch(url);
+    assert.equal(tampered.status, 403);
+    assert.equal((await tampered.json()).code, 'invalid-signature');
+
+    const old = createImageSigner({ secret: SECRET, now: () => Date.now() - 2 * 3600 * 1000 }).sign(upload.uploadPath, { expiresIn: 60 });
+    const expired = await fetch(`${server.baseUrl}${old.path}`);
+    assert.equal(expired.status, 403);
+    assert.equal((await expired.json()).code, 'url-expired');
+  });
+
+  it("accepts the owner's token instead of a signature", async () => {
+    const path = `/images/${upload.uploadPath}`;
+    const own = await server.request(path);
+    assert.equal(own.status, 200);
+    assert.equal(own.headers.get('cache-control'), 'private, max-age=3600');
+
+    assert.equal((await server.request(path, { uid: 'user-2' })).status, 403);
+    assert.equal((await server.request(path, { token: null })).status, 401);
+  });
+
+  it('revalidates with ETag', async () => {
+    const first = await fetch(upload.downloadURL);
+    const etag = first.headers.get('etag');
+    assert.match(etag, /^".+"$/);
+
+    // fetch() adds "Cache-Control: no-cache" to conditional requests unless one is set
+    const again = await fetch(upload.downloadURL, { headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' } });
+    assert.equal(again.status, 304);
+  });
+
+  it('serves byte ranges', async () => {
+    const { data } = stored();
+    const partial = await fetch(upload.downloadURL, { headers: { Range: 'bytes=10-19' } });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.headers.get('content-range'), `bytes 10-19/${data.length}`);
+    assert.deepEqual(Buffer.from(await partial.arrayBuffer()), data.subarray(10, 20));
+
+    const tail = await fetch(upload.downloadURL, { headers: { Range: 'bytes=-5' } });
+    assert.deepEqual(Buffer.from(await tail.arrayBuffer()), data.subarray(-5));
+
+    const outside = await fetch(upload.downloadURL, { headers: { Range: `bytes=${data.length + 10}-` } });
+    assert.equal(outside.status, 416);
+    assert.equal(outside.headers.get('content-range'), `bytes */${data.length}`);
+
+    // A stale If-Range gets the whole, current file
+    const stale = await fetch(upload.downloadURL, { headers: { Range: 'bytes=0-3', 'If-Range': '"old"' } });
+    assert.equal(stale.status, 200);
+    assert.equal(Number(stale.headers.get('content-length')), data.length);
+    await stale.arrayBuffer();
+  });
+
+  it('answers 404 for missing images and paths outside recipes/', async () => {
+    const missing = createImageSigner({ secret: SECRET }).sign('recipes/user-1/missing.jpg');
+    assert.equal((await fetch(`${server.baseUrl}${missing.path}`)).status, 404);
+    assert.equal((await server.request('/images/other/user-1/a.jpg')).status, 404);
+  });
+});
+
+describe('POST /images/sign', () => {
+  let server;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  it('signs the paths the caller may read', async () => {
+    const res = await server.request('/images/sign', {
+      method: 'POST',
+      body: { paths: ['recipes/user-1/a/thumb.jpg', 'recipes/user-2/b/thumb.jpg', 'recipes/user-1/a/thumb.jpg'], expiresIn: 120 }
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(Object.keys(res.json.urls), ['recipes/user-1/a/thumb.jpg']);
+    assert.match(res.json.urls['recipes/user-1/a/thumb.jpg'], /\/images\/recipes\/user-1\/a\/thumb\.jpg\?expires=\d+&sig=/);
+    assert.deepEqual(res.json.denied, ['recipes/user-2/b/thumb.jpg']);
+    assert.ok(new Date(res.json.expiresAt) - Date.now() <= 420 * 1000);
+  });
+
+  it('validates the request', async () => {
+    const post = body => server.request('/images/sign', { method: 'POST', body });
+
+    assert.equal((await post({})).status, 400);
+    assert.equal((await post({ paths: [] })).status, 400);
+    assert.equal((await post({ paths: [1] })).status, 400);
+    assert.equal((await post({ paths: ['recipes/user-1/a.jpg'], expiresIn: 0 })).status, 400);
+    assert.equal((await post({ paths: ['recipes/user-1/a.jpg'], expiresIn: 8 * 24 * 3600 })).status, 400);
+  });
+});
@@ -0,0 +1,350 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { importRecipeFile, ImportFileError } from '../lib/import-file.js';
+import { writeZip } from '../lib/zip.js';
+import { startApp, createTestImage, FIXTURES_DIR, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const JPEG_BYTES = Buffer.from('ffd8ffe000104a4649460001', 'hex');
+
+const fixture = name => fs.readFileSync(path.join(FIXTURES_DIR, 'imports', name));
+const json = value => Buffer.from(JSON.stringify(value));
+const items = group => group.items.map(item => `${item.quantity}|${item.name}`);
+
+const PAPRIKA_RECIPE = {
+  name: 'Pancakes',
+  ingredients: '200 g flour\n2 eggs\n300 ml milk\n\nTo serve:\nMaple syrup',
+  directions: 'Whisk everything together.\n\nFry in a hot pan.',
+  categories: ['Breakfast', 'Sweet'],
+  servings: '4',
+  source_url: 'https://example.com/pancakes',
+  notes: 'Rest the batter if you can.',
+  photo: 'pancakes.jpg',
+  photo_data: JPEG_BYTES.toString('base64'),
+  photos: []
+};
+
+const MEALIE_RECIPE = {
+  name: 'Chili',
+  slug: 'chili',
+  recipeServings: 6,
+  orgURL: 'https://example.com/chili',
+  recipeCategory: [{ name: 'Dinner', slug: 'dinner' }],
+  tags: [{ name: 'Spicy', slug: 'spicy' }],
+  recipeIngredient: [
+    { quantity: 500, unit: { name: 'gram', abbreviation: 'g' }, food: { name: 'beef mince' }, note: '' },
+    { quantity: 0.5, unit: { name: 'teaspoon', abbreviation: 'tsp' }, food: { name: 'chili flakes' }, note: 'or to taste' },
+    { title: 'Topping', quantity: 1, unit: null, food: null, note: 'Soured cream', disableAmount: true },
+    '1 lime'
+  ],
+  recipeInstructions: [
+    { title: '', text: 'Brown the mince.' },
+    { title: 'Finish', text: 'Simmer for an hour.' },
+    { text: 'Top and serve.' }
+  ],
+  notes: [{ title: 'Freezing', text: 'Freezes well.' }]
+};
+
+const TANDOOR_RECIPE = {
+  name: 'Risotto',
+  description: 'Creamy.',
+  servings: 2,
+  keywords: [{ name: 'italian' }],
+  steps: [
+    {
+      name: 'Base',
+      instruction: 'Fry the onion.\n\nAdd the rice and toast it.',
+      ingredients: [
+        { food: { name: 'onion' }, unit: null, amount: 1, note: 'chopped', is_header: false, no_amount: false },
+        { food: { name: 'risotto rice' }, unit: { name: 'g' }, amount: '150.000', note: '', is_header: false, no_amount: false }
+      ]
+    },
+    {
+      name: '',
+      instruction: 'Add the stock slowly, stirring.',
+      ingredients: [
+        { food: { name: 'stock' }, unit: { name: 'ml' }, amount: 750, note: '', is_header: false, no_amount: false },
+        { food: { name: 'Cheese' }, unit: null, amount: 0, note: '', is_header: true, no_amount: true },
+        { food: { name: 'parmesan' }, unit: null, amount: 0, note: '', is_header: false, no_amount: true }
+      ]
+    }
+  ]
+};
+
+describe('importRecipeFile', () => {
+  it('reads a Paprika .paprikarecipes archive', () => {
+    const archive = writeZip([
+      { name: 'Pancakes.paprikarecipe', data: zlib.gzipSync(json(PAPRIKA_RECIPE)) },
+      { name: 'Waffles.paprikarecipe', data: zlib.gzipSync(json({ ...PAPRIKA_RECIPE, name: 'Waffles', photo_data: null })) }
+    ]);
+    const { format, recipes } = importRecipeFile(archive);
+
+    assert.equal(format, 'paprika');
+    assert.deepEqual(recipes.map(entry => entry.recipe.title), ['Pancakes', 'Waffles']);
+    const [pancakes] = recipes;
+    assert.deepEqual(pancakes.errors, []);
+    assert.deepEqual(pancakes.recipe.ingredientsByProcessingStep.map(group => group.name), ['Ingredients', 'To serve']);
+    assert.deepEqual(items(pancakes.recipe.ingredientsByProcessingStep[0]), ['200 g|flour', '2|eggs', '300 ml|milk']);
+    assert.deepEqual(pancakes.recipe.tags, ['Breakfast', 'Sweet']);
+    assert.equal(pancakes.servings, '4');
+    assert.equal(pancakes.sourceUrl, 'https://example.com/pancakes');
+    assert.deepEqual(pancakes.images, [{ data: JPEG_BYTES, contentType: 'image/jpeg', fileName: 'pancakes.jpg' }]);
+    assert.deepEqual(recipes[1].images, []);
+  });
+
+  it('reads a single gzipped .paprikarecipe', () => {
+    const { format, recipes } = importRecipeFile(zlib.gzipSync(json(PAPRIKA_RECIPE)));
+    assert.equal(format, 'paprika');
+    assert.equal(recipes[0].recipe.title, 'Pancakes');
+  });
+
+  it('maps Mealie ingredients, sections, tags and notes', () => {
+    const { format, recipes: [chili] } = importRecipeFile(json(MEALIE_RECIPE));
+
+    assert.equal(format, 'mealie');
+    const [main, topping] = chili.recipe.ingredientsByProcessingStep;
+    assert.deepEqual(items(main), ['500 g|beef mince', '½ tsp|chili flakes, or to taste']);
+    assert.equal(topping.name, 'Topping');
+    assert.deepEqual(items(topping), ['|Soured cream', '1|lime']);
+    assert.deepEqual(chili.recipe.instructions.map(step => [step.section, step.text]), [
+      [null, 'Brown the mince.'],
+      ['Finish', 'Simmer for an hour.'],
+      ['Finish', 'Top and serve.']
+    ]);
+    assert.deepEqual(chili.recipe.tags, ['Dinner', 'Spicy']);
+    assert.equal(chili.servings, '6');
+    assert.equal(chili.notes, 'Freezing: Freezes well.');
+  });
+
+  it('pairs Mealie export recipes with their images', () => {
+    const archive = writeZip([
+      { name: 'recipes/chili/chili.json', data: json(MEALIE_RECIPE) },
+      { name: 'recipes/chili/images/min-original.webp', data: Buffer.from('not an image') },
+      { name: 'recipes/chili/images/original.png', data: PNG_BYTES }
+    ]);
+    const { format, recipes: [chili] } = importRecipeFile(archive);
+
+    assert.equal(format, 'mealie');
+    assert.deepEqual(chili.images.map(image => image.fileName), ['original.png']);
+  });
+
+  it('turns each Tandoor step into an ingredient group', () => {
+    const recipeZip = writeZip([
+      { name: 'recipe.json', data: json(TANDOOR_RECIPE) },
+      { name: 'image.png', data: PNG_BYTES }
+    ]);
+    const { format, recipes: [risotto] } = importRecipeFile(writeZip([{ name: '1.zip', data: recipeZip }]));
+
+    assert.equal(format, 'tandoor');
+    const groups = risotto.recipe.ingredientsByProcessingStep;
+    assert.deepEqual(groups.map(group => group.name), ['Base', 'Step 2', 'Cheese']);
+    assert.deepEqual(items(groups[0]), ['1|onion, chopped', '150 g|risotto rice']);
+    assert.deepEqual(items(groups[2]), ['|parmesan']);
+    assert.deepEqual(risotto.recipe.instructions.map(step => step.text), [
+      'Fry the onion.', 'Add the rice and toast it.', 'Add the stock slowly, stirring.'
+    ]);
+    assert.deepEqual(risotto.recipe.tags, ['italian']);
+    assert.equal(risotto.images[0].contentType, 'image/png');
+  });
+
+  it('reads every recipe in a Meal-Master file', () => {
+    const { format, recipes } = importRecipeFile(fixture('soups.mmf'));
+
+    assert.equal(format, 'mealmaster');
+    assert.deepEqual(recipes.map(entry => entry.recipe.title), ['Tomato Soup', 'Garlic Bread']);
+    const [soup] = recipes;
+    assert.deepEqual(soup.recipe.ingredientsByProcessingStep.map(items), [
+      ['1 kg|Tomatoes', '2 tbsp|Olive oil', '1 medium|Onion; chopped', '1 tsp|Salt'],
+      ['1/2 cup|Sour cream', '2 tbsp|Chives, finely chopped']
+    ]);
+    assert.equal(soup.recipe.ingredientsByProcessingStep[1].name, 'TOPPING');
+    assert.equal(soup.recipe.instructions.length, 2);
+    assert.deepEqual(soup.recipe.tags, ['Soups', 'Vegetarian']);
+    assert.equal(soup.servings, '4 servings');
+  });
+
+  it('reads a Recipe Keeper export with its photos', () => {
+    const archive = writeZip([
+      { name: 'recipes.html', data: fixture('recipe-keeper.html') },
+      { name: 'images/lemon cake.png', data: PNG_BYTES }
+    ]);
+    const { format, recipes: [cake] } = importRecipeFile(archive);
+
+    assert.equal(format, 'recipe-keeper');
+    assert.equal(cake.recipe.title, 'Lemon Cake');
+    assert.deepEqual(cake.recipe.ingredientsByProcessingStep.map(group => group.name), ['Ingredients', 'For the glaze']);
+    assert.equal(cake.recipe.instructions.length, 3);
+    assert.deepEqual(cake.recipe.tags, ['Dessert', 'Baking']);
+    assert.equal(cake.servings, '8');
+    assert.equal(cake.sourceUrl, 'https://example.com/lemon-cake');
+    assert.equal(cake.notes, 'Keeps for three days.');
+    assert.deepEqual(cake.images.map(image => image.fileName), ['lemon cake.png']);
+  });
+
+  it('reports recipes that do not validate instead of dropping them', () => {
+    const { recipes: [entry] } = importRecipeFile(json({ ...MEALIE_RECIPE, recipeIngredient: [] }));
+    assert.ok(entry.errors.length);
+  });
+
+  it('rejects unknown and corrupt files', () => {
+    const reject = (buffer, code, options) => assert.throws(
+      () => importRecipeFile(buffer, options),
+      error => error instanceof ImportFileError && error.code === code
+    );
+
+    reject(Buffer.from('just some text'), 'unsupported-format');
+    reject(json({ hello: 'world' }), 'unsupported-format');
+    reject(writeZip([{ name: 'notes.txt', data: Buffer.from('hi') }]), 'unsupported-format');
+    reject(Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0x01]), 'invalid-file');
+    reject(writeZip([{ name: 'a.paprikarecipe', data: zlib.gzipSync(json(PAPRIKA_RECIPE)) }]).subarray(0, 40), 'invalid-file');
+    reject(fixture('soups.mmf'), 'unsupported-format', { format: 'recipe-keeper' });
+    reject(Buffer.alloc(0), 'invalid-file');
+  });
+
+  it('charges every entry and nested archive to one expansion budget', () => {
+    // Valid recipes padded with whitespace: each is well under the limit, together they are not
+    const padded = (recipe, bytes) => Buffer.concat([json(recipe), Buffer.alloc(bytes, ' ')]);
+    const bomb = zlib.gzipSync(padded(PAPRIKA_RECIPE, 400 * 1024));
+    const reject = buffer => assert.throws(
+      () => importRecipeFile(buffer, { maxExpandedBytes: 1024 * 1024 }),
+      error => error instanceof ImportFileError && error.code === 'file-too-large' && error.status === 413
+    );
+
+    reject(writeZip(['a', 'b', 'c'].map(name => ({ name: `${name}.paprikarecipe`, data: bomb }))));
+    const nested = writeZip([{ name: 'recipe.json', data: padded(TANDOOR_RECIPE, 400 * 1024) }]);
+    reject(writeZip(['1.zip', '2.zip', '3.zip'].map(name => ({ name, data: nested }))));
+    reject(zlib.gzipSync(padded(PAPRIKA_RECIPE, 2 * 1024 * 1024)));
+
+    const { recipes } = importRecipeFile(writeZip([{ name: 'a.paprikarecipe', data: zlib.gzipSync(json(PAPRIKA_RECIPE)) }]), { maxExpandedBytes: 1024 * 1024 });
+    assert.equal(recipes.length, 1);
+  });
+});
+
+describe('POST /import-file', () => {
+  let server;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  it('imports the recipes and uploads their photos for the caller', async () => {
+    const photo = await createTestImage();
+    const archive = writeZip([{
+      name: 'Pancakes.paprikarecipe',
+      data: zlib.gzipSync(json({ ...PAPRIKA_RECIPE, photo_data: photo.toString('base64') }))
+    }]);
+    const res = await server.request('/import-file', {
+      method: 'POST',
+      uid: 'user-3',
+      body: { fileData: archive.toString('base64'), fileName: 'My Recipes.paprikarecipes' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.json.format, 'paprika');
+    assert.deepEqual(res.json.summary, { total: 1, imported: 1, skipped: 0 });
+    const [imported] = res.json.recipes;
+    assert.equal(imported.extractionMethod, 'import');
+    assert.deepEqual(imported.source, {
+      type: 'file', format: 'paprika', fileName: 'My Recipes.paprikarecipes', url: 'https://example.com/pancakes'
+    });
+    assert.equal(imported.recipe.title, 'Pancakes');
+
+    const [image] = imported.images;
+    assert.match(image.uploadPath, /^recipes\/user-3\/import-\d+-0-0_pancakes\/full\.jpg$/);
+    assert.equal(image.variants.thumb.webp.contentType, 'image/webp');
+    const stored = server.bucket.files.get(image.uploadPath);
+    assert.equal(stored.metadata.contentType, 'image/jpeg');
+    assert.ok(!stored.data.includes('TestPhone'));
+  });
+
+  it('takes the export as a multipart file part past the JSON body limit', async () => {
+    const archive = writeZip([
+      { name: 'Pancakes.paprikarecipe', data: zlib.gzipSync(json(PAPRIKA_RECIPE)) },
+      { name: 'padding.bin', data: crypto.randomBytes(11 * 1024 * 1024) }
+    ]);
+    const form = new FormData();
+    form.append('uploadImages', 'false');
+    form.append('file', new Blob([archive]), 'My Recipes.paprikarecipes');
+    const response = await fetch(`${server.baseUrl}/import-file`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${server.auth.tokenFor('user-1')}` },
+      body: form
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.summary, { total: 1, imported: 1, skipped: 0 });
+    assert.equal(body.recipes[0].source.fileName, 'My Recipes.paprikarecipes');
+    assert.deepEqual(body.recipes[0].images, []);
+  });
+
+  it('can skip the photo uploads', async () => {
+    const res = await server.request('/import-file', {
+      method: 'POST',
+      body: { fileData: zlib.gzipSync(json(PAPRIKA_RECIPE)).toString('base64'), uploadImages: false }
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.json.recipes[0].images, []);
+  });
+
+  it('skips photos over the daily upload allowance and stores nothing', async () => {
+    const photo = await createTestImage();
+    const limited = await startApp({ overrides: { uploads: { dailyBytes: photo.length - 1 } } });
+    try {
+      const archive = writeZip([{
+        name: 'Pancakes.paprikarecipe',
+        data: zlib.gzipSync(json({ ...PAPRIKA_RECIPE, photo_data: photo.toString('base64') }))
+      }]);
+      const res = await limited.request('/import-file', { method: 'POST', body: { fileData: archive.toString('base64') } });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.json.summary, { total: 1, imported: 1, skipped: 0 });
+      assert.deepEqual(res.json.recipes[0].images, []);
+      assert.deepEqual(res.json.recipes[0].skippedImages.map(image => [image.fileName, image.code]), [
+        ['pancakes.jpg', 'upload-quota-exceeded']
+      ]);
+      assert.equal(limited.bucket.files.size, 0);
+    } finally {
+      await limited.close();
+    }
+  });
+
+  it('lists the recipes that could not be mapped', async () => {
+    const recipes = [MEALIE_RECIPE, { ...MEALIE_RECIPE, name: 'Empty', recipeIngredient: [] }];
+    const res = await server.request('/import-file', { method: 'POST', body: { fileData: json(recipes).toString('base64') } });
+
+    assert.deepEqual(res.json.summary, { total: 2, imported: 1, skipped: 1 });
+    assert.equal(res.json.skipped[0].index, 1);
+    assert.equal(res.json.skipped[0].title, 'Empty');
+  });
+
+  it('answers 422 for files it cannot read', async () => {
+    const res = await server.request('/import-file', { method: 'POST', body: { fileData: Buffer.from('hello').toString('base64') } });
+    assert.equal(res.status, 422);
+    assert.equal(res.json.code, 'unsupported-format');
+  });
+
+  it('answers 413 for files that expand past the limit', async () => {
+    const bomb = zlib.gzipSync(Buffer.concat([json(PAPRIKA_RECIPE), Buffer.alloc(35 * 1024 * 1024, ' ')]));
+    const archive = writeZip(['a', 'b', 'c'].map(name => ({ name: `${name}.paprikarecipe`, data: bomb })));
+    const res = await server.request('/import-file', { method: 'POST', body: { fileData: archive.toString('base64') } });
+
+    assert.equal(res.status, 413);
+    assert.equal(res.json.code, 'file-too-large');
+  });
+
+  it('validates the request', async () => {
+    assert.equal((await server.request('/import-file', { method: 'POST', body: {} })).status, 400);
+    const res = await server.request('/import-file', { method: 'POST', body: { fileData: 'AA==', format: 'word' } });
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { createMemoryImportJobStore, newImportJob } from '../lib/import-jobs.js';
+import { startApp, startFixtureServer, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const REPLY = { title: 'Soup', ingredients: ['1 onion'], steps: ['Cook.'] };
+
+// Polls GET /imports/:id until done(job) or the deadline
+async function waitForJob(server, id, done = job => ['succeeded', 'failed'].includes(job.status)) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const res = await server.request(`/imports/${id}`);
+    if (done(res.json)) return res.json;
+    if (Date.now() > deadline) throw new Error(`Import ${id} still ${res.json.status}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('createMemoryImportJobStore', () => {
+  it('claims due jobs once and again after the lease ran out', async () => {
+    const store = createMemoryImportJobStore();
+    const job = await store.create(newImportJob({ uid: 'u', type: 'text', input: { text: 'Soup' }, now: 0 }));
+
+    const [claimed] = await store.claimDue({ now: 1000, leaseMs: 60_000, limit: 5 });
+    assert.equal(claimed.id, job.id);
+    assert.equal(claimed.status, 'running');
+    assert.equal(claimed.attempts, 1);
+    assert.deepEqual(await store.claimDue({ now: 2000, leaseMs: 60_000, limit: 5 }), []);
+
+    const [reclaimed] = await store.claimDue({ now: 61_000, leaseMs: 60_000, limit: 5 });
+    assert.equal(reclaimed.attempts, 2);
+
+    await store.update(job.id, { status: 'succeeded', runAt: null });
+    assert.deepEqual(await store.claimDue({ now: 1e12, leaseMs: 60_000, limit: 5 }), []);
+  });
+});
+
+describe('/imports', () => {
+  let pages;
+  let server;
+
+  before(async () => {
+    pages = await startFixtureServer();
+  });
+
+  after(() => pages.close());
+  afterEach(() => server?.close());
+
+  it('runs a URL import in the background', async () => {
+    server = await startApp();
+    const url = `${pages.baseUrl}/json-ld-recipe.html`;
+
+    const res = await server.request('/imports', { method: 'POST', body: { url } });
+    assert.equal(res.status, 202);
+    assert.equal(res.headers.get('location'), `/imports/${res.json.id}`);
+    assert.equal(res.json.type, 'url');
+    assert.equal(res.json.status, 'queued');
+
+    const job = await waitForJob(server, res.json.id);
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.attempts, 1);
+
+    const direct = await server.request('/parse-url', { method: 'POST', body: { url, cache: 'bypass' } });
+    assert.deepEqual(job.result, direct.json);
+  });
+
+  it('runs a text import through the model', async () => {
+    server = await startApp({ replies: [REPLY] });
+    const res = await server.request('/imports', { method: 'POST', body: { text: 'Soup\n1 onion\nCook.' } });
+
+    const job = await waitForJob(server, res.json.id);
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.result.recipe.title, 'Soup');
+    assert.equal(job.result.extractionMethod, 'llm');
+  });
+
+  it('retries failed attempts', async () => {
+    server = await startApp({ replies: [new Error('upstream down'), REPLY] });
+    const res = await server.request('/imports', { method: 'POST', body: { text: 'Soup' } });
+
+    const job = await waitForJob(server, res.json.id);
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.attempts, 2);
+    assert.equal(job.error, undefined);
+  });
+
+  it('gives up after the last attempt', async () => {
+    const down = new Error('upstream down');
+    server = await startApp({ replies: [down, down, down] });
+    const res = await server.request('/imports', { method: 'POST', body: { text: 'Soup' } });
+
+    const job = await waitForJob(server, res.json.id);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, 3);
+    assert.deepEqual(job.error, { status: 500, error: 'upstream down' });
+  });
+
+  it('does not retry requests that cannot succeed', async () => {
+    server = await startApp();
+    const res = await server.request('/imports', { method: 'POST', body: { url: 'http://10.0.0.1/recipe' } });
+
+    const job = await waitForJob(server, res.json.id);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.error.status, 403);
+    assert.equal(job.error.code, 'blocked-address');
+  });
+
+  it('posts the finished job to the callback URL', async () => {
+    const secret = 'callback-secret';
+    process.env.IMPORT_CALLBACK_SECRET = secret;
+    let received;
+    const hooks = await startFixtureServer({
+      '/hook': (req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received = { headers: req.headers, body };
+          res.writeHead(204);
+          res.end();
+        });
+      }
+    });
+
+    try {
+      server = await startApp({ replies: [REPLY] });
+      const res = await server.request('/imports', {
+        method: 'POST',
+        body: { text: 'Soup', callbackUrl: `${hooks.baseUrl}/hook` }
+      });
+
+      const job = await waitForJob(server, res.json.id, current => current.callback);
+      assert.equal(job.callback.status, 'delivered');
+
+      const payload = JSON.parse(received.body);
+      assert.equal(payload.job.id, res.json.id);
+      assert.equal(payload.job.status, 'succeeded');
+      assert.equal(payload.job.result.recipe.title, 'Soup');
+      const signature = crypto.createHmac('sha256', secret).update(received.body).digest('hex');
+      assert.equal(received.headers['x-chef-choice-signature'], `sha256=${signature}`);
+    } finally {
+      delete process.env.IMPORT_CALLBACK_SECRET;
+      await hooks.close();
+    }
+  });
+
+  it('records callbacks to refused addresses as failed', async () => {
+    server = await startApp({ replies: [REPLY] });
+    const res = await server.request('/imports', {
+      method: 'POST',
+      body: { text: 'Soup', callbackUrl: 'http://169.254.169.254/latest' }
+    });
+
+    const job = await waitForJob(server, res.json.id, current => current.callback);
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.callback.status, 'failed');
+    assert.equal(job.callback.attempts, 1);
+  });
+
+  it('only shows jobs to their owner', async () => {
+    server = await startApp({ replies: [REPLY] });
+    const res = await server.request('/imports', { method: 'POST', body: { text: 'Soup' } });
+
+    const other = await server.request(`/imports/${res.json.id}`, { uid: 'user-2' });
+    assert.equal(other.status, 404);
+    assert.equal((await server.request('/imports/missing')).status, 404);
+  });
+
+  it('validates the request', async () => {
+    server = await startApp();
+    const post = body => server.request('/imports', { method: 'POST', body });
+
+    assert.equal((await post({})).status, 400);
+    assert.equal((await post({ url: 'https://example.com', text: 'Soup' })).status, 400);
+    assert.equal((await post({ text: 'x'.repeat(15001) })).status, 400);
+    assert.equal((await post({ text: 'Soup', callbackUrl: 'ftp://example.com/hook' })).status, 400);
+    assert.equal((await post({ text: 'Soup', cache: 'never' })).status, 400);
+    assert.equal((await post({ storagePath: 'recipes/user-2/photo.jpg' })).status, 403);
+    assert.equal((await server.request('/imports', { method: 'POST', token: null, body: { text: 'Soup' } })).status, 401);
+  });
+});
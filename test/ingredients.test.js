@@ -0,0 +1,94 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIngredientLine } from '../lib/ingredients.js';
+import { startApp, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+describe('parseIngredientLine', () => {
+  it('reads bare, mixed and ranged fractions', () => {
+    const parsed = line => {
+      const { amount, amountMax, unit, name } = parseIngredientLine(line);
+      return [amount, amountMax, unit, name];
+    };
+
+    assert.deepEqual(parsed('1/2 cup sugar'), [0.5, null, 'cup', 'sugar']);
+    assert.deepEqual(parsed('3/4 tsp salt'), [0.75, null, 'tsp', 'salt']);
+    assert.deepEqual(parsed('1/4 l Milch'), [0.25, null, 'l', 'Milch']);
+    assert.deepEqual(parsed('1 1/2 cups flour'), [1.5, null, 'cup', 'flour']);
+    assert.deepEqual(parsed('1/2-3/4 cup milk'), [0.5, 0.75, 'cup', 'milk']);
+    assert.deepEqual(parsed('2 ¼ cups water'), [2.25, null, 'cup', 'water']);
+  });
+});
+
+describe('POST /parse-ingredients', () => {
+  let server;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  it('parses English and German lines without calling the model', async () => {
+    const res = await server.request('/parse-ingredients', {
+      method: 'POST',
+      body: { text: '1 ½ cups flour, sifted\n\n2-3 EL Olivenöl\nsalt to taste' }
+    });
+
+    assert.equal(res.status, 200);
+    const [flour, oil, salt] = res.json.ingredients;
+    assert.equal(res.json.ingredients.length, 3);
+    assert.deepEqual([flour.amount, flour.unit, flour.name, flour.preparation], [1.5, 'cup', 'flour', 'sifted']);
+    assert.deepEqual([oil.amount, oil.amountMax, oil.unit, oil.name], [2, 3, 'tbsp', 'Olivenöl']);
+    assert.equal(salt.amount, null);
+    assert.equal(salt.preparation, 'to taste');
+    assert.equal(server.openai.requests.length, 0);
+  });
+
+  it('validates the input', async () => {
+    assert.equal((await server.request('/parse-ingredients', { method: 'POST', body: {} })).status, 400);
+    assert.equal((await server.request('/parse-ingredients', { method: 'POST', body: { lines: ['ok', 3] } })).status, 400);
+    assert.equal((await server.request('/parse-ingredients', { method: 'POST', body: { lines: Array(201).fill('1 egg') } })).status, 400);
+  });
+});
+
+describe('POST /scale-recipe', () => {
+  let server;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  const recipe = {
+    title: 'Pancakes',
+    servings: 4,
+    ingredientsByProcessingStep: [
+      { name: 'Ingredients', items: [{ quantity: '2 cups', name: 'milk' }, { quantity: '3', name: 'eggs' }, { quantity: '', name: 'salt' }] }
+    ]
+  };
+
+  it('scales servings and converts units', async () => {
+    const res = await server.request('/scale-recipe', { method: 'POST', body: { recipe, targetServings: 2, unitSystem: 'metric' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.json.factor, 0.5);
+    const [milk, eggs] = res.json.recipe.ingredientsByProcessingStep[0].items;
+    assert.equal(milk.unit, 'ml');
+    assert.equal(eggs.quantity, '1½');
+    assert.deepEqual(res.json.unconverted.map(entry => entry.reason), ['no-amount']);
+  });
+
+  it('rejects unknown unit systems and missing servings', async () => {
+    let res = await server.request('/scale-recipe', { method: 'POST', body: { recipe, unitSystem: 'imperial' } });
+    assert.equal(res.status, 400);
+
+    res = await server.request('/scale-recipe', { method: 'POST', body: { recipe: { ...recipe, servings: undefined }, targetServings: 2 } });
+    assert.equal(res.status, 400);
+
+    res = await server.request('/scale-recipe', { method: 'POST', body: {} });
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOcrProvider, OcrError } from '../lib/ocr.js';
+import { startApp, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const visionReplying = content => createOcrProvider('openai-vision', {
+  llm: { model: 'vision-test', async complete() { return { content }; } }
+});
+
+const recognize = content => visionReplying(content).recognize(Buffer.from('image'), { contentType: 'image/png' });
+
+describe('openai-vision OCR provider', () => {
+  it('reads regions from a fenced reply', async () => {
+    const result = await recognize('```json\n{"regions": [{"text": "Tomato Soup", "confidence": 0.9}]}\n```');
+
+    assert.equal(result.text, 'Tomato Soup');
+    assert.deepEqual(result.regions, [{ text: 'Tomato Soup', confidence: 0.9 }]);
+  });
+
+  it('reports replies without a regions list as OCR errors', async () => {
+    for (const content of ['null', '[]', '{"regions": 5}', 'Sorry, I cannot read this image.']) {
+      await assert.rejects(recognize(content), error => error instanceof OcrError && error.code === 'ocr-failed', content);
+    }
+  });
+
+  it('answers /parse-image with the OCR error instead of a 500', async () => {
+    const server = await startApp({ overrides: { ocrProvider: visionReplying('null') } });
+    try {
+      const res = await server.request('/parse-image', {
+        method: 'POST',
+        body: { imageData: Buffer.from('image').toString('base64'), contentType: 'image/png' }
+      });
+
+      assert.equal(res.status, 502);
+      assert.equal(res.json.code, 'ocr-failed');
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { extractPageText } from '../lib/page-text.js';
+import { FIXTURES_DIR, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const page = name => fs.readFileSync(path.join(FIXTURES_DIR, 'pages', name), 'utf8');
+
+describe('extractPageText', () => {
+  it('puts the WP Recipe Maker card first and drops page chrome', () => {
+    const { text, title, container, truncated } = extractPageText(page('wprm-blog-recipe.html'));
+
+    assert.equal(container, '.wprm-recipe-container');
+    assert.equal(title, 'Best Banana Bread');
+    assert.equal(truncated, false);
+    assert.ok(text.startsWith('## Best Banana Bread'));
+    assert.ok(text.indexOf('Fold in the flour') < text.indexOf('Every autumn'));
+
+    for (const boilerplate of ['Home', 'cookies', 'ADVERTISEMENT', 'Pin', 'Share this', 'walnuts', 'Popular posts', 'newsletter', 'All rights reserved', 'dataLayer']) {
+      assert.ok(!text.includes(boilerplate), `expected "${boilerplate}" to be removed`);
+    }
+  });
+
+  it('decodes entities and keeps list and heading structure', () => {
+    const { text } = extractPageText(page('wprm-blog-recipe.html'));
+
+    assert.match(text, /### Ingredients\n\n- 3 ripe bananas\n- ⅓ cup melted butter\n- 1½ cups flour/);
+    assert.match(text, /### Instructions\n\n1\. Preheat the oven to 175°C\.\n2\. Mash the bananas & stir in the butter\./);
+    assert.match(text, /almost black – before/);
+  });
+
+  it('uses the main content of pages without a recipe card', () => {
+    const { text, container } = extractPageText(page('plain-recipe.html'));
+
+    assert.equal(container, null);
+    assert.equal(text, [
+      "# Grandma's Tomato Soup",
+      '',
+      'This soup has been in our family for generations.',
+      '',
+      '## Ingredients',
+      '',
+      '- 1 kg tomatoes',
+      '- 1 onion',
+      '- 500 ml vegetable stock',
+      '',
+      '## Method',
+      '',
+      'Chop the onion and tomatoes. Simmer in the stock for 30 minutes, then blend.'
+    ].join('\n'));
+  });
+
+  it('recognizes other recipe plugins', () => {
+    const html = '<body><main><p>Intro</p><div class="tasty-recipes"><h2>Flapjacks</h2><ul><li>100 g oats</li></ul></div></main></body>';
+    const { text, container } = extractPageText(html);
+
+    assert.equal(container, '.tasty-recipes');
+    assert.ok(text.startsWith('## Flapjacks\n\n- 100 g oats'));
+  });
+
+  it('indents nested lists and breaks lines at <br>', () => {
+    const html = '<body><ul><li>For the dough<ul><li>flour</li><li>water</li></ul></li></ul><p>Line one<br>Line two</p></body>';
+    const { text } = extractPageText(html);
+
+    assert.equal(text, '- For the dough\n  - flour\n  - water\nLine one\nLine two');
+  });
+
+  it('cuts blog prose before the recipe card when space runs out', () => {
+    const story = Array.from({ length: 400 }, (_, i) => `<p>Paragraph ${i} of a very long story about my grandmother's kitchen.</p>`).join('');
+    const html = `<body><main><h1>Plum Cake</h1>${story}<div class="wprm-recipe-container"><h2>Plum Cake</h2><ul><li>500 g plums</li></ul><ol><li>Bake for 45 minutes.</li></ol></div></main></body>`;
+    const { text, truncated } = extractPageText(html, { maxLength: 2000 });
+
+    assert.equal(truncated, true);
+    assert.ok(text.length <= 2000);
+    assert.ok(text.startsWith('## Plum Cake\n\n- 500 g plums\n1. Bake for 45 minutes.'));
+    assert.match(text, /Paragraph 0 /);
+    assert.doesNotMatch(text, /Paragraph 399 /);
+  });
+
+  it('starts at the ingredients when a page without a card is too long', () => {
+    const story = Array.from({ length: 400 }, (_, i) => `<p>Paragraph ${i} of the story.</p>`).join('');
+    const html = `<body><h1>Plum Cake</h1>${story}<h2>Ingredients</h2><ul><li>500 g plums</li></ul><h2>Instructions</h2><p>Bake for 45 minutes.</p></body>`;
+    const { text, truncated } = extractPageText(html, { maxLength: 2000 });
+
+    assert.equal(truncated, true);
+    assert.equal(text, '# Plum Cake\n\n## Ingredients\n\n- 500 g plums\n\n## Instructions\n\nBake for 45 minutes.');
+  });
+
+  it('cuts at a line break when nothing can be prioritized', () => {
+    const html = `<body>${Array.from({ length: 200 }, (_, i) => `<p>Line ${i}</p>`).join('')}</body>`;
+    const { text, truncated } = extractPageText(html, { maxLength: 100 });
+
+    assert.equal(truncated, true);
+    assert.ok(text.length <= 100);
+    assert.match(text, /Line \d+$/);
+  });
+});
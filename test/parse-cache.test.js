@@ -0,0 +1,223 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canonicalizeUrl,
+  parseCacheKey,
+  createMemoryParseCache,
+  createFirestoreParseCache
+} from '../lib/parse-cache.js';
+import { startApp, startFixtureServer, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const REPLY = { title: 'Soup', ingredients: ['1 onion'], steps: ['Cook.'] };
+
+// Just enough of the Firestore API for the cache: collection().doc().get()/set()
+function createFakeFirestore() {
+  const docs = new Map();
+  return {
+    docs,
+    collection: name => ({
+      doc: id => ({
+        async get() {
+          const data = docs.get(`${name}/${id}`);
+          return { exists: data !== undefined, data: () => data };
+        },
+        async set(data) {
+          docs.set(`${name}/${id}`, data);
+        }
+      })
+    })
+  };
+}
+
+describe('parse cache keys', () => {
+  it('canonicalizes URLs', () => {
+    assert.equal(
+      canonicalizeUrl('https://Example.com:443/soup?utm_source=pinterest&b=2&fbclid=abc&a=1#recipe'),
+      'https://example.com/soup?a=1&b=2'
+    );
+    assert.equal(canonicalizeUrl('http://example.com:8080/soup?gclid=x'), 'http://example.com:8080/soup');
+  });
+
+  it('treats URLs differing only in tracking params as one key', () => {
+    assert.equal(
+      parseCacheKey({ url: 'https://example.com/soup?utm_medium=social' }),
+      parseCacheKey({ url: 'https://example.com/soup' })
+    );
+    assert.notEqual(parseCacheKey({ url: 'https://example.com/soup?id=1' }), parseCacheKey({ url: 'https://example.com/soup?id=2' }));
+  });
+
+  it('ignores whitespace and line ending differences in text', () => {
+    assert.equal(
+      parseCacheKey({ text: '  Soup\r\n\r\n\r\n1   onion \r\nCook.' }),
+      parseCacheKey({ text: 'Soup\n\n1 onion\nCook.' })
+    );
+    assert.notEqual(parseCacheKey({ text: '1 onion' }), parseCacheKey({ text: '2 onions' }));
+  });
+
+  it('includes the prompt version and model', () => {
+    const key = parseCacheKey({ text: 'Soup', prompt: 1, model: 'a' });
+    assert.notEqual(key, parseCacheKey({ text: 'Soup', prompt: 2, model: 'a' }));
+    assert.notEqual(key, parseCacheKey({ text: 'Soup', prompt: 1, model: 'b' }));
+    assert.equal(key, parseCacheKey({ model: 'a', prompt: 1, text: 'Soup' }));
+  });
+});
+
+describe('createMemoryParseCache', () => {
+  it('evicts the least recently used entry', async () => {
+    const cache = createMemoryParseCache({ maxEntries: 2 });
+    await cache.set('a', { n: 1 });
+    await cache.set('b', { n: 2 });
+    await cache.get('a');
+    await cache.set('c', { n: 3 });
+
+    assert.deepEqual(await cache.get('a'), { n: 1 });
+    assert.equal(await cache.get('b'), null);
+    assert.equal(cache.size, 2);
+  });
+
+  it('expires entries after the TTL', async () => {
+    let time = 0;
+    const cache = createMemoryParseCache({ ttlSeconds: 60, now: () => time });
+    await cache.set('a', { n: 1 });
+
+    time = 59_000;
+    assert.deepEqual(await cache.get('a'), { n: 1 });
+    time = 60_000;
+    assert.equal(await cache.get('a'), null);
+  });
+
+  it('returns copies', async () => {
+    const cache = createMemoryParseCache();
+    const value = { recipe: { title: 'Soup' } };
+    await cache.set('a', value);
+    value.recipe.title = 'Changed';
+    (await cache.get('a')).recipe.title = 'Changed again';
+
+    assert.equal((await cache.get('a')).recipe.title, 'Soup');
+  });
+});
+
+describe('createFirestoreParseCache', () => {
+  it('stores responses as JSON with an expiry', async () => {
+    let time = 1_000_000;
+    const db = createFakeFirestore();
+    const cache = createFirestoreParseCache({ getDb: () => db, ttlSeconds: 60, now: () => time });
+
+    await cache.set('key', { recipe: { instructions: [{ durations: [] }] } });
+    const stored = db.docs.get('parseCache/key');
+    assert.equal(typeof stored.response, 'string');
+    assert.equal(stored.expiresAt.getTime(), time + 60_000);
+
+    assert.deepEqual(await cache.get('key'), { recipe: { instructions: [{ durations: [] }] } });
+    assert.equal(await cache.get('missing'), null);
+
+    time += 60_000;
+    assert.equal(await cache.get('key'), null);
+  });
+});
+
+describe('cached parse routes', () => {
+  let pages;
+  let server;
+
+  before(async () => {
+    pages = await startFixtureServer();
+  });
+
+  after(() => pages.close());
+  afterEach(() => server?.close());
+
+  it('serves repeated /parse-recipe text from the cache', async () => {
+    server = await startApp({ replies: [REPLY] });
+
+    const first = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup\n1 onion\nCook.' } });
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+
+    const second = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup\r\n1 onion \r\nCook.' } });
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.deepEqual(second.json, first.json);
+    assert.equal(server.openai.requests.length, 1);
+  });
+
+  it('bypasses and refreshes the cache on request', async () => {
+    server = await startApp({ replies: [REPLY, { ...REPLY, title: 'Better Soup' }] });
+    await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup' } });
+
+    const bypassed = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup', cache: 'bypass' } });
+    assert.equal(bypassed.headers.get('x-cache'), 'BYPASS');
+    assert.equal(bypassed.json.recipe.title, 'Better Soup');
+
+    const cached = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup' } });
+    assert.equal(cached.headers.get('x-cache'), 'HIT');
+    assert.equal(cached.json.recipe.title, 'Better Soup');
+    assert.equal(server.openai.requests.length, 2);
+  });
+
+  it('does not cache failures', async () => {
+    server = await startApp({ replies: [new Error('upstream down'), REPLY] });
+
+    assert.equal((await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup' } })).status, 500);
+    const retry = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup' } });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('x-cache'), 'MISS');
+  });
+
+  it('keys /parse-url by canonical URL and echoes the requested URL', async () => {
+    let fetches = 0;
+    const counting = await startFixtureServer({
+      '/soup': (req, res) => {
+        fetches += 1;
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<h1>Soup</h1><h2>Ingredients</h2><ul><li>1 onion</li></ul><h2>Method</h2><p>Cook.</p>');
+      }
+    });
+    server = await startApp({ replies: [REPLY] });
+
+    const first = await server.request('/parse-url', { method: 'POST', body: { url: `${counting.baseUrl}/soup?utm_source=newsletter` } });
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+
+    const url = `${counting.baseUrl}/soup#recipe`;
+    const second = await server.request('/parse-url', { method: 'POST', body: { url } });
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.deepEqual(second.json.source, { type: 'url', url });
+    assert.equal(fetches, 1);
+    await counting.close();
+  });
+
+  it('caches structured data results too', async () => {
+    server = await startApp();
+    const url = `${pages.baseUrl}/json-ld-recipe.html`;
+    await server.request('/parse-url', { method: 'POST', body: { url } });
+
+    const second = await server.request('/parse-url', { method: 'POST', body: { url } });
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.equal(second.json.extractionMethod, 'json-ld');
+  });
+
+  it('keeps working when the cache backend fails', async () => {
+    const broken = {
+      async get() { throw new Error('cache down'); },
+      async set() { throw new Error('cache down'); }
+    };
+    server = await startApp({ replies: [REPLY], overrides: { parseCache: broken } });
+
+    const res = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-cache'), 'MISS');
+  });
+
+  it('can be disabled', async () => {
+    server = await startApp({ replies: [REPLY], overrides: { parseCache: null } });
+    const res = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup' } });
+    assert.equal(res.headers.get('x-cache'), null);
+  });
+
+  it('rejects unknown cache modes', async () => {
+    server = await startApp();
+    const res = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup', cache: 'only-if-cached' } });
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const VALID_REPLY = {
+  title: 'Tomato Soup',
+  ingredientsByProcessingStep: [
+    { name: 'Ingredients', items: [{ quantity: '1 kg', name: 'tomatoes' }, { quantity: '1', name: 'onion' }] }
+  ],
+  instructions: [
+    { section: null, text: 'Chop the onion and tomatoes.' },
+    { section: null, text: 'Simmer for 30 minutes.' }
+  ],
+  tags: ['soup']
+};
+
+describe('POST /parse-recipe', () => {
+  let server;
+
+  afterEach(() => server?.close());
+
+  it('returns the versioned envelope with parsed ingredients and steps', async () => {
+    server = await startApp({ replies: [VALID_REPLY] });
+    const res = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Tomato soup ...' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.json.version, 1);
+    assert.equal(res.json.extractionMethod, 'llm');
+    assert.deepEqual(res.json.source, { type: 'text' });
+
+    const { recipe } = res.json;
+    assert.equal(recipe.title, 'Tomato Soup');
+    assert.equal(recipe.steps, '1. Chop the onion and tomatoes.\n2. Simmer for 30 minutes.');
+    assert.equal(recipe.ingredientsByProcessingStep[0].items[0].amount, 1);
+    assert.equal(recipe.ingredientsByProcessingStep[0].items[0].unit, 'kg');
+    assert.equal(recipe.instructions[1].durations[0].seconds, 1800);
+    assert.deepEqual(recipe.instructions[0].ingredientRefs.map(ref => ref.name), ['tomatoes', 'onion']);
+  });
+
+  it('asks the model for JSON output', async () => {
+    server = await startApp({ replies: [VALID_REPLY] });
+    await server.request('/parse-recipe', { method: 'POST', body: { text: 'Tomato soup' } });
+
+    assert.equal(server.openai.requests.length, 1);
+    assert.deepEqual(server.openai.requests[0].response_format, { type: 'json_object' });
+    assert.match(server.openai.requests[0].messages[1].content, /Tomato soup/);
+  });
+
+  it('validates the request body', async () => {
+    server = await startApp();
+
+    let res = await server.request('/parse-recipe', { method: 'POST', body: {} });
+    assert.equal(res.status, 400);
+
+    res = await server.request('/parse-recipe', { method: 'POST', body: { text: 42 } });
+    assert.equal(res.status, 400);
+
+    res = await server.request('/parse-recipe', { method: 'POST', body: { text: 'x'.repeat(15001) } });
+    assert.equal(res.status, 400);
+    assert.match(res.json.error, /15000/);
+    assert.equal(server.openai.requests.length, 0);
+  });
+
+  it('repairs fenced, chatty replies with trailing commas and loose types', async () => {
+    const reply = 'Here is the recipe:\n```json\n{"title": "Soup", "ingredients": ["1 kg tomatoes", "2 onions",], "steps": ["Chop.", "Simmer."], "tags": "soup, easy"}\n```\nEnjoy!';
+    server = await startApp({ replies: [reply] });
+    const res = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(server.openai.requests.length, 1);
+    const { recipe } = res.json;
+    assert.deepEqual(recipe.ingredientsByProcessingStep[0].items.map(item => item.name), ['tomatoes', 'onions']);
+    assert.equal(recipe.steps, '1. Chop.\n2. Simmer.');
+    assert.deepEqual(recipe.tags, ['soup', 'easy']);
+  });
+
+  it('retries once with the validation errors when repair is impossible', async () => {
+    server = await startApp({ replies: ['{"title": "Soup", "ingredientsByProcessingStep": []}', VALID_REPLY] });
+    const res = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(server.openai.requests.length, 2);
+    const retryMessages = server.openai.requests[1].messages;
+    assert.equal(retryMessages.at(-2).role, 'assistant');
+    assert.match(retryMessages.at(-1).content, /ingredientsByProcessingStep/);
+  });
+
+  it('returns 502 when the retry is still invalid', async () => {
+    server = await startApp({ replies: ['not json at all', '{"title": ""}'] });
+    const res = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup' } });
+
+    assert.equal(res.status, 502);
+    assert.equal(res.json.code, 'invalid-model-output');
+    assert.ok(res.json.details.length > 0);
+  });
+
+  it('returns 500 when the model call fails', async () => {
+    server = await startApp({ replies: [new Error('upstream down')] });
+    const res = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup' } });
+
+    assert.equal(res.status, 500);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLlmProvider } from '../lib/llm.js';
+import { createSafeFetcher } from '../lib/safe-fetch.js';
+import { startApp, startFixtureServer, FIXTURES_DIR, muteConsoleLog } from './helpers.js';
+import path from 'node:path';
+
+muteConsoleLog();
+
+describe('POST /parse-url', () => {
+  let pages;
+  let server;
+
+  before(async () => {
+    pages = await startFixtureServer();
+  });
+
+  after(() => pages.close());
+  afterEach(() => server?.close());
+
+  it('uses JSON-LD recipe data without calling the model', async () => {
+    server = await startApp();
+    const url = `${pages.baseUrl}/json-ld-recipe.html`;
+    const res = await server.request('/parse-url', { method: 'POST', body: { url } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.json.extractionMethod, 'json-ld');
+    assert.deepEqual(res.json.source, { type: 'url', url });
+    assert.equal(res.json.recipe.title, 'Classic Pancakes');
+    assert.ok(res.json.recipe.instructions.some(step => step.section === 'Batter'));
+    assert.equal(server.openai.requests.length, 0);
+  });
+
+  it('uses microdata recipe data without calling the model', async () => {
+    server = await startApp();
+    const res = await server.request('/parse-url', { method: 'POST', body: { url: `${pages.baseUrl}/microdata-recipe.html` } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.json.extractionMethod, 'microdata');
+    assert.equal(res.json.recipe.title, 'Apfelkuchen');
+    assert.equal(server.openai.requests.length, 0);
+  });
+
+  it('falls back to the model for pages without structured data', async () => {
+    server = await startApp({ llm: createLlmProvider('fake', { fixturesDir: path.join(FIXTURES_DIR, 'llm') }) });
+    const res = await server.request('/parse-url', { method: 'POST', body: { url: `${pages.baseUrl}/plain-recipe.html` } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.json.extractionMethod, 'llm');
+    assert.equal(res.json.recipe.title, "Grandma's Tomato Soup");
+    assert.equal(res.json.recipe.ingredientsByProcessingStep[0].items.length, 3);
+  });
+
+  it('sends page text, not markup, to the model', async () => {
+    server = await startApp({ replies: [{ title: 'Soup', ingredients: ['1 onion'], steps: ['Cook.'] }] });
+    await server.request('/parse-url', { method: 'POST', body: { url: `${pages.baseUrl}/plain-recipe.html` } });
+
+    const prompt = server.openai.requests[0].messages.at(-1).content;
+    assert.match(prompt, /# Grandma's Tomato Soup/);
+    assert.match(prompt, /## Ingredients\n\n- 1 kg tomatoes\n- 1 onion/);
+    assert.doesNotMatch(prompt, /<h1>|font-family|tracking/);
+  });
+
+  it('validates the url', async () => {
+    server = await startApp();
+
+    let res = await server.request('/parse-url', { method: 'POST', body: {} });
+    assert.equal(res.status, 400);
+
+    res = await server.request('/parse-url', { method: 'POST', body: { url: 'not a url' } });
+    assert.equal(res.status, 400);
+    assert.equal(res.json.code, 'invalid-url');
+  });
+
+  it('reports pages that cannot be fetched', async () => {
+    server = await startApp();
+    const res = await server.request('/parse-url', { method: 'POST', body: { url: `${pages.baseUrl}/missing.html` } });
+
+    assert.equal(res.status, 502);
+    assert.equal(res.json.code, 'upstream-error');
+    assert.match(res.json.error, /HTTP 404/);
+  });
+
+  it('refuses private addresses with the default fetcher', async () => {
+    server = await startApp({ overrides: { fetchPage: createSafeFetcher() } });
+
+    let res = await server.request('/parse-url', { method: 'POST', body: { url: `${pages.baseUrl}/json-ld-recipe.html` } });
+    assert.equal(res.status, 403);
+    assert.equal(res.json.code, 'blocked-address');
+
+    res = await server.request('/parse-url', { method: 'POST', body: { url: 'http://169.254.169.254/latest/meta-data/' } });
+    assert.equal(res.status, 403);
+
+    res = await server.request('/parse-url', { method: 'POST', body: { url: 'file:///etc/passwd' } });
+    assert.equal(res.status, 400);
+    assert.equal(res.json.code, 'unsupported-scheme');
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryRateLimitStore } from '../lib/rate-limit.js';
+import { startApp, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const REPLY = { title: 'Soup', ingredients: ['1 onion'], steps: ['Cook.'] };
+
+describe('createMemoryRateLimitStore', () => {
+  it('counts requests in a sliding window', async () => {
+    let time = 0;
+    const store = createMemoryRateLimitStore({ now: () => time });
+    const policy = { limit: 2, windowMs: 60_000 };
+
+    assert.equal((await store.hit('k', policy)).allowed, true);
+    time = 10_000;
+    assert.deepEqual(await store.hit('k', policy), { allowed: true, remaining: 0, resetMs: 50_000 });
+
+    time = 20_000;
+    assert.deepEqual(await store.hit('k', policy), { allowed: false, remaining: 0, resetMs: 40_000 });
+
+    // The first request leaves the window, the rejected one never entered it
+    time = 60_001;
+    assert.equal((await store.hit('k', policy)).allowed, true);
+    assert.equal((await store.hit('k', policy)).allowed, false);
+    assert.equal((await store.hit('other', policy)).allowed, true);
+  });
+
+  it('expires counters', async () => {
+    let time = 0;
+    const store = createMemoryRateLimitStore({ now: () => time });
+    await store.increment('tokens', 100, { expiresAt: new Date(1000) });
+    await store.increment('tokens', 50, { expiresAt: new Date(1000) });
+
+    assert.equal(await store.getCounter('tokens'), 150);
+    time = 1000;
+    assert.equal(await store.getCounter('tokens'), 0);
+  });
+
+  it('drops expired windows and counters once it holds too many keys', async () => {
+    let time = 0;
+    const store = createMemoryRateLimitStore({ maxKeys: 2, now: () => time });
+    const policy = { limit: 5, windowMs: 1000 };
+    for (const ip of ['a', 'b']) await store.hit(`ip:${ip}`, policy);
+    for (const day of [1, 2]) await store.increment(`tokens:day-${day}`, 10, { expiresAt: new Date(1000) });
+    assert.equal(store.size, 4);
+
+    // Past the limit, a write clears out what has expired
+    time = 1000;
+    await store.hit('ip:c', policy);
+    await store.increment('tokens:day-3', 10, { expiresAt: new Date(2000) });
+    assert.equal(store.size, 2);
+    assert.equal(await store.getCounter('tokens:day-3'), 10);
+    assert.equal((await store.hit('ip:c', policy)).remaining, 3);
+  });
+});
+
+describe('rate limited routes', () => {
+  let server;
+
+  afterEach(() => server?.close());
+
+  it('limits parse requests per user with RateLimit headers', async () => {
+    server = await startApp({ replies: Array(3).fill(REPLY), overrides: { rateLimits: { userPerMinute: 2 } } });
+    const parse = (text, uid = 'user-1') => server.request('/parse-recipe', { method: 'POST', uid, body: { text } });
+
+    const first = await parse('one');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal(first.headers.get('ratelimit-policy'), '2;w=60');
+    assert.equal((await parse('two')).status, 200);
+
+    const limited = await parse('three');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.json.code, 'rate-limited');
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+    const retryAfter = Number(limited.headers.get('retry-after'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+
+    assert.equal((await parse('three', 'user-2')).status, 200);
+    assert.equal(server.openai.requests.length, 3);
+  });
+
+  it('limits every route but the health check per client IP', async () => {
+    server = await startApp({ overrides: { rateLimits: { ipPerMinute: 3 } } });
+
+    assert.equal((await server.request('/recipes', { uid: 'a' })).status, 200);
+    assert.equal((await server.request('/recipes', { uid: 'b' })).status, 200);
+    assert.equal((await server.request('/parse-recipe', { method: 'POST', token: null, body: {} })).status, 401);
+
+    const limited = await server.request('/recipes', { uid: 'c' });
+    assert.equal(limited.status, 429);
+    assert.ok(limited.headers.get('retry-after'));
+    assert.equal((await server.request('/', { token: null })).status, 200);
+  });
+
+  it('stops parsing once the daily token budget is used up', async () => {
+    // The stub reports 150 tokens per completion
+    server = await startApp({ replies: Array(3).fill(REPLY), overrides: { rateLimits: { dailyTokens: 200 } } });
+    const parse = (text, uid = 'user-1') => server.request('/parse-recipe', { method: 'POST', uid, body: { text } });
+
+    assert.equal((await parse('one')).status, 200);
+    assert.equal((await parse('two')).status, 200);
+
+    const exhausted = await parse('three');
+    assert.equal(exhausted.status, 429);
+    assert.equal(exhausted.json.code, 'token-budget-exceeded');
+    const retryAfter = Number(exhausted.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 24 * 60 * 60);
+
+    assert.equal((await parse('three', 'user-2')).status, 200);
+  });
+
+  it('counts tokens spent on failed extractions', async () => {
+    server = await startApp({ replies: ['not json', 'still not json'], overrides: { rateLimits: { dailyTokens: 300 } } });
+
+    assert.equal((await server.request('/parse-recipe', { method: 'POST', body: { text: 'one' } })).status, 502);
+    const res = await server.request('/parse-recipe', { method: 'POST', body: { text: 'two' } });
+    assert.equal(res.json.code, 'token-budget-exceeded');
+  });
+
+  it('counts tokens spent on OCR', async () => {
+    const ocrProvider = {
+      name: 'metered-ocr',
+      recognize: async () => ({ text: 'Soup\n1 onion', regions: [], usage: { promptTokens: 900, completionTokens: 100, totalTokens: 1000 } })
+    };
+    server = await startApp({ replies: [REPLY], overrides: { ocrProvider, rateLimits: { dailyTokens: 1000 } } });
+
+    const body = { imageData: 'AA==', contentType: 'image/png' };
+    assert.equal((await server.request('/parse-image', { method: 'POST', body })).status, 200);
+    assert.equal((await server.request('/parse-image', { method: 'POST', body })).status, 429);
+  });
+
+  it('does not charge cached results', async () => {
+    server = await startApp({ replies: [REPLY], overrides: { rateLimits: { dailyTokens: 200 } } });
+
+    for (let i = 0; i < 3; i++) {
+      const res = await server.request('/parse-recipe', { method: 'POST', body: { text: 'same' } });
+      assert.equal(res.status, 200);
+    }
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const broken = {
+      hit: async () => { throw new Error('store down'); },
+      getCounter: async () => { throw new Error('store down'); },
+      increment: async () => { throw new Error('store down'); }
+    };
+    server = await startApp({ replies: [REPLY], overrides: { rateLimitStore: broken } });
+
+    const res = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Soup' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('ratelimit-limit'), null);
+  });
+});
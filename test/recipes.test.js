@@ -0,0 +1,155 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import admin from 'firebase-admin';
+import { createFirestoreRecipeStore } from '../lib/recipe-store.js';
+import { startApp, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const RECIPE = {
+  title: 'Pancakes',
+  ingredients: ['200 g flour', '2 eggs', '300 ml milk'],
+  steps: ['Whisk everything together.', 'Fry for 2 minutes per side.'],
+  tags: ['breakfast']
+};
+
+// The same route tests run against the in-memory store and, when one is
+// configured, the Firestore emulator, e.g.
+//   firebase emulators:exec --only firestore "npm test"
+function describeRecipeRoutes(name, { skip, createStore, reset } = {}) {
+  describe(name, { skip }, () => {
+    let server;
+
+    beforeEach(async () => {
+      await reset?.();
+      server = await startApp({ recipeStore: createStore?.() });
+    });
+
+    afterEach(() => server.close());
+
+    it('saves, loads, updates and deletes a recipe', async () => {
+      const created = await server.request('/recipes', { method: 'POST', body: { ...RECIPE, servings: 4 } });
+      assert.equal(created.status, 201);
+      const { id } = created.json.recipe;
+      assert.equal(created.json.recipe.ownerId, 'user-1');
+      assert.equal(created.json.recipe.servings, 4);
+      assert.equal(created.json.recipe.extractionMethod, 'manual');
+
+      const loaded = await server.request(`/recipes/${id}`);
+      assert.equal(loaded.status, 200);
+      assert.equal(loaded.json.recipe.title, 'Pancakes');
+      assert.equal(loaded.json.recipe.ingredientsByProcessingStep[0].items.length, 3);
+
+      const updated = await server.request(`/recipes/${id}`, { method: 'PUT', body: { ...RECIPE, title: 'Crêpes' } });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.json.recipe.title, 'Crêpes');
+      assert.equal(updated.json.recipe.createdAt, created.json.recipe.createdAt);
+
+      const removed = await server.request(`/recipes/${id}`, { method: 'DELETE' });
+      assert.equal(removed.status, 204);
+
+      const gone = await server.request(`/recipes/${id}`);
+      assert.equal(gone.status, 404);
+      assert.equal(gone.json.code, 'not-found');
+    });
+
+    it('accepts a parse response envelope as-is', async () => {
+      const envelope = { version: 1, recipe: RECIPE, extractionMethod: 'json-ld', source: { type: 'url', url: 'https://example.com/pancakes' } };
+      const res = await server.request('/recipes', { method: 'POST', body: envelope });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.json.recipe.extractionMethod, 'json-ld');
+      assert.deepEqual(res.json.recipe.source, { type: 'url', url: 'https://example.com/pancakes' });
+    });
+
+    it("keeps users out of each other's recipes", async () => {
+      const created = await server.request('/recipes', { method: 'POST', uid: 'alice', body: RECIPE });
+      const { id } = created.json.recipe;
+
+      assert.equal((await server.request(`/recipes/${id}`, { uid: 'bob' })).status, 404);
+      assert.equal((await server.request(`/recipes/${id}`, { method: 'PUT', uid: 'bob', body: RECIPE })).status, 404);
+      assert.equal((await server.request(`/recipes/${id}`, { method: 'DELETE', uid: 'bob' })).status, 404);
+
+      const bobsList = await server.request('/recipes', { uid: 'bob' });
+      assert.deepEqual(bobsList.json.recipes, []);
+    });
+
+    it('paginates newest first', async () => {
+      for (const title of ['One', 'Two', 'Three']) {
+        await server.request('/recipes', { method: 'POST', body: { ...RECIPE, title } });
+        // createdAt has millisecond resolution
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+
+      const first = await server.request('/recipes?limit=2');
+      assert.deepEqual(first.json.recipes.map(recipe => recipe.title), ['Three', 'Two']);
+      assert.ok(first.json.nextCursor);
+
+      const second = await server.request(`/recipes?limit=2&cursor=${first.json.nextCursor}`);
+      assert.deepEqual(second.json.recipes.map(recipe => recipe.title), ['One']);
+      assert.equal(second.json.nextCursor, null);
+    });
+
+    it('rejects invalid recipes with details', async () => {
+      const res = await server.request('/recipes', { method: 'POST', body: { title: 'Empty' } });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.json.code, 'invalid-recipe');
+      assert.ok(res.json.details.length > 0);
+    });
+
+    it("rejects image paths outside the caller's folder", async () => {
+      const res = await server.request('/recipes', { method: 'POST', body: { ...RECIPE, imagePath: 'recipes/someone-else/a.jpg' } });
+      assert.equal(res.status, 400);
+    });
+
+    it('rejects bad pagination parameters', async () => {
+      assert.equal((await server.request('/recipes?limit=0')).status, 400);
+
+      const res = await server.request('/recipes?cursor=does-not-exist');
+      assert.equal(res.status, 400);
+      assert.equal(res.json.code, 'invalid-cursor');
+    });
+  });
+}
+
+describeRecipeRoutes('/recipes');
+
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+const PROJECT_ID = 'demo-chef-choice';
+
+describe('/recipes on the Firestore emulator', { skip: !emulatorHost && 'FIRESTORE_EMULATOR_HOST is not set' }, () => {
+  let firestoreApp;
+
+  before(() => {
+    firestoreApp = admin.initializeApp({ projectId: PROJECT_ID }, `recipes-${Date.now()}`);
+  });
+
+  after(() => firestoreApp.delete());
+
+  describeRecipeRoutes('Firestore recipe store', {
+    createStore: () => createFirestoreRecipeStore(() => firestoreApp.firestore()),
+    // Every test starts from an empty database
+    reset: async () => {
+      const res = await fetch(`http://${emulatorHost}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+      assert.ok(res.ok, `Clearing the Firestore emulator failed with ${res.status}`);
+    }
+  });
+
+  it("stores recipes under their owner's document with timestamps", async () => {
+    const server = await startApp({ recipeStore: createFirestoreRecipeStore(() => firestoreApp.firestore()) });
+    try {
+      const created = (await server.request('/recipes', { method: 'POST', uid: 'carol', body: RECIPE })).json.recipe;
+      const snapshot = await firestoreApp.firestore().doc(`users/carol/recipes/${created.id}`).get();
+      assert.equal(snapshot.get('ownerId'), 'carol');
+      assert.equal(snapshot.get('createdAt'), created.createdAt);
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const updated = (await server.request(`/recipes/${created.id}`, { method: 'PUT', uid: 'carol', body: RECIPE })).json.recipe;
+      assert.equal(updated.createdAt, created.createdAt);
+      assert.ok(updated.updatedAt > created.updatedAt);
+    } finally {
+      await server.close();
+    }
+  });
+});
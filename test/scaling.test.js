@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { scaleRecipe } from '../lib/scaling.js';
+
+const recipeWith = items => ({
+  title: 'Test',
+  servings: 2,
+  ingredientsByProcessingStep: [{ name: 'Ingredients', items }]
+});
+
+const scale = (items, options) => {
+  const result = scaleRecipe(recipeWith(items), { servings: 2, ...options });
+  return { items: result.recipe.ingredientsByProcessingStep[0].items, unconverted: result.unconverted };
+};
+
+describe('scaleRecipe', () => {
+  it('scales and converts bare fractions', () => {
+    const { items: [sugar, salt], unconverted } = scale(
+      [{ quantity: '1/2 cup', name: 'sugar' }, { quantity: '3/4 tsp', name: 'salt' }],
+      { targetServings: 4, unitSystem: 'metric' }
+    );
+
+    assert.deepEqual([sugar.amount, sugar.unit, sugar.quantity], [200, 'g', '200 g']);
+    assert.deepEqual([salt.amount, salt.unit], [1.5, 'tsp']);
+    assert.deepEqual(unconverted, []);
+
+    const { items: [cup] } = scale([{ quantity: '1/2 cup', name: 'milk' }], { targetServings: 4 });
+    assert.equal(cup.quantity, '1 cup');
+  });
+
+  it('reports units with no equivalent in the target system and pluralises them', () => {
+    const { items: [salt, garlic], unconverted } = scale(
+      [{ quantity: '1 pinch', name: 'salt' }, { quantity: '2 Zehen', name: 'Knoblauch' }],
+      { targetServings: 4, unitSystem: 'metric' }
+    );
+
+    assert.equal(salt.quantity, '2 pinches');
+    assert.equal(garlic.quantity, '4 Zehen');
+    assert.deepEqual(unconverted.map(entry => [entry.original, entry.reason]), [
+      ['1 pinch salt', 'unknown-unit'],
+      ['2 Zehen Knoblauch', 'unknown-unit']
+    ]);
+
+    // Only scaling, no conversion asked for
+    const plain = scale([{ quantity: '2 sticks', name: 'cinnamon' }], { targetServings: 1 });
+    assert.equal(plain.items[0].quantity, '1 stick');
+    assert.deepEqual(plain.unconverted, []);
+  });
+
+  it('weighs sticks of butter for metric and keeps them for US cooks', () => {
+    const metric = scale([{ quantity: '1 stick', name: 'butter' }], { targetServings: 4, unitSystem: 'metric' });
+    assert.deepEqual([metric.items[0].quantity, metric.items[0].unit], ['230 g', 'g']);
+    assert.deepEqual(metric.unconverted, []);
+
+    const us = scale([{ quantity: '1 stick', name: 'butter' }], { targetServings: 3, unitSystem: 'us' });
+    assert.equal(us.items[0].quantity, '1½ sticks');
+    assert.deepEqual(us.unconverted, []);
+  });
+
+  it('rounds counted ingredients to halves and whole ones', () => {
+    const { items: [garlic, eggs, egg, onion] } = scale(
+      [{ quantity: '3 cloves', name: 'garlic' }, { quantity: '3', name: 'eggs' }, { quantity: '1', name: 'egg' }, { quantity: '1/4', name: 'onion' }],
+      { targetServings: 3 }
+    );
+
+    assert.equal(garlic.quantity, '5 cloves');
+    assert.equal(eggs.quantity, '5');
+    assert.equal(egg.quantity, '1½');
+    assert.equal(onion.quantity, '½');
+  });
+});
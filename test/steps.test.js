@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDurations, detectTemperatures } from '../lib/steps.js';
+
+describe('detectDurations', () => {
+  it('reads mixed numbers and fractions', () => {
+    const seconds = text => detectDurations(text).map(duration => [duration.text, duration.seconds, duration.maxSeconds]);
+
+    assert.deepEqual(seconds('Braise for 1 1/2 hours.'), [['1 1/2 hours', 5400, null]]);
+    assert.deepEqual(seconds('Simmer 1½ hours'), [['1½ hours', 5400, null]]);
+    assert.deepEqual(seconds('Rest 3/4 hour'), [['3/4 hour', 2700, null]]);
+    assert.deepEqual(seconds('Bake 1 1/2 to 2 hours'), [['1 1/2 to 2 hours', 5400, 7200]]);
+    assert.deepEqual(seconds('2,5 Stunden garen'), [['2,5 Stunden', 9000, null]]);
+    assert.deepEqual(seconds('Add 1/2 cup stock, cook 10-12 minutes'), [['10-12 minutes', 600, 720]]);
+  });
+});
+
+describe('detectTemperatures', () => {
+  it('converts both ends of a range', () => {
+    const [fahrenheit] = detectTemperatures('Bake at 350–375°F.');
+    assert.deepEqual(
+      [fahrenheit.celsius, fahrenheit.celsiusMax, fahrenheit.fahrenheit, fahrenheit.fahrenheitMax],
+      [175, 190, 350, 375]
+    );
+
+    const [celsius] = detectTemperatures('Bei 180-200 Grad backen');
+    assert.deepEqual([celsius.unit, celsius.celsiusMax, celsius.fahrenheit, celsius.fahrenheitMax], ['C', 200, 355, 390]);
+
+    const [single] = detectTemperatures('Preheat to 200°C');
+    assert.deepEqual([single.celsiusMax, single.fahrenheitMax], [null, null]);
+  });
+
+  it('reads a bare C or F straight after the number', () => {
+    const found = text => detectTemperatures(text).map(temperature => [temperature.text, temperature.unit, temperature.celsius, temperature.fahrenheit]);
+
+    assert.deepEqual(found('Bake at 350F for 1 hour'), [['350F', 'F', 175, 350]]);
+    assert.deepEqual(found('Roast at 180C until golden'), [['180C', 'C', 180, 355]]);
+    assert.deepEqual(found('Bake at 350-375F'), [['350-375F', 'F', 175, 350]]);
+    assert.deepEqual(found('Add 10c sugar, 2 c flour and 1234F'), []);
+  });
+
+  it('merges a conversion in brackets into one setting', () => {
+    const [oven, ...rest] = detectTemperatures('Heat the oven to 200°C (400°F), then 220°C');
+
+    assert.deepEqual([oven.text, oven.unit, oven.celsius, oven.fahrenheit], ['200°C (400°F)', 'C', 200, 400]);
+    assert.deepEqual(rest.map(temperature => temperature.text), ['220°C']);
+
+    const [meal] = detectTemperatures('BAKE 375F (190C) 25 MINUTES');
+    assert.deepEqual([meal.text, meal.celsius, meal.fahrenheit], ['375F (190C)', 190, 375]);
+  });
+});
@@ -0,0 +1,243 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import admin from 'firebase-admin';
+import { createStorageSweeper, listUserUploads, uploadKey } from '../lib/storage-lifecycle.js';
+import { createMemoryRecipeStore } from '../lib/recipe-store.js';
+import { createMemoryUploadSessionStore } from '../lib/upload-sessions.js';
+import { startApp, createTestImage, createMemoryBucket, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const RECIPE = { title: 'Toast', ingredients: ['1 slice bread'], steps: ['Toast it.'] };
+
+// Pretends every file of the upload was stored `days` ago
+function backdate(bucket, uploadPath, days) {
+  const folder = uploadPath.slice(0, uploadPath.lastIndexOf('/') + 1);
+  const uploadedAt = new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
+  for (const [path, file] of bucket.files) {
+    if (path.startsWith(folder)) file.metadata = { ...file.metadata, metadata: { ...file.metadata.metadata, uploadedAt } };
+  }
+}
+
+const filesUnder = (bucket, prefix) => [...bucket.files.keys()].filter(path => path.startsWith(prefix));
+
+describe('uploadKey', () => {
+  it('groups variants by folder and leaves shared files alone', () => {
+    assert.deepEqual(uploadKey('recipes/u1/r1_cake/thumb.webp'), { uid: 'u1', key: 'recipes/u1/r1_cake' });
+    assert.deepEqual(uploadKey('recipes/u1/123_cake.jpg'), { uid: 'u1', key: 'recipes/u1/123_cake.jpg' });
+    assert.equal(uploadKey('recipes/123_cake.jpg'), null);
+    assert.equal(uploadKey('recipes/u1/../u2/a.jpg'), null);
+    assert.equal(uploadKey('uploads/u1/x/1'), null);
+    assert.equal(uploadKey(undefined), null);
+  });
+});
+
+describe('/storage', () => {
+  let server;
+  let image;
+
+  before(async () => {
+    server = await startApp();
+    image = (await createTestImage()).toString('base64');
+  });
+
+  after(() => server.close());
+
+  const upload = async (recipeId, uid = 'user-1') => (await server.request('/upload-image', {
+    method: 'POST',
+    uid,
+    body: { imageData: image, fileName: 'photo.jpg', ...(recipeId ? { recipeId } : {}) }
+  })).json;
+  const save = async (imagePath, uid = 'user-1') => (await server.request('/recipes', {
+    method: 'POST',
+    uid,
+    body: { recipe: RECIPE, imagePath }
+  })).json.recipe;
+
+  it("lists the caller's uploads with the recipes using them", async () => {
+    const first = await upload('list-1');
+    const recipe = await save(first.uploadPath);
+    await upload('list-2', 'user-2');
+
+    const res = await server.request('/storage/uploads');
+    assert.equal(res.status, 200);
+    const listed = res.json.uploads.find(entry => entry.uploadPath === first.uploadPath);
+    assert.equal(listed.recipeId, 'list-1');
+    assert.deepEqual(listed.usedBy, [recipe.id]);
+    assert.equal(listed.files.length, 6);
+    assert.equal(listed.size, listed.files.reduce((total, file) => total + file.size, 0));
+    assert.match(listed.downloadURL, /\/images\/recipes\/user-1\/list-1_photo\/full\.jpg\?expires=/);
+    assert.ok(res.json.uploads.every(entry => entry.uploadPath.startsWith('recipes/user-1/')));
+  });
+
+  it("deletes a recipe's images with the recipe unless another recipe uses them", async () => {
+    const own = await upload();
+    const shared = await upload();
+    const recipe = await save(own.uploadPath);
+    const first = await save(shared.uploadPath);
+    const second = await save(shared.uploadPath);
+
+    assert.equal((await server.request(`/recipes/${recipe.id}`, { method: 'DELETE' })).status, 204);
+    assert.deepEqual(filesUnder(server.bucket, own.uploadPath.replace(/full\.jpg$/, '')), []);
+
+    await server.request(`/recipes/${first.id}`, { method: 'DELETE' });
+    assert.equal(filesUnder(server.bucket, shared.uploadPath.replace(/full\.jpg$/, '')).length, 6);
+    await server.request(`/recipes/${second.id}`, { method: 'DELETE' });
+    assert.deepEqual(filesUnder(server.bucket, shared.uploadPath.replace(/full\.jpg$/, '')), []);
+  });
+
+  it('deletes the images uploaded for a recipe id', async () => {
+    const abandoned = await upload('draft-7');
+    const other = await upload('draft-7', 'user-2');
+
+    const res = await server.request('/storage/recipes/draft-7/images', { method: 'DELETE' });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.deleted.length, 6);
+    assert.ok(res.json.deleted.every(path => path.startsWith('recipes/user-1/draft-7_photo/')));
+    assert.ok(!server.bucket.files.has(abandoned.uploadPath));
+    assert.ok(server.bucket.files.has(other.uploadPath));
+
+    assert.deepEqual((await server.request('/storage/recipes/none/images', { method: 'DELETE' })).json, { deleted: [], kept: [] });
+    assert.equal((await server.request('/storage/recipes/a.b/images', { method: 'DELETE' })).status, 400);
+  });
+});
+
+describe('POST /storage/sweep', () => {
+  let server;
+  let image;
+
+  before(async () => {
+    server = await startApp();
+    image = (await createTestImage()).toString('base64');
+  });
+
+  after(() => server.close());
+
+  const adminToken = () => server.auth.tokenFor('admin-1', { admin: true });
+  const sweep = body => server.request('/storage/sweep', { method: 'POST', token: adminToken(), body });
+
+  it('is for admins only', async () => {
+    const res = await server.request('/storage/sweep', { method: 'POST', body: {} });
+    assert.equal(res.status, 403);
+    assert.equal(res.json.code, 'admin-only');
+    assert.equal((await sweep({ dryRun: 'no' })).status, 400);
+    assert.equal((await sweep({ minAgeDays: 0 })).status, 400);
+  });
+
+  it('reports, then deletes, old uploads no recipe uses and abandoned chunks', async () => {
+    const post = async uid => (await server.request('/upload-image', { method: 'POST', uid, body: { imageData: image, fileName: 'p.jpg' } })).json;
+    const orphan = await post('user-1');
+    const used = await post('user-1');
+    const recent = await post('user-2');
+    backdate(server.bucket, orphan.uploadPath, 30);
+    backdate(server.bucket, used.uploadPath, 30);
+    await server.request('/recipes', { method: 'POST', body: { recipe: RECIPE, imagePath: used.uploadPath } });
+    await server.bucket.file('recipes/1748094052524_shared.jpg').save(Buffer.from('old'));
+
+    // A resumable upload in progress and chunks left behind by a lost session
+    const started = await server.request('/uploads', { method: 'POST', body: { fileName: 'big.jpg', size: 10000 } });
+    await fetch(`${server.baseUrl}/uploads/${started.json.uploadId}`, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${server.auth.tokenFor('user-1')}`, 'Upload-Offset': '0', 'Content-Type': 'application/octet-stream' },
+      body: Buffer.from(image, 'base64').subarray(0, 100)
+    });
+    await server.bucket.file('uploads/user-1/lost-session/000000000000-abcd').save(Buffer.from('x'));
+
+    const before = server.bucket.files.size;
+    const report = await sweep({});
+    assert.equal(report.status, 200);
+    assert.equal(report.json.dryRun, true);
+    assert.deepEqual(report.json.orphaned.map(entry => entry.uploadPath), [orphan.uploadPath]);
+    assert.equal(report.json.orphaned[0].files.length, 6);
+    assert.ok(report.json.orphanedBytes > 0);
+    assert.deepEqual(report.json.abandonedChunks, ['uploads/user-1/lost-session/000000000000-abcd']);
+    assert.equal(report.json.deletedFiles, 0);
+    assert.equal(server.bucket.files.size, before);
+
+    // A longer grace period spares the 30 day old upload
+    assert.equal((await sweep({ minAgeDays: 60 })).json.orphaned.length, 0);
+
+    const real = await sweep({ dryRun: false });
+    assert.equal(real.json.deletedFiles, 7);
+    assert.ok(!server.bucket.files.has(orphan.uploadPath));
+    assert.ok(server.bucket.files.has(used.uploadPath));
+    assert.ok(server.bucket.files.has(recent.uploadPath));
+    assert.ok(server.bucket.files.has('recipes/1748094052524_shared.jpg'));
+    assert.equal(filesUnder(server.bucket, `uploads/user-1/${started.json.uploadId}/`).length, 1);
+    assert.deepEqual(filesUnder(server.bucket, 'uploads/user-1/lost-session/'), []);
+  });
+
+  it('leaves uploads without the sweepable marker alone and defaults to a dry run', async () => {
+    const bucket = createMemoryBucket();
+    const old = new Date(Date.now() - 30 * 24 * 3600 * 1000).toISOString();
+    // As stored before uploads were marked: a single file, and a folder with no metadata at all
+    await bucket.file('recipes/user-3/1748094052524_legacy.jpg').save(Buffer.from('old'), {
+      metadata: { contentType: 'image/jpeg', metadata: { uploadedBy: 'user-3', uploadedAt: old } }
+    });
+    await bucket.file('recipes/user-3/r9_cake/full.jpg').save(Buffer.from('old'));
+    bucket.files.get('recipes/user-3/r9_cake/full.jpg').metadata.timeCreated = old;
+
+    const sweeper = createStorageSweeper({ getBucket: () => bucket, recipeStore: createMemoryRecipeStore(), minAgeDays: 1 });
+    const dryRun = await sweeper.sweep();
+    assert.equal(dryRun.dryRun, true);
+    assert.equal(dryRun.untracked, 2);
+    assert.ok(dryRun.orphaned.every(entry => entry.uid !== 'user-3'));
+
+    await sweeper.sweep({ dryRun: false });
+    assert.ok(bucket.files.has('recipes/user-3/1748094052524_legacy.jpg'));
+    assert.ok(bucket.files.has('recipes/user-3/r9_cake/full.jpg'));
+  });
+
+  it('never deletes uploads of users whose recipes cannot be read', async () => {
+    const recipeStore = createMemoryRecipeStore();
+    recipeStore.list = async () => {
+      throw new Error('unavailable');
+    };
+    const sweeper = createStorageSweeper({ getBucket: () => server.bucket, recipeStore, minAgeDays: 0, now: () => Date.now() + 1000 });
+
+    const report = await sweeper.sweep();
+    assert.equal(report.orphaned.length, 0);
+    assert.ok(report.skipped.includes('user-1'));
+  });
+});
+
+// Runs against the Firebase Storage emulator when one is configured, e.g.
+//   firebase emulators:exec --only storage "npm test"
+const emulatorHost = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+
+describe('storage lifecycle on the Storage emulator', { skip: !emulatorHost && 'FIREBASE_STORAGE_EMULATOR_HOST is not set' }, () => {
+  let app;
+  let bucket;
+  const prefix = `recipes/emulator-${Date.now()}`;
+
+  before(() => {
+    app = admin.initializeApp({ projectId: 'demo-chef-choice', storageBucket: 'demo-chef-choice.appspot.com' }, `lifecycle-${Date.now()}`);
+    bucket = app.storage().bucket();
+  });
+
+  after(async () => {
+    await bucket.deleteFiles({ prefix: `${prefix}/` }).catch(() => {});
+    await app.delete();
+  });
+
+  it('lists and sweeps real objects', async () => {
+    const uid = prefix.split('/')[1];
+    const old = new Date(Date.now() - 30 * 24 * 3600 * 1000).toISOString();
+    for (const name of ['full.jpg', 'thumb.webp']) {
+      await bucket.file(`${prefix}/r1_old/${name}`).save(Buffer.from('x'), { metadata: { contentType: 'image/jpeg', metadata: { recipeId: 'r1', uploadedAt: old, sweepable: 'true' } } });
+    }
+    await bucket.file(`${prefix}/r2_kept/full.jpg`).save(Buffer.from('y'), { metadata: { contentType: 'image/jpeg', metadata: { uploadedAt: old } } });
+
+    const uploads = await listUserUploads(bucket, uid);
+    assert.deepEqual(uploads.map(upload => upload.uploadPath).sort(), [`${prefix}/r1_old/full.jpg`, `${prefix}/r2_kept/full.jpg`]);
+    assert.equal(uploads.find(upload => upload.recipeId === 'r1').files.length, 2);
+
+    const recipeStore = createMemoryRecipeStore();
+    await recipeStore.create(uid, { ...RECIPE, imagePath: `${prefix}/r2_kept/full.jpg` });
+    const sweeper = createStorageSweeper({ getBucket: () => bucket, recipeStore, uploadSessionStore: createMemoryUploadSessionStore() });
+    const report = await sweeper.sweep({ dryRun: false });
+
+    assert.ok(report.orphaned.some(entry => entry.uploadPath === `${prefix}/r1_old/full.jpg`));
+    assert.deepEqual((await listUserUploads(bucket, uid)).map(upload => upload.uploadPath), [`${prefix}/r2_kept/full.jpg`]);
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { startApp, startFixtureServer, createTestImage, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+describe('POST /image-proxy', () => {
+  let storage;
+  let server;
+  const seen = [];
+
+  before(async () => {
+    // Plays the Firebase Storage REST API; streams the image in two chunks
+    storage = await startFixtureServer({
+      '/v0/b/chef-choice-60cc3.firebasestorage.app/o/recipes%2Fuser-1%2Fcake.png': (req, res) => {
+        seen.push(req.headers);
+        res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG_BYTES.length });
+        res.write(PNG_BYTES.subarray(0, 8));
+        setTimeout(() => res.end(PNG_BYTES.subarray(8)), 10);
+      }
+    });
+    server = await startApp({ overrides: { storageApiBase: storage.baseUrl } });
+  });
+
+  after(async () => {
+    await server.close();
+    await storage.close();
+  });
+
+  it('streams the image with the caller token forwarded', async () => {
+    const token = server.auth.tokenFor('user-1');
+    const response = await fetch(`${server.baseUrl}/image-proxy`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ storagePath: 'recipes/user-1/cake.png' })
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), PNG_BYTES);
+    assert.equal(seen.at(-1).authorization, `Bearer ${token}`);
+  });
+
+  it("refuses another user's files before contacting Storage", async () => {
+    const before = seen.length;
+    const res = await server.request('/image-proxy', { method: 'POST', body: { storagePath: 'recipes/user-2/cake.png' } });
+
+    assert.equal(res.status, 403);
+    assert.equal(seen.length, before);
+  });
+
+  it('rejects path traversal', async () => {
+    const res = await server.request('/image-proxy', { method: 'POST', body: { storagePath: 'recipes/user-1/../user-2/cake.png' } });
+    assert.equal(res.status, 403);
+  });
+
+  it('maps Storage 404s', async () => {
+    const res = await server.request('/image-proxy', { method: 'POST', body: { storagePath: 'recipes/user-1/missing.png' } });
+    assert.equal(res.status, 404);
+    assert.equal(res.json.error, 'Image not found');
+  });
+
+  it('requires a storagePath', async () => {
+    const res = await server.request('/image-proxy', { method: 'POST', body: {} });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('POST /upload-image', () => {
+  let server;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  it("stores processed variants under the caller's uid", async () => {
+    const photo = await createTestImage({ width: 3000, height: 1500, orientation: 6 });
+    const res = await server.request('/upload-image', {
+      method: 'POST',
+      uid: 'user-7',
+      body: { imageData: photo.toString('base64'), fileName: '../My Cake.png', contentType: 'image/png', recipeId: 'abc' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.json.uploadPath, 'recipes/user-7/abc_My_Cake/full.jpg');
+    assert.equal(res.json.contentType, 'image/jpeg');
+    assert.deepEqual(Object.keys(res.json.variants), ['thumb', 'medium', 'full']);
+
+    // Rotated upright and scaled to fit each size
+    const { thumb, full } = res.json.variants;
+    assert.deepEqual([thumb.jpeg.width, thumb.jpeg.height], [160, 320]);
+    assert.deepEqual([full.jpeg.width, full.jpeg.height], [1024, 2048]);
+    assert.equal(thumb.webp.uploadPath, 'recipes/user-7/abc_My_Cake/thumb.webp');
+    assert.match(thumb.webp.downloadURL, /^http:\/\/127\.0\.0\.1:\d+\/images\/recipes\/user-7\/abc_My_Cake\/thumb\.webp\?expires=\d+&sig=[\w-]+$/);
+
+    const stored = server.bucket.files.get(res.json.uploadPath);
+    assert.equal(stored.metadata.contentType, 'image/jpeg');
+    assert.equal(stored.metadata.metadata.uploadedBy, 'user-7');
+    assert.equal(stored.public, false);
+    assert.equal(server.bucket.files.get(thumb.webp.uploadPath).metadata.contentType, 'image/webp');
+
+    // No EXIF block (camera, GPS) and no orientation left to apply
+    const metadata = await sharp(stored.data).metadata();
+    assert.equal(metadata.exif, undefined);
+    assert.equal(metadata.orientation, undefined);
+    assert.ok(!stored.data.includes('TestPhone'));
+  });
+
+  it('keeps transparency as PNG and never enlarges', async () => {
+    const res = await server.request('/upload-image', {
+      method: 'POST',
+      body: { imageData: (await createTestImage({ format: 'png', alpha: true })).toString('base64'), fileName: 'logo.png' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.json.contentType, 'image/png');
+    assert.match(res.json.uploadPath, /\/full\.png$/);
+    assert.deepEqual([res.json.variants.full.png.width, res.json.variants.full.png.height], [64, 48]);
+  });
+
+  it('checks the actual bytes, not the claimed type', async () => {
+    const post = imageData => server.request('/upload-image', {
+      method: 'POST',
+      body: { imageData, fileName: 'a.jpg', contentType: 'image/jpeg' }
+    });
+
+    const text = await post(Buffer.from('<svg onload="alert(1)"></svg>').toString('base64'));
+    assert.equal(text.status, 415);
+    assert.equal(text.json.code, 'unsupported-image-type');
+
+    const heic = Buffer.concat([Buffer.from('000000186674797068656963', 'hex'), Buffer.alloc(16)]);
+    assert.equal((await post(heic.toString('base64'))).status, 415);
+
+    const truncated = (await createTestImage()).subarray(0, 200);
+    const corrupt = await post(truncated.toString('base64'));
+    assert.equal(corrupt.status, 422);
+    assert.equal(corrupt.json.code, 'invalid-image');
+  });
+
+  it('rejects a userId that does not match the token', async () => {
+    const res = await server.request('/upload-image', {
+      method: 'POST',
+      body: { imageData: 'AA==', fileName: 'a.png', contentType: 'image/png', userId: 'someone-else' }
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it('requires image data and a file name', async () => {
+    const res = await server.request('/upload-image', { method: 'POST', body: { imageData: 'AA==' } });
+    assert.equal(res.status, 400);
+  });
+
+  it('rejects malformed recipe ids', async () => {
+    const res = await server.request('/upload-image', {
+      method: 'POST',
+      body: { imageData: 'AA==', fileName: 'a.png', contentType: 'image/png', recipeId: '../x' }
+    });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('POST /parse-image', () => {
+  let server;
+  const recognized = [];
+
+  before(async () => {
+    const ocrProvider = {
+      name: 'stub-ocr',
+      async recognize(buffer, { contentType }) {
+        recognized.push({ buffer, contentType });
+        if (!buffer.length) return { text: '', regions: [] };
+        return { text: 'Tomato Soup\n1 kg tomatoes', regions: [{ text: 'Tomato Soup', confidence: 0.9 }, { text: '1 kg tomatoes', confidence: 0.8 }] };
+      }
+    };
+    server = await startApp({
+      replies: Array(3).fill({ title: 'Tomato Soup', ingredients: ['1 kg tomatoes'], steps: ['Cook.'] }),
+      overrides: { ocrProvider }
+    });
+    await server.bucket.file('recipes/user-1/soup.jpg').save(PNG_BYTES, { metadata: { contentType: 'image/jpeg' } });
+  });
+
+  after(() => server.close());
+
+  it('runs OCR on inline image data and extracts the recipe', async () => {
+    const res = await server.request('/parse-image', {
+      method: 'POST',
+      body: { imageData: PNG_BYTES.toString('base64'), contentType: 'image/png' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.json.recipe.title, 'Tomato Soup');
+    assert.equal(res.json.ocr.provider, 'stub-ocr');
+    assert.equal(res.json.ocr.regions.length, 2);
+    assert.match(server.openai.requests.at(-1).messages.at(-1).content, /1 kg tomatoes/);
+  });
+
+  it('reads images from the caller storage folder', async () => {
+    const res = await server.request('/parse-image', { method: 'POST', body: { storagePath: 'recipes/user-1/soup.jpg' } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.json.source, { type: 'image', storagePath: 'recipes/user-1/soup.jpg' });
+    assert.equal(recognized.at(-1).contentType, 'image/jpeg');
+  });
+
+  it("refuses another user's storage path", async () => {
+    const res = await server.request('/parse-image', { method: 'POST', uid: 'user-2', body: { storagePath: 'recipes/user-1/soup.jpg' } });
+    assert.equal(res.status, 403);
+  });
+
+  it('returns 422 when no text is recognized', async () => {
+    await server.bucket.file('recipes/user-1/blank.jpg').save(Buffer.alloc(0), { metadata: { contentType: 'image/jpeg' } });
+    const res = await server.request('/parse-image', { method: 'POST', body: { storagePath: 'recipes/user-1/blank.jpg' } });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.json.code, 'no-text-found');
+  });
+
+  it('returns 404 for missing storage objects', async () => {
+    const res = await server.request('/parse-image', { method: 'POST', body: { storagePath: 'recipes/user-1/none.jpg' } });
+    assert.equal(res.status, 404);
+  });
+
+  it('rejects non-image content types', async () => {
+    const res = await server.request('/parse-image', { method: 'POST', body: { imageData: 'AA==', contentType: 'text/plain' } });
+    assert.equal(res.status, 400);
+  });
+});
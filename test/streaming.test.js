@@ -0,0 +1,164 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePartialJson, partialRecipe } from '../lib/recipe-schema.js';
+import { startApp, startFixtureServer, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const REPLY = {
+  title: 'Tomato Soup',
+  ingredientsByProcessingStep: [
+    { name: 'Ingredients', items: [{ quantity: '1 kg', name: 'tomatoes' }, { quantity: '1', name: 'onion' }] }
+  ],
+  instructions: [
+    { section: null, text: 'Chop the onion and tomatoes.' },
+    { section: null, text: 'Simmer for 30 minutes.' }
+  ],
+  tags: ['soup']
+};
+
+const STREAM = { 'Accept': 'text/event-stream' };
+
+// "event: x\ndata: {...}\n\n" blocks -> [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => {
+      const colon = line.indexOf(': ');
+      return [line.slice(0, colon), line.slice(colon + 2)];
+    }));
+    return { event: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+const stages = events => events.filter(e => e.event === 'stage').map(e => e.data.stage);
+
+describe('parsePartialJson', () => {
+  it('keeps completed fields and array elements only', () => {
+    assert.deepEqual(parsePartialJson('{"title": "Tomato So'), {});
+    assert.deepEqual(parsePartialJson('{"title": "Tomato Soup", "tags": ["so'), { title: 'Tomato Soup' });
+    assert.deepEqual(parsePartialJson('{"a": [{"b": 1}, {"b": 2'), { a: [{ b: 1 }] });
+    assert.deepEqual(parsePartialJson('{"a": 1, "b": tr'), { a: 1 });
+    assert.deepEqual(parsePartialJson('{"a": "x \\" }", "b": [1, 2]}'), { a: 'x " }', b: [1, 2] });
+  });
+
+  it('returns null for text without an object', () => {
+    assert.equal(parsePartialJson(''), null);
+    assert.equal(parsePartialJson('Sure, here is'), null);
+  });
+});
+
+describe('partialRecipe', () => {
+  it('grows as the reply streams in', () => {
+    const reply = JSON.stringify(REPLY);
+    const partials = [];
+    for (let i = 1; i <= reply.length; i++) {
+      const partial = partialRecipe(reply.slice(0, i));
+      if (partial && JSON.stringify(partial) !== JSON.stringify(partials.at(-1))) partials.push(partial);
+    }
+
+    assert.deepEqual(partials[0], { title: 'Tomato Soup' });
+    assert.equal(partials.at(-1).instructions.length, 2);
+    assert.deepEqual(partials.at(-1).tags, ['soup']);
+  });
+});
+
+describe('streamed parse routes', () => {
+  let pages;
+  let server;
+
+  before(async () => {
+    pages = await startFixtureServer();
+  });
+
+  after(() => pages.close());
+  afterEach(() => server?.close());
+
+  it('streams /parse-recipe stages and partial fields, then the JSON result', async () => {
+    server = await startApp({ replies: [REPLY, REPLY] });
+    const plain = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Tomato soup', cache: 'bypass' } });
+
+    const res = await server.request('/parse-recipe', { method: 'POST', headers: STREAM, body: { text: 'Tomato soup', cache: 'bypass' } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = parseEvents(res.text);
+    assert.deepEqual(stages(events), ['extracting', 'model-streaming', 'validating']);
+
+    const partials = events.filter(e => e.event === 'partial').map(e => e.data);
+    assert.ok(partials.length > 1);
+    assert.deepEqual(partials[0], { title: 'Tomato Soup' });
+
+    const last = events.at(-1);
+    assert.equal(last.event, 'result');
+    assert.deepEqual(last.data, plain.json);
+    assert.equal(server.openai.requests[1].stream, true);
+  });
+
+  it('reports both attempts when the first reply is invalid', async () => {
+    server = await startApp({ replies: ['not json', REPLY] });
+    const res = await server.request('/parse-recipe', { method: 'POST', headers: STREAM, body: { text: 'Tomato soup' } });
+
+    const events = parseEvents(res.text);
+    assert.deepEqual(stages(events), ['extracting', 'model-streaming', 'validating', 'model-streaming', 'validating']);
+    assert.equal(events.at(-1).event, 'result');
+  });
+
+  it('ends with an error event when extraction fails', async () => {
+    server = await startApp({ replies: ['not json', 'still not json'] });
+    const res = await server.request('/parse-recipe', { method: 'POST', headers: STREAM, body: { text: 'Tomato soup' } });
+
+    assert.equal(res.status, 200);
+    const last = parseEvents(res.text).at(-1);
+    assert.equal(last.event, 'error');
+    assert.equal(last.data.status, 502);
+    assert.equal(last.data.code, 'invalid-model-output');
+  });
+
+  it('answers invalid requests with plain JSON errors', async () => {
+    server = await startApp();
+    const res = await server.request('/parse-recipe', { method: 'POST', headers: STREAM, body: {} });
+    assert.equal(res.status, 400);
+    assert.ok(res.json.error);
+  });
+
+  it('delivers cached results as a single result event', async () => {
+    server = await startApp({ replies: [REPLY] });
+    const first = await server.request('/parse-recipe', { method: 'POST', body: { text: 'Tomato soup' } });
+
+    const res = await server.request('/parse-recipe', { method: 'POST', headers: STREAM, body: { text: 'Tomato soup' } });
+    assert.equal(res.headers.get('x-cache'), 'HIT');
+    const events = parseEvents(res.text);
+    assert.deepEqual(events, [{ event: 'result', data: first.json }]);
+  });
+
+  it('streams /parse-url through structured data without calling the model', async () => {
+    server = await startApp();
+    const res = await server.request('/parse-url', { method: 'POST', headers: STREAM, body: { url: `${pages.baseUrl}/json-ld-recipe.html` } });
+
+    const events = parseEvents(res.text);
+    assert.deepEqual(stages(events), ['fetching', 'structured-data-found']);
+    assert.equal(events.at(-1).event, 'result');
+    assert.equal(events.at(-1).data.extractionMethod, 'json-ld');
+    assert.equal(server.openai.requests.length, 0);
+  });
+
+  it('streams /parse-url model fallback', async () => {
+    server = await startApp({ replies: [REPLY] });
+    const res = await server.request('/parse-url', { method: 'POST', headers: STREAM, body: { url: `${pages.baseUrl}/plain-recipe.html` } });
+
+    const events = parseEvents(res.text);
+    assert.deepEqual(stages(events), ['fetching', 'extracting', 'model-streaming', 'validating']);
+    assert.ok(events.some(e => e.event === 'partial'));
+    assert.equal(events.at(-1).data.extractionMethod, 'llm');
+  });
+
+  it('reports blocked URLs as an error event', async () => {
+    server = await startApp();
+    const res = await server.request('/parse-url', { method: 'POST', headers: STREAM, body: { url: 'http://10.0.0.1/recipe' } });
+
+    const last = parseEvents(res.text).at(-1);
+    assert.equal(last.event, 'error');
+    assert.equal(last.data.status, 403);
+    assert.equal(last.data.code, 'blocked-address');
+  });
+});
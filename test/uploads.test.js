@@ -0,0 +1,207 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { startApp, createTestImage, muteConsoleLog } from './helpers.js';
+
+muteConsoleLog();
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+const LIMITS = { maxBytes: 200 * 1024, maxChunkBytes: 512, maxOpenPerUser: 2, dailyBytes: 0 };
+
+describe('POST /upload-image (multipart)', () => {
+  let server;
+
+  before(async () => {
+    server = await startApp({ overrides: { uploads: LIMITS } });
+  });
+
+  after(() => server.close());
+
+  const send = (form, uid = 'user-1') => fetch(`${server.baseUrl}/upload-image`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${server.auth.tokenFor(uid)}` },
+    body: form
+  });
+
+  it('stores a file part like a base64 upload', async () => {
+    const form = new FormData();
+    form.append('recipeId', 'r1');
+    form.append('image', new Blob([await createTestImage()], { type: 'image/jpeg' }), 'cake.jpg');
+    const response = await send(form);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.success, true);
+    assert.match(body.uploadPath, /^recipes\/user-1\/r1_cake\/full\.jpg$/);
+    assert.match(body.downloadURL, /\/images\/recipes\/user-1\/r1_cake\/full\.jpg\?expires=/);
+    assert.ok(body.variants.thumb.webp);
+    assert.ok(server.bucket.files.has(body.uploadPath));
+  });
+
+  it('rejects missing, oversized and mismatched uploads', async () => {
+    const empty = new FormData();
+    empty.append('fileName', 'cake.jpg');
+    assert.equal((await send(empty)).status, 400);
+
+    const large = new FormData();
+    large.append('image', new Blob([Buffer.alloc(LIMITS.maxBytes + 1)]), 'big.jpg');
+    const tooLarge = await send(large);
+    assert.equal(tooLarge.status, 413);
+    assert.equal((await tooLarge.json()).code, 'file-too-large');
+
+    const other = new FormData();
+    other.append('userId', 'user-2');
+    other.append('image', new Blob([await createTestImage()]), 'cake.jpg');
+    assert.equal((await send(other)).status, 403);
+
+    const text = new FormData();
+    text.append('image', new Blob(['just text']), 'notes.jpg');
+    const unsupported = await send(text);
+    assert.equal(unsupported.status, 415);
+  });
+});
+
+describe('/uploads (resumable)', () => {
+  let server;
+  let image;
+
+  before(async () => {
+    server = await startApp({ overrides: { uploads: LIMITS } });
+    image = await createTestImage({ width: 400, height: 300 });
+  });
+
+  after(() => server.close());
+
+  const start = (body, uid) => server.request('/uploads', { method: 'POST', uid, body });
+  const put = async (id, offset, data, uid = 'user-1') => {
+    const response = await fetch(`${server.baseUrl}/uploads/${id}`, {
+      method: 'PUT',
+      headers: {
+        Authorization: `Bearer ${server.auth.tokenFor(uid)}`,
+        'Content-Type': 'application/octet-stream',
+        'Upload-Offset': String(offset)
+      },
+      body: data
+    });
+    return { status: response.status, offset: response.headers.get('upload-offset'), json: await response.json() };
+  };
+  const complete = (id, checksum) => server.request(`/uploads/${id}/complete`, { method: 'POST', body: { checksum } });
+  const uploadChunks = async (id, data, size = LIMITS.maxChunkBytes) => {
+    for (let offset = 0; offset < data.length; offset += size) {
+      assert.equal((await put(id, offset, data.subarray(offset, offset + size))).status, 200);
+    }
+  };
+
+  it('assembles chunks and stores the image', async () => {
+    assert.ok(image.length > LIMITS.maxChunkBytes);
+    const started = await start({ fileName: 'roast.jpg', size: image.length, recipeId: 'r2' });
+    assert.equal(started.status, 201);
+    assert.equal(started.headers.get('location'), `/uploads/${started.json.uploadId}`);
+    assert.equal(started.json.offset, 0);
+    assert.equal(started.json.chunkSize, LIMITS.maxChunkBytes);
+    const id = started.json.uploadId;
+
+    const first = await put(id, 0, image.subarray(0, 500));
+    assert.equal(first.offset, '500');
+
+    // A retried or skipped chunk is told where to continue
+    const stale = await put(id, 0, image.subarray(0, 500));
+    assert.equal(stale.status, 409);
+    assert.equal(stale.json.code, 'offset-mismatch');
+    assert.equal(stale.offset, '500');
+    assert.equal((await put(id, 1000, image.subarray(1000, 1500))).status, 409);
+
+    const status = await server.request(`/uploads/${id}`);
+    assert.equal(status.json.offset, 500);
+    assert.equal((await complete(id, sha256(image))).status, 409);
+
+    for (let offset = 500; offset < image.length; offset += LIMITS.maxChunkBytes) {
+      assert.equal((await put(id, offset, image.subarray(offset, offset + LIMITS.maxChunkBytes))).status, 200);
+    }
+    const done = await complete(id, sha256(image));
+    assert.equal(done.status, 200);
+    assert.equal(done.json.success, true);
+    assert.equal(done.json.uploadPath, 'recipes/user-1/r2_roast/full.jpg');
+    assert.match(done.json.downloadURL, /\/images\/recipes\/user-1\/r2_roast\/full\.jpg\?expires=/);
+    assert.deepEqual(Object.keys(done.json.variants), ['thumb', 'medium', 'full']);
+
+    // Chunks and the session are gone once the image is stored
+    assert.deepEqual([...server.bucket.files.keys()].filter(path => path.startsWith('uploads/')), []);
+    assert.equal((await server.request(`/uploads/${id}`)).status, 404);
+  });
+
+  it('rejects a checksum that does not match and discards the upload', async () => {
+    const { json: { uploadId } } = await start({ fileName: 'roast.jpg', size: image.length });
+    await uploadChunks(uploadId, image);
+
+    const res = await complete(uploadId, sha256(Buffer.from('something else')));
+    assert.equal(res.status, 422);
+    assert.equal(res.json.code, 'checksum-mismatch');
+    assert.equal((await server.request(`/uploads/${uploadId}`)).status, 404);
+    assert.equal((await complete(uploadId, 'abc')).status, 404);
+  });
+
+  it('enforces size, type and open upload limits', async () => {
+    const tooLarge = await start({ fileName: 'big.jpg', size: LIMITS.maxBytes + 1 });
+    assert.equal(tooLarge.status, 413);
+    assert.equal(tooLarge.json.code, 'file-too-large');
+    assert.equal((await start({ fileName: 'a.jpg', size: 0 })).status, 400);
+    assert.equal((await start({ size: 10 })).status, 400);
+
+    const { json: { uploadId } } = await start({ fileName: 'notes.jpg', size: 100 }, 'user-3');
+    const text = await put(uploadId, 0, Buffer.from('plain text, not an image'), 'user-3');
+    assert.equal(text.status, 415);
+    const past = await put(uploadId, 0, image.subarray(0, 101), 'user-3');
+    assert.equal(past.status, 413);
+
+    const chunk = await put(uploadId, 0, Buffer.alloc(LIMITS.maxChunkBytes + 1), 'user-3');
+    assert.equal(chunk.status, 413);
+    assert.equal(chunk.json.code, 'chunk-too-large');
+
+    await start({ fileName: 'b.jpg', size: 100 }, 'user-3');
+    const third = await start({ fileName: 'c.jpg', size: 100 }, 'user-3');
+    assert.equal(third.status, 429);
+    assert.equal(third.json.code, 'too-many-uploads');
+
+    assert.equal((await server.request(`/uploads/${uploadId}`, { method: 'DELETE', uid: 'user-3' })).status, 204);
+    assert.equal((await start({ fileName: 'c.jpg', size: 100 }, 'user-3')).status, 201);
+  });
+
+  it("hides other users' uploads", async () => {
+    const { json: { uploadId } } = await start({ fileName: 'roast.jpg', size: image.length });
+    assert.equal((await server.request(`/uploads/${uploadId}`, { uid: 'user-2' })).status, 404);
+    assert.equal((await put(uploadId, 0, image.subarray(0, 100), 'user-2')).status, 404);
+    assert.equal((await server.request(`/uploads/${uploadId}`, { method: 'DELETE', uid: 'user-2' })).status, 404);
+    await server.request(`/uploads/${uploadId}`, { method: 'DELETE' });
+  });
+});
+
+describe('daily upload volume', () => {
+  let server;
+
+  before(async () => {
+    server = await startApp({ overrides: { uploads: { ...LIMITS, dailyBytes: 8 * 1024 } } });
+  });
+
+  after(() => server.close());
+
+  it('refuses uploads past the daily allowance', async () => {
+    const image = await createTestImage({ width: 400, height: 300 });
+    const post = () => server.request('/upload-image', {
+      method: 'POST',
+      body: { imageData: image.toString('base64'), fileName: 'a.jpg' }
+    });
+    let status;
+    for (let i = 0; i < 10 && status !== 429; i++) ({ status } = await post());
+    assert.equal(status, 429);
+
+    const started = await server.request('/uploads', { method: 'POST', body: { fileName: 'b.jpg', size: image.length } });
+    assert.equal(started.status, 429);
+    assert.equal(started.json.code, 'upload-quota-exceeded');
+
+    // The allowance is per user
+    const other = await server.request('/uploads', { method: 'POST', uid: 'user-2', body: { fileName: 'b.jpg', size: image.length } });
+    assert.equal(other.status, 201);
+  });
+});